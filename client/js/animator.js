@@ -4,7 +4,8 @@
  * 레벨 간 텍스트 전환 애니메이션을 관리합니다.
  * - 사라지는 단어: 페이드아웃 + 스케일 축소 + 회전
  * - 추가되는 단어: 페이드인 + 스케일 확대 + 바운스
- * - 유지되는 단어: 하이라이트 펄스 효과
+ * - 유지되는 단어: 이전 위치에서 새 위치로 이동 (FLIP) + 하이라이트 펄스 효과
+ * - 변형되는 단어: 같은 위치에서 이전 단어 → 새 단어로 교차 페이드 또는 글자 단위 전환
  */
 
 (function(window) {
@@ -55,6 +56,26 @@
             largeTransitionThreshold: 3000  // 단어 3000개 이상이면 대량 전환
         },
 
+        // 레이아웃 전환 (FLIP): 유지/변형 단어가 이전 위치에서 새 위치로 이동
+        layout: {
+            enabled: true,
+            duration: 0.6,
+            ease: 'power3.inOut',
+            minDistance: 1,  // 이 거리(px) 미만으로 움직인 단어는 제외
+            maxWords: 300  // 뷰포트 필터링 후 최대 이동 단어 수
+        },
+
+        // 변형 단어 애니메이션 (diffData.morphed, 같은 위치에서 이전 단어 → 새 단어)
+        morph: {
+            enabled: true,
+            style: 'characters',  // 'crossfade': 단어 전체 교차 페이드, 'characters': 바뀐 글자만 전환
+            duration: 0.45,
+            ease: 'power2.inOut',
+            charStagger: 0.04,  // 글자 단위 전환 시 글자 간 지연 (초)
+            charOffset: '0.6em',  // 글자 단위 전환 시 세로 이동 거리
+            maxWords: 200  // 뷰포트 필터링 후 최대 애니메이션 단어 수
+        },
+
         // 애니메이션 효과 강도
         effects: {
             // 모든 색상 효과 제거 (대각선 애니메이션만 사용)
@@ -71,7 +92,9 @@
         isRunning: false,
         currentTimeline: null,
         gsapTimeline: null,
-        progress: 0
+        progress: 0,
+        morphedElements: [],  // 변형 애니메이션으로 내용을 바꾼 요소 [{ element, text }]
+        movedElements: []  // 레이아웃 전환으로 위치를 옮긴 요소
     };
 
 
@@ -103,11 +126,98 @@
         return timeline;
     }
 
+    /**
+     * 렌더링된 단어 요소를 위치(data-index)별로 수집
+     * 가상화된 긴 문서에서는 뷰포트 근처 문단의 단어만 렌더링되어 있으므로 나머지 위치는 비어 있습니다.
+     *
+     * @param {HTMLElement} container - 텍스트 컨테이너
+     * @returns {Array<HTMLElement>} 위치 → 단어 요소 (희소 배열)
+     */
+    function collectWordElements(container) {
+        const wordElements = [];
+        container.querySelectorAll('.word').forEach(element => {
+            wordElements[parseInt(element.dataset.index, 10)] = element;
+        });
+        return wordElements;
+    }
+
+    /**
+     * 텍스트 교체 전 단어 위치 측정 (FLIP의 First)
+     * 반드시 displayText()로 텍스트를 교체하기 전에 호출해야 합니다.
+     * 유지/변형 단어의 이전 위치(뷰포트 좌표)를 새 위치(toIndex) 기준으로 타임라인에 저장합니다.
+     *
+     * @param {object} timeline - createTimeline() 결과
+     * @param {HTMLElement} container - 텍스트 컨테이너 (이전 레벨 텍스트가 렌더링된 상태)
+     */
+    function captureLayout(timeline, container) {
+        if (!timeline || !container || !AnimationConfig.layout.enabled) {
+            return;
+        }
+
+        const { kept = [], morphed = [] } = timeline.diffData;
+        const allWords = collectWordElements(container);
+        const positions = new Map();
+
+        [...kept, ...morphed].forEach(item => {
+            const element = allWords[item.fromIndex];
+            if (element) {
+                const rect = element.getBoundingClientRect();
+                positions.set(item.toIndex, { left: rect.left, top: rect.top });
+            }
+        });
+
+        timeline.layout = positions;
+        console.log(`레이아웃 측정: ${positions.size}개 단어`);
+    }
+
+    /**
+     * 텍스트 교체 후 이동할 단어 계산 (FLIP의 Last, Invert)
+     * 이전 위치나 새 위치가 뷰포트 안에 있는 단어만 이동합니다.
+     *
+     * @param {Map<number, object>} layout - captureLayout()으로 저장한 이전 위치
+     * @param {Array<HTMLElement>} allWords - 새 텍스트의 렌더링된 단어 요소
+     * @returns {Array<object>} [{ element, dx, dy }] - dx/dy는 새 위치 기준 이전 위치 오프셋
+     */
+    function measureLayoutMoves(layout, allWords) {
+        const { minDistance, maxWords } = AnimationConfig.layout;
+        const margin = AnimationConfig.performance.viewportMargin;
+        const isInViewport = (top) => top >= -margin && top <= window.innerHeight + margin;
+        const moves = [];
+
+        // 측정(읽기)을 모두 마친 뒤 스타일(쓰기)을 적용해 레이아웃 재계산을 한 번만 발생시킴
+        layout.forEach((first, toIndex) => {
+            const element = allWords[toIndex];
+            if (!element) return;
+
+            const last = element.getBoundingClientRect();
+            const dx = first.left - last.left;
+            const dy = first.top - last.top;
+
+            if (Math.hypot(dx, dy) >= minDistance && (isInViewport(first.top) || isInViewport(last.top))) {
+                moves.push({ element, dx, dy });
+            }
+        });
+
+        return moves.slice(0, maxWords);
+    }
+
+    /**
+     * 레이아웃 전환으로 옮긴 단어 위치 초기화
+     */
+    function resetMovedWords() {
+        AnimationState.movedElements.forEach(element => {
+            element.style.position = '';
+            element.style.left = '';
+            element.style.top = '';
+        });
+        AnimationState.movedElements = [];
+    }
+
     /**
      * 뷰포트 내에 있는 단어만 필터링 + 샘플링
      *
      * @param {Array} wordIndices - 단어 인덱스 배열
-     * @param {NodeList} allWords - 모든 단어 요소
+     * @param {Array<HTMLElement>} allWords - 렌더링된 단어 요소 (collectWordElements 결과)
      * @param {number} samplingRate - 샘플링 비율 (0-1, 예: 0.5 = 50%)
      * @returns {Array} 필터링된 단어 인덱스
      */
@@ -121,6 +231,7 @@
             const viewportBottom = window.scrollY + window.innerHeight + performance.viewportMargin;
 
             filteredIndices = wordIndices.filter(index => {
+                // 가상화로 렌더링되지 않은 단어는 뷰포트 밖이므로 측정 없이 제외
                 const wordElement = allWords[index];
                 if (!wordElement) return false;
 
@@ -179,6 +290,162 @@
         };
     }
 
+    /**
+     * 공통 접두사/접미사 길이 계산 (글자 단위)
+     *
+     * @param {Array<string>} fromChars - 이전 단어 글자 배열
+     * @param {Array<string>} toChars - 새 단어 글자 배열
+     * @returns {object} { prefix, suffix } - 공통 접두사/접미사 글자 수 (서로 겹치지 않음)
+     */
+    function findCommonAffixes(fromChars, toChars) {
+        const maxLength = Math.min(fromChars.length, toChars.length);
+
+        let prefix = 0;
+        while (prefix < maxLength && fromChars[prefix] === toChars[prefix]) {
+            prefix++;
+        }
+
+        let suffix = 0;
+        while (suffix < maxLength - prefix &&
+               fromChars[fromChars.length - 1 - suffix] === toChars[toChars.length - 1 - suffix]) {
+            suffix++;
+        }
+
+        return { prefix, suffix };
+    }
+
+    /**
+     * 글자별 요소로 구성된 레이어 생성
+     *
+     * @param {Array<string>} chars - 글자 배열
+     * @param {string} className - 레이어 클래스
+     * @returns {HTMLElement} 레이어 요소
+     */
+    function createMorphLayer(chars, className) {
+        const layer = document.createElement('span');
+        layer.className = `morph-layer ${className}`;
+
+        chars.forEach(char => {
+            const charSpan = document.createElement('span');
+            charSpan.className = 'morph-char';
+            charSpan.textContent = char;
+            layer.appendChild(charSpan);
+        });
+
+        return layer;
+    }
+
+    /**
+     * 변형 단어 요소 구성
+     * DOM에는 대상 레벨 텍스트가 렌더링되어 있으므로, 단어 요소 안에 이전 단어와 새 단어 레이어를
+     * 겹쳐 놓습니다. characters 스타일은 공통 접두사/접미사를 고정하고 바뀐 부분만 레이어로 만듭니다.
+     * 원래 내용은 애니메이션 완료(또는 중단) 시 restoreMorphedWords()로 복원합니다.
+     *
+     * @param {HTMLElement} element - 단어 요소 (새 단어가 렌더링된 상태)
+     * @param {object} morph - 변형 정보 { fromWord, toWord }
+     * @param {string} style - 'crossfade' | 'characters'
+     * @returns {object|null} { fromLayer, toLayer } 또는 요소 내용이 새 단어와 다르면 null
+     */
+    function buildMorphElement(element, morph, style) {
+        const original = element.textContent;
+        if (!original.startsWith(morph.toWord)) {
+            return null;
+        }
+
+        // 단어 뒤 공백은 레이어 밖에 유지
+        const trailing = original.slice(morph.toWord.length);
+        let fromChars = Array.from(morph.fromWord);
+        let toChars = Array.from(morph.toWord);
+        let prefix = '';
+        let suffix = '';
+
+        if (style === 'characters') {
+            const affixes = findCommonAffixes(fromChars, toChars);
+            prefix = toChars.slice(0, affixes.prefix).join('');
+            suffix = toChars.slice(toChars.length - affixes.suffix).join('');
+            fromChars = fromChars.slice(affixes.prefix, fromChars.length - affixes.suffix);
+            toChars = toChars.slice(affixes.prefix, toChars.length - affixes.suffix);
+        }
+
+        const stack = document.createElement('span');
+        stack.className = 'morph-stack';
+        const fromLayer = createMorphLayer(fromChars, 'morph-from');
+        const toLayer = createMorphLayer(toChars, 'morph-to');
+        stack.append(fromLayer, toLayer);
+
+        AnimationState.morphedElements.push({ element, text: original });
+        element.textContent = '';
+        element.append(prefix, stack, suffix + trailing);
+
+        return { fromLayer, toLayer };
+    }
+
+    /**
+     * 변형 애니메이션으로 바꾼 단어 요소 내용 복원
+     */
+    function restoreMorphedWords() {
+        AnimationState.morphedElements.forEach(({ element, text }) => {
+            element.textContent = text;
+        });
+        AnimationState.morphedElements = [];
+    }
+
+    /**
+     * 변형 단어 애니메이션 추가
+     * 이전 단어 레이어는 사라지고 새 단어 레이어가 같은 자리에 나타납니다.
+     *
+     * @param {object} tl - GSAP 타임라인
+     * @param {object} layers - buildMorphElement() 결과
+     * @param {number} position - 타임라인 시작 위치 (초)
+     */
+    function addMorphTweens(tl, layers, position) {
+        const { style, duration, ease, charStagger, charOffset } = AnimationConfig.morph;
+        const { fromLayer, toLayer } = layers;
+
+        if (style === 'characters') {
+            // 바뀐 글자: 이전 글자는 위로 빠지고 새 글자는 아래에서 올라옴
+            if (fromLayer.children.length > 0) {
+                tl.to(fromLayer.children, {
+                    opacity: 0,
+                    y: `-${charOffset}`,
+                    duration: duration * 0.6,
+                    ease: 'power2.in',
+                    stagger: charStagger
+                }, position);
+            }
+            if (toLayer.children.length > 0) {
+                tl.fromTo(toLayer.children, {
+                    opacity: 0,
+                    y: charOffset
+                }, {
+                    opacity: 1,
+                    y: 0,
+                    duration: duration * 0.6,
+                    ease: 'power2.out',
+                    stagger: charStagger
+                }, position + duration * 0.4);
+            }
+            return;
+        }
+
+        // 교차 페이드: 두 레이어를 흐리게 겹치며 전환
+        tl.to(fromLayer, {
+            opacity: 0,
+            filter: 'blur(2px)',
+            duration,
+            ease
+        }, position);
+        tl.fromTo(toLayer, {
+            opacity: 0,
+            filter: 'blur(2px)'
+        }, {
+            opacity: 1,
+            filter: 'blur(0px)',
+            duration,
+            ease
+        }, position);
+    }
+
     /**
      * 타임라인 실행 (단어 단위 애니메이션)
      *
@@ -204,7 +471,7 @@
         }
 
         const { diffData, direction } = timeline;
-        const allWords = container.querySelectorAll('.word');
+        const allWords = collectWordElements(container);
 
         // 샘플링 비율 결정
         const { performance } = AnimationConfig;
@@ -232,7 +499,7 @@
             const { word, stagger, blink } = AnimationConfig.timing;
 
             // 전체 애니메이션 단어 수 계산
-            const totalAnimatedWords = (diffData.added?.length || 0) + (diffData.kept?.length || 0) + (diffData.removed?.length || 0);
+            const totalAnimatedWords = (diffData.added?.length || 0) + (diffData.kept?.length || 0) + (diffData.removed?.length || 0) + (diffData.morphed?.length || 0);
 
             // 단어 개수에 비례한 duration 조정
             const durationMultiplier = Math.max(0.3, Math.min(1.0, totalAnimatedWords / 100));
@@ -251,12 +518,39 @@
                 }
             });
 
+            // ============================================================
+            // 0. 유지/변형 단어 위치 이동 (FLIP: First → Last → Invert → Play)
+            // 단어 요소는 inline이라 transform이 적용되지 않으므로 상대 위치(left/top)로 이동
+            // ============================================================
+            if (timeline.layout && timeline.layout.size > 0) {
+                const moves = measureLayoutMoves(timeline.layout, allWords);
+
+                console.log(`레이아웃 전환: ${timeline.layout.size}개 → ${moves.length}개 이동`);
+
+                if (moves.length > 0) {
+                    // Invert: 이전 위치로 되돌려 놓기
+                    moves.forEach(({ element, dx, dy }) => {
+                        gsap.set(element, { position: 'relative', left: dx, top: dy });
+                    });
+                    AnimationState.movedElements = moves.map(move => move.element);
+
+                    // Play: 새 위치로 이동
+                    const { duration, ease } = AnimationConfig.layout;
+                    tl.to(AnimationState.movedElements, {
+                        left: 0,
+                        top: 0,
+                        duration,
+                        ease
+                    }, 0);
+                }
+            }
+
             // ============================================================
             // 1. 추가되는 단어 애니메이션 (대각선 진입 효과)
             // Zoom In(3→0)뿐만 아니라 Zoom Out(0→1)에서도 새 단어가 추가될 수 있음
             // ============================================================
             if (diffData.added && diffData.added.length > 0) {
-                const addedIndices = diffData.added.map(item => item.index);
+                const addedIndices = diffData.added.map(item => item.toIndex);
                 const filteredIndices = filterAndSampleWords(addedIndices, allWords, addedSamplingRate);
                 const addedWords = filteredIndices.map(i => allWords[i]).filter(Boolean);
 
@@ -300,7 +594,7 @@
             // 요약 방향에서 더 많은 단어가 애니메이션되도록 kept에도 효과 추가
             // ============================================================
             if (isZoomOut && diffData.kept && diffData.kept.length > 0 && keptSamplingRate > 0) {
-                const keptIndices = diffData.kept.map(item => item.index);
+                const keptIndices = diffData.kept.map(item => item.toIndex);
                 const filteredIndices = filterAndSampleWords(keptIndices, allWords, keptSamplingRate);
                 const keptWords = filteredIndices.map(i => allWords[i]).filter(Boolean);
 
@@ -330,7 +624,7 @@
             // 2. 사라지는 단어 애니메이션 (Fade Out)
             // ============================================================
             if (diffData.removed && diffData.removed.length > 0) {
-                const removedIndices = diffData.removed.map(item => item.index);
+                const removedIndices = diffData.removed.map(item => item.fromIndex);
                 // removed는 fromLevel 텍스트 기준이므로, 현재 표시된 allWords가 아닌 이전 단어들을 참조
                 // 하지만 실제 DOM에는 toLevel 텍스트가 렌더링되므로, removed 애니메이션은 불가능
                 // 대신 레벨 전환 시점에 짧은 fade out을 전체 컨테이너에 적용
@@ -338,37 +632,26 @@
             }
 
             // ============================================================
-            // 3. 치환되는 단어 애니메이션 (Morph)
+            // 3. 변형되는 단어 애니메이션 (Morph)
+            // 같은 위치에서 이전 단어가 새 단어로 바뀌는 효과 (날아오기 대신)
             // ============================================================
-            if (diffData.morphed && diffData.morphed.length > 0) {
-                console.log(`치환 단어 애니메이션: ${diffData.morphed.length}개`);
-
-                diffData.morphed.forEach(morph => {
-                    const fromWord = allWords[morph.from.index];
-                    const toWord = allWords[morph.to.index];
-
-                    if (fromWord && toWord) {
-                        // Phase 1: 기존 단어 회전 + 페이드아웃
-                        tl.to(fromWord, {
-                            opacity: 0,
-                            rotationY: 90,
-                            scale: 0.8,
-                            duration: 0.15,
-                            ease: 'power2.in'
-                        }, 0);
-
-                        // Phase 2: 새 단어 회전 + 페이드인
-                        tl.fromTo(toWord, {
-                            opacity: 0,
-                            rotationY: -90,
-                            scale: 0.8
-                        }, {
-                            opacity: 1,
-                            rotationY: 0,
-                            scale: 1,
-                            duration: 0.15,
-                            ease: 'power2.out'
-                        }, '-=0.05');
+            const morphConfig = AnimationConfig.morph;
+            if (morphConfig.enabled && diffData.morphed && diffData.morphed.length > 0) {
+                const morphByIndex = new Map(diffData.morphed.map(morph => [morph.toIndex, morph]));
+                const filteredIndices = filterAndSampleWords([...morphByIndex.keys()], allWords)
+                    .slice(0, morphConfig.maxWords);
+
+                console.log(`변형 단어 애니메이션 (${morphConfig.style}): ${diffData.morphed.length}개 → ${filteredIndices.length}개`);
+
+                filteredIndices.forEach((index, i) => {
+                    const element = allWords[index];
+                    const layers = element && buildMorphElement(element, morphByIndex.get(index), morphConfig.style);
+
+                    if (layers) {
+                        const position = filteredIndices.length > 1
+                            ? adjustedStaggerAmount * (i / (filteredIndices.length - 1))
+                            : 0;
+                        addMorphTweens(tl, layers, position);
                     }
                 });
             }
@@ -388,6 +671,9 @@
     function onAnimationComplete(timeline, container) {
         console.log('애니메이션 완료');
 
+        restoreMorphedWords();
+        resetMovedWords();
+
         // 모든 단어의 인라인 스타일 제거
         const words = container.querySelectorAll('.word');
         words.forEach(word => {
@@ -408,8 +694,19 @@
         window.StateManager.setAnimating(false);
     }
 
+    /**
+     * 스크롤 컨테이너 조회 (텍스트 컨테이너를 감싸는 스크롤 영역)
+     *
+     * @param {HTMLElement} container - 텍스트 컨테이너
+     * @returns {HTMLElement} 스크롤 컨테이너
+     */
+    function getScrollContainer(container) {
+        return container.closest('.text-container') || document.getElementById('text-container') || container;
+    }
+
     /**
      * 뷰포트 앵커 설정 (애니메이션 전)
+     * 화면 중앙에 가장 가까운 단어의 위치(data-index)와 화면상 오프셋을 저장합니다.
      *
      * @param {HTMLElement} container - 텍스트 컨테이너
      */
@@ -418,10 +715,10 @@
             return;
         }
 
-        const containerRect = container.getBoundingClientRect();
+        const scrollRect = getScrollContainer(container).getBoundingClientRect();
         const viewportCenter = {
-            x: window.innerWidth / 2,
-            y: window.innerHeight / 2
+            x: scrollRect.left + scrollRect.width / 2,
+            y: scrollRect.top + scrollRect.height / 2
         };
 
         // 뷰포트 중앙에 가장 가까운 단어 찾기
@@ -449,23 +746,77 @@
 
         if (closestWord) {
             const wordText = closestWord.textContent.trim();
-            const wordRect = closestWord.getBoundingClientRect();
-            const offset = wordRect.top - containerRect.top;
+            const offset = closestWord.getBoundingClientRect().top - scrollRect.top;
+            const index = parseInt(closestWord.dataset.index, 10);
 
-            window.StateManager.setViewportAnchor(wordText, offset);
+            window.StateManager.setViewportAnchor(wordText, offset, index);
 
-            console.log(`뷰포트 앵커 설정: "${wordText}" (offset: ${offset.toFixed(2)}px)`);
+            console.log(`뷰포트 앵커 설정: "${wordText}" (#${index}, offset: ${offset.toFixed(2)}px)`);
+        } else {
+            window.StateManager.clearViewportAnchor();
         }
     }
 
     /**
-     * 뷰포트 위치 복원 (애니메이션 후)
+     * 앵커 단어의 목표 레벨 위치 찾기
+     * 1. 앵커 단어가 유지/변형되었으면 그 위치
+     * 2. 제거되었으면 원본 위치가 가장 가까운 살아남은 단어의 위치 (같으면 앞쪽 단어)
+     * 3. 살아남은 단어가 없으면 전체 길이 대비 같은 비율의 위치
      *
-     * @param {HTMLElement} container - 텍스트 컨테이너
+     * @param {number} anchorIndex - 시작 레벨의 앵커 단어 위치
+     * @param {object} diffData - 단어 차이 분석 데이터
+     * @returns {number} 목표 레벨의 단어 위치
+     */
+    function findAnchorTarget(anchorIndex, diffData) {
+        const { kept = [], removed = [], added = [], morphed = [] } = diffData;
+        const survivors = [...kept, ...morphed];
+
+        let closest = null;
+        survivors.forEach(item => {
+            const distance = Math.abs(item.fromIndex - anchorIndex);
+            if (!closest || distance < closest.distance ||
+                (distance === closest.distance && item.fromIndex < closest.item.fromIndex)) {
+                closest = { item, distance };
+            }
+        });
+
+        if (closest) {
+            return closest.item.toIndex;
+        }
+
+        const fromCount = survivors.length + removed.length;
+        const toCount = survivors.length + added.length;
+        return fromCount > 0 ? Math.floor(anchorIndex / fromCount * toCount) : 0;
+    }
+
+    /**
+     * 뷰포트 위치 복원 (텍스트 교체 후, 애니메이션 전)
+     * captureViewportAnchor()로 저장한 앵커 단어(제거되었으면 가장 가까운 살아남은 단어)가
+     * 이전과 같은 화면 오프셋에 오도록 스크롤합니다.
+     *
+     * @param {HTMLElement} container - 텍스트 컨테이너 (목표 레벨 텍스트가 렌더링된 상태)
+     * @param {object} diffData - 단어 차이 분석 데이터
      */
-    function restoreViewportPosition(container) {
-        // 애니메이션 완료 후 스크롤 위치는 자동으로 유지되므로 별도 처리 불필요
-        // 필요시 앵커 기반 복원 로직 추가 가능
+    function restoreViewportPosition(container, diffData) {
+        const anchor = window.StateManager.getViewportAnchor();
+        if (!container || !diffData || anchor.index === null || anchor.index === undefined) {
+            return;
+        }
+
+        const targetIndex = findAnchorTarget(anchor.index, diffData);
+        // 가상화된 문서에서는 목표 단어의 문단이 아직 렌더링되지 않았을 수 있음
+        const target = window.VirtualRenderer
+            ? window.VirtualRenderer.getWordElement(targetIndex)
+            : container.querySelector(`.word[data-index="${targetIndex}"]`);
+        if (!target) {
+            return;
+        }
+
+        const scrollContainer = getScrollContainer(container);
+        const currentOffset = target.getBoundingClientRect().top - scrollContainer.getBoundingClientRect().top;
+        scrollContainer.scrollTop += currentOffset - anchor.offset;
+
+        console.log(`뷰포트 위치 복원: #${anchor.index} → #${targetIndex} "${target.textContent.trim()}"`);
     }
 
     /**
@@ -514,6 +865,8 @@
         if (AnimationState.gsapTimeline) {
             AnimationState.gsapTimeline.kill();
         }
+        restoreMorphedWords();
+        resetMovedWords();
 
         AnimationState.isRunning = false;
         AnimationState.currentTimeline = null;
@@ -543,6 +896,7 @@
     // 전역 객체로 내보내기
     window.Animator = {
         createTimeline,
+        captureLayout,
         executeTimeline,
         stopAnimation,
         getProgress,
@@ -14,6 +14,18 @@
         // 캐시 사용 여부
         useCache: true,
 
+        // 초기 문서 ID (null: 서버 기본 예제 문서)
+        documentId: null,
+
+        // 요약 생성 스트리밍 사용 여부 (SSE, 레벨별 점진 표시)
+        streamSummaries: true,
+
+        // 연속 줌 사용 여부 (핀치/휠 스케일을 임의 비율로 변환, false: 레벨 단위 이동)
+        continuousZoom: false,
+
+        // 요약 문장 탭 시 펼칠 출처 레벨 (현재 레벨보다 낮아야 함, 아니면 바로 아래 레벨)
+        inlineExpandLevel: 0,
+
         // 자동 초기화 여부
         autoInit: true,
 
@@ -21,6 +33,36 @@
         debug: false
     };
 
+    /**
+     * 진행 중인 요약 생성 상태
+     */
+    const SummaryState = {
+        // 진행 중인 요약 생성 Promise (없으면 null)
+        generation: null,
+
+        // 텍스트 도착을 기다리는 레벨 (없으면 null)
+        pendingLevel: null
+    };
+
+    /**
+     * 연속 줌 요청 상태
+     */
+    const ZoomState = {
+        // 마지막 요청 번호 (늦게 도착한 이전 응답 무시용)
+        requestId: 0
+    };
+
+    /**
+     * 문장 부분 확대 상태
+     */
+    const ExpansionState = {
+        // 펼친 문장 (시작 어절 위치 → { endWord, element })
+        expanded: new Map(),
+
+        // 요청 중인 문장 시작 어절 위치 (중복 요청 방지)
+        pending: new Set()
+    };
+
     /**
      * 애플리케이션 초기화
      */
@@ -30,16 +72,19 @@
         console.log('='.repeat(50));
 
         try {
-            // 1. 제스처 초기화
+            // 1. 레벨 사다리 로드
+            await loadLevelLadder();
+
+            // 2. 제스처 초기화
             initGestures();
 
-            // 2. 이벤트 리스너 등록
+            // 3. 이벤트 리스너 등록
             registerEventListeners();
 
-            // 3. 초기 텍스트 로드
+            // 4. 초기 텍스트 로드
             await loadInitialText();
 
-            // 4. UI 초기화
+            // 5. UI 초기화
             initializeUI();
 
             console.log('✓ 애플리케이션 초기화 완료');
@@ -51,6 +96,28 @@
         }
     }
 
+    /**
+     * 레벨 사다리 로드
+     * 서버에서 줌 레벨 구성을 받아 제스처, 슬라이더, 레이블에 반영합니다.
+     * 실패하면 기본 사다리(Level 0-3)를 사용합니다.
+     */
+    async function loadLevelLadder() {
+        try {
+            const response = await window.Utils.fetchLevels();
+
+            if (response && response.success && response.data) {
+                window.StateManager.setLevelLadder(response.data.levels);
+            }
+        } catch (error) {
+            console.warn('⚠ 레벨 사다리 로드 실패 - 기본 사다리를 사용합니다:', error.message);
+        }
+
+        const slider = document.getElementById('level-range');
+        if (slider) {
+            slider.max = window.StateManager.getMaxLevel();
+        }
+    }
+
     /**
      * 제스처 초기화
      */
@@ -59,6 +126,7 @@
 
         // 자동으로 디바이스 타입 감지하여 적절한 제스처 활성화
         window.GestureManager.initAllGestures();
+        window.GestureManager.setContinuousMode(AppConfig.continuousZoom);
     }
 
     /**
@@ -70,6 +138,7 @@
         // StateManager 이벤트 리스너
         window.StateManager.addEventListener('levelChange', handleLevelChange);
         window.StateManager.addEventListener('textChange', handleTextChange);
+        window.StateManager.addEventListener('ratioChange', handleRatioChange);
         window.StateManager.addEventListener('animationStateChange', handleAnimationStateChange);
 
         console.log('✓ 이벤트 리스너 등록 완료');
@@ -80,27 +149,44 @@
      */
     async function loadInitialText() {
         console.log('초기 텍스트 로딩 중...');
-        window.Utils.showLoading('example.txt 로딩 중...');
+        await loadDocument(AppConfig.documentId);
+    }
+
+    /**
+     * 문서 로드
+     * 원문(Level 0)을 표시하고, 저장된 요약이 없으면 요약 생성을 시작합니다.
+     *
+     * @param {string|null} documentId - 문서 ID (null: 서버 기본 예제 문서)
+     */
+    async function loadDocument(documentId) {
+        window.Utils.showLoading('문서 로딩 중...');
+
+        let needsSummaries = false;
+        let originalText = null;
 
         try {
-            // example.txt 가져오기
-            const response = await window.Utils.fetchExampleText();
+            // 원문 가져오기
+            const response = await window.Utils.fetchExampleText(documentId);
 
             if (!response || !response.success || !response.data || !response.data.text) {
                 throw new Error('텍스트 데이터를 가져올 수 없습니다.');
             }
 
-            const originalText = response.data.text;
-            console.log(`원문 로드 완료: ${originalText.length}자`);
+            originalText = response.data.text;
+            const resolvedId = response.data.documentId || documentId;
+            console.log(`원문 로드 완료: ${resolvedId} (${originalText.length}자)`);
 
-            // StateManager에 원문 저장
+            // StateManager에 문서 ID와 원문 저장
+            window.StateManager.setDocumentId(resolvedId);
             window.StateManager.setOriginalText(originalText);
 
             // 화면에 원문 표시
             displayText(originalText, 0);
 
-            // 요약 생성 (백그라운드)
-            generateSummaries(originalText);
+            // 저장된 요약 레벨 확인 (있으면 레벨 전환 시 서버에서 가져옴)
+            const docResponse = await window.Utils.fetchDocument(resolvedId);
+            const levels = (docResponse && docResponse.data && docResponse.data.levels) || [];
+            needsSummaries = !window.StateManager.getSummaryLevels().every(level => levels.includes(level));
 
         } catch (error) {
             console.error('텍스트 로딩 실패:', error);
@@ -108,52 +194,211 @@
         } finally {
             window.Utils.hideLoading();
         }
+
+        // 요약 생성 (백그라운드)
+        if (needsSummaries && originalText) {
+            generateSummaries(originalText);
+        }
+    }
+
+    /**
+     * 다른 문서로 전환
+     *
+     * @param {string} documentId - 전환할 문서 ID
+     */
+    async function switchDocument(documentId) {
+        if (window.StateManager.isAnimating()) {
+            console.log('애니메이션 진행 중입니다.');
+            return;
+        }
+
+        console.log(`문서 전환: ${documentId}`);
+
+        window.StateManager.resetState();
+        window.Utils.updateLevelUI(0);
+        window.GestureManager._updateButtonStates(0);
+
+        await loadDocument(documentId);
+    }
+
+    /**
+     * 문서 업로드 후 전환
+     *
+     * @param {string} text - 원문 텍스트
+     * @param {string} title - 문서 제목 (선택)
+     * @returns {Promise<object|null>} 생성된 문서 정보
+     */
+    async function uploadDocument(text, title = null) {
+        try {
+            const response = await window.Utils.uploadDocument(text, title);
+            const document = response.data;
+
+            window.Utils.showSuccess(`문서가 업로드되었습니다: ${document.title}`);
+            await switchDocument(document.id);
+
+            return document;
+        } catch (error) {
+            console.error('문서 업로드 실패:', error);
+            window.Utils.showError('문서 업로드에 실패했습니다: ' + error.message);
+            return null;
+        }
+    }
+
+    /**
+     * 문서 목록 조회
+     *
+     * @returns {Promise<Array<object>>} 문서 정보 배열
+     */
+    async function listDocuments() {
+        try {
+            const response = await window.Utils.fetchDocuments();
+            console.table(response.data);
+            return response.data;
+        } catch (error) {
+            console.error('문서 목록 조회 실패:', error);
+            return [];
+        }
     }
 
     /**
      * 요약 생성 (모든 레벨)
+     * 스트리밍을 지원하면 레벨이 완성되는 즉시 StateManager에 저장합니다.
      *
      * @param {string} originalText - 원문 텍스트
      */
     async function generateSummaries(originalText) {
         console.log('요약 생성 시작...');
-        window.Utils.showLoading('요약 생성 중... (Level 1-3)');
+
+        const documentId = window.StateManager.getDocumentId();
+        const useStreaming = AppConfig.streamSummaries && typeof window.EventSource === 'function';
+
+        SummaryState.generation = useStreaming
+            ? streamSummaries(documentId)
+            : requestSummaries(originalText, documentId);
+
+        try {
+            const completed = await SummaryState.generation;
+
+            if (completed) {
+                window.Utils.showSuccess('요약 생성이 완료되었습니다!');
+            }
+
+        } catch (error) {
+            console.error('요약 생성 실패:', error);
+            window.Utils.showError('요약 생성에 실패했습니다: ' + error.message);
+        } finally {
+            SummaryState.generation = null;
+        }
+    }
+
+    /**
+     * 요약 스트리밍 (SSE)
+     * 사용자는 마지막 레벨이 생성되는 동안에도 완성된 레벨로 이동할 수 있습니다.
+     *
+     * @param {string} documentId - 문서 ID
+     * @returns {Promise<boolean>} 현재 문서에 반영되었는지 여부
+     */
+    async function streamSummaries(documentId) {
+        const isCurrentDocument = () => window.StateManager.getDocumentId() === documentId;
+        const receivedChars = {};
+
+        const result = await window.Utils.streamSummary(documentId, AppConfig.useCache, {
+            onLevelStart: (level) => {
+                receivedChars[level] = 0;
+                console.log(`Level ${level} 생성 시작`);
+            },
+            onDelta: (level, content) => {
+                receivedChars[level] = (receivedChars[level] || 0) + content.length;
+
+                // 해당 레벨을 기다리는 중이면 진행 상황 표시
+                if (SummaryState.pendingLevel === level) {
+                    window.Utils.showLoading(`Level ${level} 생성 중... (${receivedChars[level]}자)`);
+                }
+            },
+            onLevel: (level, summary) => {
+                if (!isCurrentDocument() || !summary) return;
+
+                console.log(`Level ${level} 수신 완료`);
+                window.StateManager.setText(level, summary.text, summary.metadata);
+            }
+        });
+
+        console.log('요약 스트리밍 완료:', result);
+        return isCurrentDocument();
+    }
+
+    /**
+     * 요약 일괄 요청 (스트리밍 미지원 시)
+     *
+     * @param {string} originalText - 원문 텍스트
+     * @param {string} documentId - 문서 ID
+     * @returns {Promise<boolean>} 현재 문서에 반영되었는지 여부
+     */
+    async function requestSummaries(originalText, documentId) {
+        window.Utils.showLoading(`요약 생성 중... (Level 1-${window.StateManager.getMaxLevel()})`);
 
         try {
             // 요약 생성 API 호출
-            const response = await window.Utils.fetchSummary(originalText, AppConfig.useCache);
+            const response = await window.Utils.fetchSummary(originalText, AppConfig.useCache, documentId);
 
             if (!response || !response.success || !response.data) {
                 throw new Error('요약 생성 결과가 올바르지 않습니다.');
             }
 
+            // 생성 도중 다른 문서로 전환되었으면 결과 무시
+            if (window.StateManager.getDocumentId() !== documentId) {
+                console.log(`문서가 전환되어 요약 결과를 무시합니다: ${documentId}`);
+                return false;
+            }
+
             console.log('요약 생성 완료:', response.data);
 
             // StateManager에 각 레벨 저장
             const data = response.data;
-            if (data.level1) {
-                window.StateManager.setText(1, data.level1.text, data.level1.metadata);
-            }
-            if (data.level2) {
-                window.StateManager.setText(2, data.level2.text, data.level2.metadata);
-            }
-            if (data.level3) {
-                window.StateManager.setText(3, data.level3.text, data.level3.metadata);
-            }
+            window.StateManager.getSummaryLevels().forEach(level => {
+                const summary = data[`level${level}`];
+                if (summary) {
+                    window.StateManager.setText(level, summary.text, summary.metadata);
+                }
+            });
 
             // 통계 업데이트
             updateStatistics(0);
 
-            window.Utils.showSuccess('요약 생성이 완료되었습니다!');
-
-        } catch (error) {
-            console.error('요약 생성 실패:', error);
-            window.Utils.showError('요약 생성에 실패했습니다: ' + error.message);
+            return true;
         } finally {
             window.Utils.hideLoading();
         }
     }
 
+    /**
+     * 생성 중인 레벨 텍스트 대기
+     * 요약 생성이 끝날 때까지 해당 레벨이 도착하지 않으면 null을 반환합니다.
+     *
+     * @param {number} level - 기다릴 레벨
+     * @returns {Promise<string|null>} 레벨 텍스트 또는 null
+     */
+    function waitForLevelText(level) {
+        return new Promise((resolve) => {
+            const handleText = (event) => {
+                if (event.level === level) {
+                    finish(event.text);
+                }
+            };
+
+            const finish = (text) => {
+                window.StateManager.removeEventListener('textChange', handleText);
+                resolve(text);
+            };
+
+            window.StateManager.addEventListener('textChange', handleText);
+
+            SummaryState.generation
+                .catch(() => null)
+                .then(() => finish(window.StateManager.getText(level)));
+        });
+    }
+
     /**
      * 텍스트 화면에 표시
      *
@@ -168,41 +413,15 @@
             return;
         }
 
-        // 기존 내용 삭제
+        // 기존 내용 삭제 (펼친 출처 텍스트 포함)
         container.innerHTML = '';
+        container.dataset.level = level;
+        ExpansionState.expanded.clear();
 
-        // 문단으로 분할 (빈 줄 기준)
-        const paragraphs = text.split(/\n\s*\n/);
-        const fragment = document.createDocumentFragment();
-        let wordIndex = 0;
-
-        paragraphs.forEach((paragraph, pIndex) => {
-            if (paragraph.trim()) {
-                // 문단 컨테이너 생성
-                const pDiv = document.createElement('div');
-                pDiv.className = 'paragraph';
-                pDiv.style.marginBottom = '1em';
-
-                // 단어 단위로 분할하여 표시
-                const words = paragraph.split(/\s+/);
-                words.forEach((word) => {
-                    if (word.trim()) {
-                        const span = document.createElement('span');
-                        span.className = 'word word-transition';
-                        span.textContent = word + ' ';
-                        span.dataset.index = wordIndex;
-                        pDiv.appendChild(span);
-                        wordIndex++;
-                    }
-                });
-
-                fragment.appendChild(pDiv);
-            }
-        });
+        // 뷰포트 근처 문단만 단어 요소로 렌더링 (긴 문서 가상화)
+        const { wordCount, paragraphCount, virtualized } = window.VirtualRenderer.render(container, text);
 
-        container.appendChild(fragment);
-
-        console.log(`텍스트 표시 완료: Level ${level}, ${wordIndex}개 단어, ${paragraphs.length}개 문단`);
+        console.log(`텍스트 표시 완료: Level ${level}, ${wordCount}개 단어, ${paragraphCount}개 문단${virtualized ? ' (가상화)' : ''}`);
     }
 
     /**
@@ -214,185 +433,236 @@
 
         // 버튼 상태 업데이트
         window.GestureManager._updateButtonStates(0);
+
+        // 요약 문장 탭 → 출처 펼치기
+        const textContent = document.getElementById('text-content');
+        if (textContent) {
+            textContent.addEventListener('click', handleSentenceTap);
+        }
     }
 
     /**
-     * 레벨 변경 이벤트 핸들러
+     * 요약 문장 탭 핸들러
+     * 탭한 문장의 출처 텍스트를 문장 바로 아래에 펼칩니다 (전역 레벨은 유지).
+     * 이미 펼친 문장을 다시 탭하면 접습니다.
      *
-     * @param {object} event - 이벤트 데이터 { oldLevel, newLevel }
+     * @param {Event} event - 클릭 이벤트
      */
-    async function handleLevelChange(event) {
-        const { oldLevel, newLevel } = event;
+    async function handleSentenceTap(event) {
+        const wordEl = event.target.closest('.word');
+        const level = window.StateManager.getLevel();
 
-        console.log(`레벨 변경 이벤트: ${oldLevel} → ${newLevel}`);
+        // 원문, 애니메이션 중, 연속 줌 보간 텍스트는 대상 아님
+        if (!wordEl || level === 0 || window.StateManager.isAnimating() ||
+            window.StateManager.getZoomRatio() !== null) {
+            return;
+        }
 
-        // 새 레벨 텍스트 가져오기
-        let newText = window.StateManager.getText(newLevel);
+        // 텍스트를 드래그해 선택한 경우 무시
+        if (window.getSelection && window.getSelection().toString().length > 0) {
+            return;
+        }
 
-        // 텍스트가 없으면 서버에서 가져오기
-        if (!newText) {
-            console.log(`Level ${newLevel} 텍스트가 없습니다. 서버에서 가져옵니다...`);
-            window.Utils.showLoading(`Level ${newLevel} 로딩 중...`);
+        const wordIndex = parseInt(wordEl.dataset.index);
 
-            try {
-                const originalText = window.StateManager.getOriginalText();
-                const response = await window.Utils.fetchTextLevel(newLevel, originalText);
+        // 이미 펼친 문장이면 접기
+        for (const [startWord, expansion] of ExpansionState.expanded) {
+            if (wordIndex >= startWord && wordIndex <= expansion.endWord) {
+                collapseSentence(startWord);
+                return;
+            }
+        }
 
-                if (!response || !response.success || !response.data || !response.data.text) {
-                    throw new Error('레벨 텍스트를 가져올 수 없습니다.');
-                }
+        if (ExpansionState.pending.has(wordIndex)) {
+            return;
+        }
 
-                newText = response.data.text;
-                window.StateManager.setText(newLevel, newText, response.data.metadata);
+        const documentId = window.StateManager.getDocumentId();
+        const toLevel = AppConfig.inlineExpandLevel < level ? AppConfig.inlineExpandLevel : level - 1;
 
-            } catch (error) {
-                console.error('레벨 텍스트 로딩 실패:', error);
-                window.Utils.showError('텍스트를 로드할 수 없습니다.');
-                window.Utils.hideLoading();
+        ExpansionState.pending.add(wordIndex);
+
+        try {
+            const response = await window.Utils.fetchSentenceSource(documentId, level, wordIndex, toLevel);
+
+            if (!response || !response.success || !response.data) {
+                throw new Error('출처 텍스트를 가져올 수 없습니다.');
+            }
+
+            // 응답 전에 레벨이나 문서가 바뀌었으면 무시
+            if (window.StateManager.getLevel() !== level || window.StateManager.getDocumentId() !== documentId) {
                 return;
-            } finally {
-                window.Utils.hideLoading();
             }
-        }
 
-        // 레벨 전환 애니메이션 실행
-        await transitionToLevel(oldLevel, newLevel);
+            expandSentence(response.data);
+
+        } catch (error) {
+            console.error('문장 출처 펼치기 실패:', error);
+            window.Utils.showError('출처 텍스트를 불러오지 못했습니다.');
+        } finally {
+            ExpansionState.pending.delete(wordIndex);
+        }
     }
 
     /**
-     * 서버 응답 데이터를 클라이언트 형식으로 변환
+     * 단어 요소 조회
+     * 가상화된 문서에서는 화면 밖 문단이 자리 표시자로 바뀌어 있을 수 있으므로 문단을 다시 렌더링해 찾습니다.
      *
-     * 서버는 소문자로 정규화된 단어를 반환하므로,
-     * 원본 텍스트의 실제 대소문자를 유지한 단어와 매칭해야 함
+     * @param {HTMLElement} container - 텍스트 컨테이너
+     * @param {number} index - 단어 위치 (data-index)
+     * @returns {HTMLElement|null} 단어 요소
+     */
+    function getWordElement(container, index) {
+        return window.VirtualRenderer
+            ? window.VirtualRenderer.getWordElement(index)
+            : container.querySelector(`.word[data-index="${index}"]`);
+    }
+
+    /**
+     * 문장 아래에 출처 텍스트 펼치기
      *
-     * @param {object} diffData - 서버에서 받은 차이 분석 데이터
-     * @param {string} fromText - 원본 텍스트
-     * @param {string} toText - 대상 텍스트
-     * @returns {object} 변환된 차이 분석 데이터
-     */
-    function transformDiffData(diffData, fromText, toText) {
-        // fromText와 toText를 단어로 분할 (원본 대소문자 유지)
-        const fromWords = fromText.split(/\s+/).filter(w => w.trim());
-        const toWords = toText.split(/\s+/).filter(w => w.trim());
-
-        console.log(`변환 시작: fromWords=${fromWords.length}개, toWords=${toWords.length}개`);
-        console.log('원본 diffData:', diffData);
-
-        // 변환된 데이터를 저장할 객체
-        const transformed = {
-            kept: [],
-            removed: [],
-            added: [],
-            morphed: []
-        };
-
-        // toText 기준으로 매칭 (새 텍스트에 실제로 존재하는 단어만 kept/added로 분류)
-        // 서버에서 받은 단어 개수를 카운트해서 정확히 그만큼만 매칭
-        const usedToIndices = new Set();
-
-        // kept 배열 변환 - toText 기준
-        if (diffData.kept && Array.isArray(diffData.kept)) {
-            console.log('서버에서 받은 kept 단어 샘플 (첫 5개):', diffData.kept.slice(0, 5));
-            console.log('클라이언트 toWords 샘플 (첫 5개):', toWords.slice(0, 5));
-
-            // 서버 kept 단어별 개수 카운트
-            const keptWordCounts = {};
-            diffData.kept.forEach(w => {
-                const word = (typeof w === 'string' ? w : w.word || '').toLowerCase();
-                keptWordCounts[word] = (keptWordCounts[word] || 0) + 1;
-            });
+     * @param {object} data - 출처 조회 결과 { sentence, toLevel, text }
+     */
+    function expandSentence(data) {
+        const { sentence, toLevel, text } = data;
+        const container = document.getElementById('text-content');
+        const lastWordEl = container && getWordElement(container, sentence.endWord);
 
-            // toText의 각 단어를 개수만큼만 매칭
-            toWords.forEach((word, index) => {
-                const lowerWord = word.toLowerCase();
-                if (keptWordCounts[lowerWord] > 0 && !usedToIndices.has(index)) {
-                    transformed.kept.push({ word: word, index: index });
-                    usedToIndices.add(index);
-                    keptWordCounts[lowerWord]--;  // 사용한 개수 감소
-                }
-            });
+        if (ExpansionState.expanded.has(sentence.startWord)) {
+            return;
+        }
+        if (!lastWordEl) {
+            console.warn(`문장 끝 단어를 찾을 수 없습니다: ${sentence.endWord}`);
+            window.Utils.showError('출처 텍스트를 표시할 위치를 찾지 못했습니다.');
+            return;
+        }
 
-            console.log(`kept 변환: ${diffData.kept.length}개 → ${transformed.kept.length}개`);
+        // 탭한 문장 강조
+        for (let i = sentence.startWord; i <= sentence.endWord; i++) {
+            const wordEl = getWordElement(container, i);
+            if (wordEl) wordEl.classList.add('sentence-expanded');
         }
 
-        // added 배열 변환 - toText 기준
-        if (diffData.added && Array.isArray(diffData.added)) {
-            // 서버 added 단어별 개수 카운트
-            const addedWordCounts = {};
-            diffData.added.forEach(w => {
-                const word = (typeof w === 'string' ? w : w.word || '').toLowerCase();
-                addedWordCounts[word] = (addedWordCounts[word] || 0) + 1;
-            });
+        // 출처 블록 구성 (문단 구조 유지)
+        const expansionEl = document.createElement('div');
+        expansionEl.className = 'inline-expansion';
 
-            // toText의 각 단어를 개수만큼만 매칭 (kept에서 사용 안 된 것만)
-            toWords.forEach((word, index) => {
-                const lowerWord = word.toLowerCase();
-                if (addedWordCounts[lowerWord] > 0 && !usedToIndices.has(index)) {
-                    transformed.added.push({ word: word, index: index });
-                    usedToIndices.add(index);
-                    addedWordCounts[lowerWord]--;  // 사용한 개수 감소
-                }
-            });
+        const labelEl = document.createElement('div');
+        labelEl.className = 'inline-expansion-label';
+        labelEl.textContent = window.StateManager.getLevelDescription(toLevel);
+        expansionEl.appendChild(labelEl);
 
-            console.log(`added 변환: ${diffData.added.length}개 → ${transformed.added.length}개`);
-        }
+        (text || '출처 문장을 찾지 못했습니다.').split(/\n\s*\n/).forEach(paragraph => {
+            const pEl = document.createElement('p');
+            pEl.textContent = paragraph;
+            expansionEl.appendChild(pEl);
+        });
 
-        // removed 배열 변환 - fromText 기준 (removed는 fromText에만 존재)
-        if (diffData.removed && Array.isArray(diffData.removed)) {
-            // 서버 removed 단어별 개수 카운트
-            const removedWordCounts = {};
-            diffData.removed.forEach(w => {
-                const word = (typeof w === 'string' ? w : w.word || '').toLowerCase();
-                removedWordCounts[word] = (removedWordCounts[word] || 0) + 1;
-            });
+        // 출처 블록 탭 → 접기
+        expansionEl.addEventListener('click', (event) => {
+            event.stopPropagation();
+            collapseSentence(sentence.startWord);
+        });
 
-            const usedFromIndices = new Set();
+        lastWordEl.after(expansionEl);
+        ExpansionState.expanded.set(sentence.startWord, { endWord: sentence.endWord, element: expansionEl });
 
-            fromWords.forEach((word, index) => {
-                const lowerWord = word.toLowerCase();
-                if (removedWordCounts[lowerWord] > 0 && !usedFromIndices.has(index)) {
-                    transformed.removed.push({ word: word, index: index });
-                    usedFromIndices.add(index);
-                    removedWordCounts[lowerWord]--;  // 사용한 개수 감소
-                }
-            });
+        gsap.from(expansionEl, {
+            height: 0,
+            opacity: 0,
+            duration: 0.3,
+            ease: 'power2.out',
+            clearProps: 'height'
+        });
+
+        console.log(`문장 출처 펼침: Level ${data.level} 문장 ${sentence.index} → Level ${toLevel} (${data.sources.length}문장)`);
+    }
 
-            console.log(`removed 변환: ${diffData.removed.length}개 → ${transformed.removed.length}개`);
+    /**
+     * 펼친 출처 텍스트 접기
+     *
+     * @param {number} startWord - 문장 시작 어절 위치
+     */
+    function collapseSentence(startWord) {
+        const expansion = ExpansionState.expanded.get(startWord);
+        if (!expansion) {
+            return;
         }
 
-        // morphed 배열 변환
-        if (diffData.morphed && Array.isArray(diffData.morphed)) {
-            diffData.morphed.forEach(morph => {
-                // morph가 객체가 아니면 건너뛰기
-                if (typeof morph !== 'object' || morph === null) return;
+        ExpansionState.expanded.delete(startWord);
 
-                // 서버 응답 형식: {source, target, similarity}
-                const sourceWordLower = (morph.source || '').toLowerCase();
-                const targetWordLower = (morph.target || '').toLowerCase();
-                const similarity = morph.similarity || 0;
+        const container = document.getElementById('text-content');
+        for (let i = startWord; i <= expansion.endWord; i++) {
+            const wordEl = getWordElement(container, i);
+            if (wordEl) wordEl.classList.remove('sentence-expanded');
+        }
 
-                if (!sourceWordLower || !targetWordLower) return;
+        gsap.to(expansion.element, {
+            height: 0,
+            opacity: 0,
+            duration: 0.2,
+            ease: 'power2.in',
+            onComplete: () => expansion.element.remove()
+        });
+    }
 
-                // fromWords에서 source 찾기
-                const fromIdx = fromWords.findIndex(w => w.toLowerCase() === sourceWordLower);
+    /**
+     * 레벨 변경 이벤트 핸들러
+     *
+     * @param {object} event - 이벤트 데이터 { oldLevel, newLevel }
+     */
+    async function handleLevelChange(event) {
+        const { oldLevel, newLevel } = event;
 
-                // toWords에서 target 찾기
-                const toIdx = toWords.findIndex(w => w.toLowerCase() === targetWordLower);
+        console.log(`레벨 변경 이벤트: ${oldLevel} → ${newLevel}`);
 
-                if (fromIdx >= 0 && toIdx >= 0) {
-                    transformed.morphed.push({
-                        from: { word: fromWords[fromIdx], index: fromIdx },
-                        to: { word: toWords[toIdx], index: toIdx },
-                        similarity: similarity
-                    });
+        // 새 레벨 텍스트 가져오기
+        let newText = window.StateManager.getText(newLevel);
+
+        // 요약 생성 중이면 해당 레벨이 도착할 때까지 대기 (대기 중 레벨 변경 차단)
+        if (!newText && SummaryState.generation) {
+            console.log(`Level ${newLevel} 생성 대기 중...`);
+            SummaryState.pendingLevel = newLevel;
+            window.StateManager.setAnimating(true);
+            window.Utils.showLoading(`Level ${newLevel} 생성 중...`);
+
+            try {
+                newText = await waitForLevelText(newLevel);
+            } finally {
+                SummaryState.pendingLevel = null;
+                window.StateManager.setAnimating(false);
+                window.Utils.hideLoading();
+            }
+        }
+
+        // 텍스트가 없으면 서버에서 가져오기
+        if (!newText) {
+            console.log(`Level ${newLevel} 텍스트가 없습니다. 서버에서 가져옵니다...`);
+            window.Utils.showLoading(`Level ${newLevel} 로딩 중...`);
+
+            try {
+                const documentId = window.StateManager.getDocumentId();
+                const response = await window.Utils.fetchTextLevel(newLevel, documentId);
+
+                if (!response || !response.success || !response.data || !response.data.text) {
+                    throw new Error('레벨 텍스트를 가져올 수 없습니다.');
                 }
-            });
 
-            console.log(`morphed 변환: ${diffData.morphed.length}개 → ${transformed.morphed.length}개`);
+                newText = response.data.text;
+                window.StateManager.setText(newLevel, newText, response.data.metadata);
+
+            } catch (error) {
+                console.error('레벨 텍스트 로딩 실패:', error);
+                window.Utils.showError('텍스트를 로드할 수 없습니다.');
+                window.Utils.hideLoading();
+                return;
+            } finally {
+                window.Utils.hideLoading();
+            }
         }
 
-        console.log('변환 완료:', transformed);
-        return transformed;
+        // 레벨 전환 애니메이션 실행
+        await transitionToLevel(oldLevel, newLevel);
     }
 
     /**
@@ -413,22 +683,22 @@
         }
 
         try {
-            // 차이 분석 가져오기
+            // 차이 분석 가져오기 (문서가 있으면 서버에 미리 계산된 레벨 쌍 차이 사용)
             const fromText = window.StateManager.getText(fromLevel);
             const toText = window.StateManager.getText(toLevel);
+            const documentId = window.StateManager.getDocumentId();
 
-            const diffResponse = await window.Utils.fetchTransitionDiff(fromText, toText, false);
+            const diffResponse = documentId
+                ? await window.Utils.fetchLevelDiff(documentId, fromLevel, toLevel)
+                : await window.Utils.fetchTransitionDiff(fromText, toText, false);
 
             if (!diffResponse || !diffResponse.success || !diffResponse.data) {
                 throw new Error('차이 분석 실패');
             }
 
-            let diffData = diffResponse.data;
-            console.log('차이 분석 원본:', diffData);
-
-            // 데이터 변환: 단어 배열을 {word, index} 객체 배열로 변환
-            diffData = transformDiffData(diffData, fromText, toText);
-            console.log('차이 분석 변환 후:', diffData);
+            // 서버가 단어별 위치(fromIndex/toIndex)를 정렬해서 반환
+            const diffData = diffResponse.data;
+            console.log('차이 분석:', diffData);
 
             // 타임라인 생성
             const timeline = window.Animator.createTimeline(fromLevel, toLevel, diffData);
@@ -441,7 +711,11 @@
             // Zoom In/Out 모두 동일: 텍스트 교체 → 단일 애니메이션 실행
             console.log(`${timeline.direction === 'out' ? 'Zoom Out' : 'Zoom In'}: 텍스트 교체 → 애니메이션`);
 
-            // Phase 0: 사라지는 단어에 짧은 fade out (removed가 있을 때만)
+            // Phase 0: 읽던 위치(앵커)와 유지 단어의 현재 위치 측정 (교체 후 복원/이동하기 위함)
+            window.Animator.captureViewportAnchor(textContent);
+            window.Animator.captureLayout(timeline, textContent);
+
+            // Phase 0.5: 사라지는 단어에 짧은 fade out (removed가 있을 때만)
             if (diffData.removed && diffData.removed.length > 0) {
                 console.log(`사라지는 단어 fade out: ${diffData.removed.length}개`);
                 await new Promise(resolve => {
@@ -462,6 +736,10 @@
                 gsap.set(textContent, { opacity: 1 });
             }
 
+            // Phase 1.6: 앵커 단어가 같은 화면 위치에 오도록 스크롤 (유지 단어 이동 측정 전)
+            window.Animator.restoreViewportPosition(textContent, diffData);
+            window.VirtualRenderer.update(true);
+
             // Phase 2: 애니메이션 실행 (새 toText 기준)
             // animator.js가 direction에 따라 자동으로 적절한 효과 적용
             await window.Animator.executeTimeline(timeline, textContent);
@@ -522,13 +800,85 @@
 
         console.log(`텍스트 변경 이벤트: Level ${level} (${text.length}자)`);
 
-        // 현재 레벨이면 화면 업데이트
-        if (level === window.StateManager.getLevel()) {
+        // 현재 레벨이면 화면 업데이트 (생성 대기 중인 레벨은 전환 애니메이션으로 표시, 연속 줌 중에는 유지)
+        if (level === window.StateManager.getLevel() && level !== SummaryState.pendingLevel &&
+            window.StateManager.getZoomRatio() === null) {
             displayText(text, level);
             updateStatistics(level);
         }
     }
 
+    /**
+     * 연속 줌 비율 변경 이벤트 핸들러
+     * 서버에서 해당 비율의 보간 텍스트를 받아 표시합니다.
+     *
+     * @param {object} event - 이벤트 데이터 { oldRatio, newRatio }
+     */
+    async function handleRatioChange(event) {
+        const { newRatio } = event;
+        const requestId = ++ZoomState.requestId;
+
+        // 비율 해제: 현재 레벨 텍스트로 복귀
+        if (newRatio === null) {
+            const level = window.StateManager.getLevel();
+            const text = window.StateManager.getText(level);
+            if (text) {
+                displayText(text, level);
+                updateStatistics(level);
+            }
+            window.Utils.updateLevelUI(level);
+            return;
+        }
+
+        const documentId = window.StateManager.getDocumentId();
+        const cacheKey = `zoom:${documentId}:${newRatio}`;
+
+        try {
+            let result = window.StateManager.getCache(cacheKey);
+
+            if (!result) {
+                const response = await window.Utils.fetchZoomText(documentId, newRatio);
+
+                if (!response || !response.success || !response.data) {
+                    throw new Error('연속 줌 텍스트를 가져올 수 없습니다.');
+                }
+
+                result = response.data;
+                window.StateManager.setCache(cacheKey, result);
+            }
+
+            // 더 최근 요청이 있거나 레벨 단위로 이동했으면 무시
+            if (requestId !== ZoomState.requestId || window.StateManager.getZoomRatio() !== newRatio) {
+                return;
+            }
+
+            displayText(result.text, result.fromLevel);
+            window.Utils.updateRatioUI(newRatio);
+
+            const stats = window.Utils.calculateTextStats(result.text);
+            stats.compressionRate = result.achievedRatio;
+            window.Utils.updateStatsUI(stats);
+
+        } catch (error) {
+            console.error('연속 줌 실패:', error);
+        }
+    }
+
+    /**
+     * 연속 줌 모드 설정
+     *
+     * @param {boolean} enabled - 활성화 여부
+     */
+    function setContinuousZoom(enabled) {
+        AppConfig.continuousZoom = !!enabled;
+        window.GestureManager.setContinuousMode(AppConfig.continuousZoom);
+
+        // 비활성화 시 현재 레벨 텍스트로 복귀
+        if (!AppConfig.continuousZoom) {
+            window.StateManager.setZoomRatio(null);
+        }
+    }
+
     /**
      * 애니메이션 상태 변경 이벤트 핸들러
      *
@@ -594,6 +944,7 @@
         // StateManager 리스너 제거
         window.StateManager.removeEventListener('levelChange', handleLevelChange);
         window.StateManager.removeEventListener('textChange', handleTextChange);
+        window.StateManager.removeEventListener('ratioChange', handleRatioChange);
         window.StateManager.removeEventListener('animationStateChange', handleAnimationStateChange);
 
         // 애니메이션 중단
@@ -623,6 +974,12 @@
         init,
         cleanup,
         config: AppConfig,
+        // 문서 라이브러리
+        switchDocument,
+        uploadDocument,
+        listDocuments,
+        // 연속 줌
+        setContinuousZoom,
         // 유틸리티 함수
         showCacheStats,
         clearCache,
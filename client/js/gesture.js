@@ -13,12 +13,22 @@
     const GestureConfig = {
         // 핀치 제스처 설정
         pinch: {
-            minScale: 0.5,      // 최소 스케일 (Level 3)
+            minScale: 0.5,      // 최소 스케일 (최대 레벨)
             maxScale: 2.0,      // 최대 스케일 (Level 0)
             threshold: 0.15,    // 레벨 변경 임계값
             debounceTime: 100   // 디바운스 시간 (ms)
         },
 
+        // 연속 줌 설정 (핀치 스케일 → 원문 대비 비율)
+        continuous: {
+            enabled: false,     // 연속 줌 모드 (false: 레벨 단위 이동)
+            minRatio: 0.05,     // 최소 비율
+            ratioStep: 0.01,    // 비율 단위 (요청 수 제한)
+            throttleTime: 120,  // 비율 갱신 간격 (ms)
+            snapTolerance: 0.03, // 핀치 종료 시 레벨로 맞추는 비율 차이
+            wheelFactor: 0.9    // 휠 한 칸당 비율 배수 (축소 시)
+        },
+
         // 버튼 클릭 설정
         button: {
             cooldown: 300       // 버튼 재클릭 방지 시간 (ms)
@@ -40,6 +50,9 @@
         currentScale: 1.0,
         lastLevel: 0,
 
+        // 연속 줌 시작 비율 (핀치 시작 시점)
+        startRatio: 1.0,
+
         // 포인터 추적
         pointers: new Map(),
 
@@ -62,14 +75,14 @@
             return;
         }
 
-        // + 버튼 (레벨 증가: 0 → 3)
+        // + 버튼 (레벨 증가: 0 → 최대 레벨)
         const handleLevelUp = () => {
             if (GestureState.buttonCooldown) {
                 return;
             }
 
             const currentLevel = window.StateManager.getLevel();
-            const newLevel = Math.min(3, currentLevel + 1);
+            const newLevel = Math.min(window.StateManager.getMaxLevel(), currentLevel + 1);
 
             if (newLevel !== currentLevel) {
                 changeLevelWithAnimation(newLevel);
@@ -77,7 +90,7 @@
             }
         };
 
-        // - 버튼 (레벨 감소: 3 → 0)
+        // - 버튼 (레벨 감소: 최대 레벨 → 0)
         const handleLevelDown = () => {
             if (GestureState.buttonCooldown) {
                 return;
@@ -155,7 +168,7 @@
     /**
      * 레벨 변경 및 애니메이션 트리거
      *
-     * @param {number} newLevel - 변경할 레벨 (0-3)
+     * @param {number} newLevel - 변경할 레벨 (0 ~ 최대 레벨)
      */
     function changeLevelWithAnimation(newLevel) {
         // 애니메이션 중이면 무시
@@ -196,8 +209,8 @@
             return;
         }
 
-        // Level 3이면 + 버튼 비활성화 (더 이상 증가 불가)
-        levelUpBtn.disabled = (level >= 3);
+        // 최대 레벨이면 + 버튼 비활성화 (더 이상 증가 불가)
+        levelUpBtn.disabled = (level >= window.StateManager.getMaxLevel());
 
         // Level 0이면 - 버튼 비활성화 (더 이상 감소 불가)
         levelDownBtn.disabled = (level <= 0);
@@ -222,15 +235,15 @@
                     // Ctrl + '-': 축소 (레벨 증가)
                     event.preventDefault();
                     const currentLevel = window.StateManager.getLevel();
-                    const newLevel = Math.min(3, currentLevel + 1);
+                    const newLevel = Math.min(window.StateManager.getMaxLevel(), currentLevel + 1);
                     if (newLevel !== currentLevel) {
                         changeLevelWithAnimation(newLevel);
                     }
                 }
             }
 
-            // 숫자 키로 직접 레벨 선택 (0-3)
-            if (['0', '1', '2', '3'].includes(event.key)) {
+            // 숫자 키로 직접 레벨 선택 (0 ~ 최대 레벨, 최대 9)
+            if (/^[0-9]$/.test(event.key) && parseInt(event.key) <= window.StateManager.getMaxLevel()) {
                 const newLevel = parseInt(event.key);
                 const currentLevel = window.StateManager.getLevel();
                 if (newLevel !== currentLevel) {
@@ -242,7 +255,7 @@
         document.addEventListener('keydown', handleKeyDown);
         GestureState.handlers.keyDown = handleKeyDown;
 
-        console.log('✓ 키보드 단축키 초기화 완료 (Ctrl +/-, 숫자 0-3)');
+        console.log('✓ 키보드 단축키 초기화 완료 (Ctrl +/-, 숫자 키)');
     }
 
     /**
@@ -262,6 +275,15 @@
             if (event.ctrlKey || event.metaKey) {
                 event.preventDefault();
 
+                // 연속 줌: 휠 한 칸마다 비율을 배수로 변경
+                if (GestureConfig.continuous.enabled) {
+                    const factor = event.deltaY < 0
+                        ? 1 / GestureConfig.continuous.wheelFactor
+                        : GestureConfig.continuous.wheelFactor;
+                    applyZoomRatio(getCurrentRatio() * factor);
+                    return;
+                }
+
                 const currentLevel = window.StateManager.getLevel();
                 let newLevel;
 
@@ -270,7 +292,7 @@
                     newLevel = Math.max(0, currentLevel - 1);
                 } else {
                     // 휠 아래로: 축소 (레벨 증가)
-                    newLevel = Math.min(3, currentLevel + 1);
+                    newLevel = Math.min(window.StateManager.getMaxLevel(), currentLevel + 1);
                 }
 
                 if (newLevel !== currentLevel) {
@@ -376,6 +398,7 @@
         GestureState.initialDistance = distance;
         GestureState.currentScale = 1.0;
         GestureState.lastLevel = window.StateManager.getLevel();
+        GestureState.startRatio = getCurrentRatio();
 
         console.log(`핀치 시작: 초기 거리 = ${distance.toFixed(2)}px`);
     }
@@ -395,6 +418,12 @@
         const scale = currentDistance / GestureState.initialDistance;
         GestureState.currentScale = scale;
 
+        // 연속 줌: 스케일을 비율로 변환
+        if (GestureConfig.continuous.enabled) {
+            applyZoomRatioThrottled(scaleToRatio(scale));
+            return;
+        }
+
         // 스케일을 레벨로 변환
         const newLevel = scaleToLevel(scale);
 
@@ -426,6 +455,11 @@
             GestureState.pinchDebounceTimer = null;
         }
 
+        // 연속 줌: 최종 비율 적용 후 가까운 레벨이면 레벨로 맞춤
+        if (GestureConfig.continuous.enabled && GestureState.isPinching) {
+            finishContinuousZoom(scaleToRatio(GestureState.currentScale));
+        }
+
         // 상태 초기화
         GestureState.isPinching = false;
         GestureState.initialDistance = 0;
@@ -450,10 +484,10 @@
      * 스케일을 레벨로 변환
      *
      * 스케일 범위: 0.5 (축소) ~ 2.0 (확대)
-     * 레벨 범위: 3 (요약) ~ 0 (원문)
+     * 레벨 범위: 최대 레벨 (요약) ~ 0 (원문)
      *
      * @param {number} scale - 현재 스케일
-     * @returns {number} 레벨 (0-3)
+     * @returns {number} 레벨 (0 ~ 최대 레벨)
      */
     function scaleToLevel(scale) {
         // 스케일 제한
@@ -466,8 +500,9 @@
         const normalized = (clampedScale - GestureConfig.pinch.minScale) /
                           (GestureConfig.pinch.maxScale - GestureConfig.pinch.minScale);
 
-        // 0-1 범위를 3-0 레벨로 변환 (역방향)
-        const rawLevel = 3 - (normalized * 3);
+        // 0-1 범위를 최대 레벨-0으로 변환 (역방향)
+        const maxLevel = window.StateManager.getMaxLevel();
+        const rawLevel = maxLevel - (normalized * maxLevel);
 
         // 임계값 적용하여 레벨 변경 결정
         const currentLevel = window.StateManager.getLevel();
@@ -482,15 +517,97 @@
         return currentLevel;
     }
 
+    /**
+     * 현재 표시 중인 텍스트의 원문 대비 비율
+     *
+     * @returns {number} 비율 (0-1)
+     */
+    function getCurrentRatio() {
+        const ratio = window.StateManager.getZoomRatio();
+        return ratio !== null ? ratio : window.StateManager.getLevelRatio(window.StateManager.getLevel());
+    }
+
+    /**
+     * 스케일을 원문 대비 비율로 변환 (연속 줌)
+     * 핀치 시작 시점의 비율에 스케일을 곱합니다 (벌리면 상세, 오므리면 요약).
+     *
+     * @param {number} scale - 현재 스케일
+     * @returns {number} 비율 (minRatio-1)
+     */
+    function scaleToRatio(scale) {
+        const { minRatio } = GestureConfig.continuous;
+        return Math.max(minRatio, Math.min(1, GestureState.startRatio * scale));
+    }
+
+    /**
+     * 연속 줌 비율 적용
+     * 비율 단위로 반올림하여 StateManager에 전달합니다 (리스너가 텍스트 교체).
+     *
+     * @param {number} ratio - 원문 대비 비율
+     */
+    function applyZoomRatio(ratio) {
+        const { minRatio, ratioStep } = GestureConfig.continuous;
+        const clamped = Math.max(minRatio, Math.min(1, ratio));
+        const rounded = Math.round(clamped / ratioStep) * ratioStep;
+
+        window.StateManager.setZoomRatio(parseFloat(rounded.toFixed(4)));
+    }
+
+    // 핀치 이동 중 비율 갱신 (쓰로틀 적용)
+    const applyZoomRatioThrottled = window.Utils.throttle(applyZoomRatio, GestureConfig.continuous.throttleTime);
+
+    /**
+     * 연속 줌 종료 처리
+     * 최종 비율이 레벨 비율과 충분히 가까우면 해당 레벨로 맞춥니다.
+     *
+     * @param {number} ratio - 최종 비율
+     */
+    function finishContinuousZoom(ratio) {
+        const { level, distance } = window.StateManager.getNearestLevel(ratio);
+
+        if (distance > GestureConfig.continuous.snapTolerance) {
+            applyZoomRatio(ratio);
+            return;
+        }
+
+        console.log(`연속 줌 종료: Level ${level}로 맞춤 (비율 차이 ${distance.toFixed(3)})`);
+
+        if (level !== window.StateManager.getLevel()) {
+            changeLevelWithAnimation(level);
+        } else {
+            window.StateManager.setZoomRatio(null);
+        }
+    }
+
+    /**
+     * 연속 줌 모드 설정
+     *
+     * @param {boolean} enabled - 활성화 여부
+     */
+    function setContinuousMode(enabled) {
+        GestureConfig.continuous.enabled = !!enabled;
+        console.log(`연속 줌 모드: ${GestureConfig.continuous.enabled ? '활성' : '비활성'}`);
+    }
+
+    /**
+     * 연속 줌 모드 여부
+     *
+     * @returns {boolean} 활성화 여부
+     */
+    function isContinuousMode() {
+        return GestureConfig.continuous.enabled;
+    }
+
     /**
      * 레벨을 스케일로 변환 (역변환)
      *
-     * @param {number} level - 레벨 (0-3)
+     * @param {number} level - 레벨 (0 ~ 최대 레벨)
      * @returns {number} 스케일
      */
     function levelToScale(level) {
-        // 레벨 3-0을 정규화된 0-1로 변환
-        const normalized = (3 - level) / 3;
+        // 레벨 최대-0을 정규화된 0-1로 변환
+        const maxLevel = window.StateManager.getMaxLevel();
+        const normalized = (maxLevel - level) / maxLevel;
 
         // 0-1을 스케일 범위로 변환
         return GestureConfig.pinch.minScale +
@@ -608,6 +725,8 @@
             currentScale: GestureState.currentScale,
             lastLevel: GestureState.lastLevel,
             pointerCount: GestureState.pointers.size,
+            continuous: GestureConfig.continuous.enabled,
+            zoomRatio: window.StateManager.getZoomRatio(),
             buttonCooldown: GestureState.buttonCooldown
         };
     }
@@ -619,10 +738,13 @@
         initAllGestures,
         cleanup,
         getGestureState,
+        setContinuousMode,
+        isContinuousMode,
         // 내부 함수 (테스트/디버깅용)
         _changeLevelWithAnimation: changeLevelWithAnimation,
         _updateButtonStates: updateButtonStates,
         _scaleToLevel: scaleToLevel,
+        _scaleToRatio: scaleToRatio,
         _levelToScale: levelToScale
     };
 
@@ -12,21 +12,33 @@
      * 애플리케이션 상태 객체
      */
     const AppState = {
-        // 현재 요약 레벨 (0: 원문, 1-3: 요약)
+        // 현재 요약 레벨 (0: 원문, 1 이상: 요약)
         currentLevel: 0,
 
+        // 줌 레벨 사다리 (서버 GET /api/levels, 로드 전에는 기본 사다리)
+        levels: [
+            { level: 0, name: '원문', label: 'ORIGINAL', targetCompression: null },
+            { level: 1, name: '1차 요약', label: 'SUMMARY I', targetCompression: '70-80%' },
+            { level: 2, name: '2차 요약', label: 'SUMMARY II', targetCompression: '40-50%' },
+            { level: 3, name: '최종 요약', label: 'SUMMARY III', targetCompression: '10-20%' }
+        ],
+
         // 레벨별 텍스트 데이터
         texts: new Map(),
 
         // 레벨별 메타데이터
         metadata: new Map(),
 
+        // 연속 줌 비율 (원문 대비 0-1, null: 레벨 텍스트 표시 중)
+        zoomRatio: null,
+
         // 애니메이션 진행 중 여부
         isAnimating: false,
 
         // 뷰포트 앵커 (읽던 위치 추적)
         viewportAnchor: {
             word: null,
+            index: null,
             offset: 0
         },
 
@@ -36,10 +48,14 @@
         // 원문 텍스트
         originalText: null,
 
+        // 현재 문서 ID (null: 서버 기본 예제 문서)
+        documentId: null,
+
         // 이벤트 리스너
         listeners: {
             levelChange: [],
             textChange: [],
+            ratioChange: [],
             animationStateChange: []
         }
     };
@@ -56,13 +72,13 @@
     /**
      * 레벨 설정
      *
-     * @param {number} level - 설정할 레벨 (0-3)
+     * @param {number} level - 설정할 레벨 (0 ~ 최대 레벨)
      * @returns {boolean} 성공 여부
      */
     function setLevel(level) {
         const newLevel = parseInt(level);
 
-        if (![0, 1, 2, 3].includes(newLevel)) {
+        if (!(newLevel >= 0 && newLevel <= getMaxLevel())) {
             console.error('유효하지 않은 레벨:', level);
             return false;
         }
@@ -75,6 +91,9 @@
         const oldLevel = AppState.currentLevel;
         AppState.currentLevel = newLevel;
 
+        // 레벨 단위 이동은 연속 줌 비율을 해제
+        AppState.zoomRatio = null;
+
         console.log(`레벨 변경: ${oldLevel} → ${newLevel}`);
 
         // 리스너 호출
@@ -83,6 +102,142 @@
         return true;
     }
 
+    /**
+     * 레벨 사다리 설정
+     *
+     * @param {Array<object>} levels - 레벨 목록 [{ level, name, label, targetCompression }, ...]
+     * @returns {boolean} 성공 여부
+     */
+    function setLevelLadder(levels) {
+        if (!Array.isArray(levels) || levels.length < 2 || levels[0].level !== 0) {
+            console.error('유효하지 않은 레벨 사다리:', levels);
+            return false;
+        }
+
+        AppState.levels = levels;
+
+        // 현재 레벨이 새 사다리 범위를 벗어나면 최대 레벨로 보정
+        if (AppState.currentLevel > getMaxLevel()) {
+            AppState.currentLevel = getMaxLevel();
+        }
+
+        console.log(`레벨 사다리 설정: Level 0-${getMaxLevel()}`);
+        return true;
+    }
+
+    /**
+     * 레벨 사다리 가져오기
+     *
+     * @returns {Array<object>} 레벨 목록 (Level 0 포함)
+     */
+    function getLevels() {
+        return AppState.levels;
+    }
+
+    /**
+     * 요약 레벨 번호 목록 가져오기 (Level 0 제외)
+     *
+     * @returns {Array<number>} 요약 레벨 배열 (예: [1, 2, 3])
+     */
+    function getSummaryLevels() {
+        return AppState.levels.slice(1).map(info => info.level);
+    }
+
+    /**
+     * 최대 레벨 가져오기
+     *
+     * @returns {number} 가장 높은 요약 레벨
+     */
+    function getMaxLevel() {
+        return AppState.levels.length - 1;
+    }
+
+    /**
+     * 레벨 정보 가져오기
+     *
+     * @param {number} level - 레벨
+     * @returns {object|null} 레벨 정보 { level, name, label, targetCompression }
+     */
+    function getLevelInfo(level) {
+        return AppState.levels[level] || null;
+    }
+
+    /**
+     * 연속 줌 비율 가져오기
+     *
+     * @returns {number|null} 원문 대비 비율 (레벨 텍스트 표시 중이면 null)
+     */
+    function getZoomRatio() {
+        return AppState.zoomRatio;
+    }
+
+    /**
+     * 연속 줌 비율 설정
+     *
+     * @param {number|null} ratio - 원문 대비 비율 (0-1, null: 현재 레벨 텍스트로 복귀)
+     * @returns {boolean} 변경 여부
+     */
+    function setZoomRatio(ratio) {
+        const newRatio = ratio === null ? null : Math.max(0, Math.min(1, ratio));
+
+        if (AppState.zoomRatio === newRatio) {
+            return false;
+        }
+
+        const oldRatio = AppState.zoomRatio;
+        AppState.zoomRatio = newRatio;
+
+        notifyListeners('ratioChange', { oldRatio, newRatio });
+
+        return true;
+    }
+
+    /**
+     * 레벨의 원문 대비 비율 가져오기
+     * 텍스트가 있으면 실제 단어 수로, 없으면 레벨 사다리 목표 압축률의 중간값으로 추정합니다.
+     *
+     * @param {number} level - 레벨
+     * @returns {number} 원문 대비 비율 (0-1)
+     */
+    function getLevelRatio(level) {
+        const original = AppState.texts.get(0);
+        const text = AppState.texts.get(level);
+
+        if (level === 0) {
+            return 1;
+        }
+
+        if (original && text) {
+            const { wordCount } = window.Utils.calculateTextStats(text);
+            return wordCount / Math.max(window.Utils.calculateTextStats(original).wordCount, 1);
+        }
+
+        // 목표 압축률은 이전 레벨 대비이므로 누적 곱으로 추정
+        return AppState.levels.slice(1, level + 1).reduce((ratio, info) => {
+            const match = (info.targetCompression || '').match(/(\d+)-(\d+)%/);
+            return match ? ratio * (parseInt(match[1]) + parseInt(match[2])) / 200 : ratio;
+        }, 1);
+    }
+
+    /**
+     * 비율에 가장 가까운 레벨 찾기
+     *
+     * @param {number} ratio - 원문 대비 비율 (0-1)
+     * @returns {object} { level, distance } - distance는 비율 차이
+     */
+    function getNearestLevel(ratio) {
+        let nearest = { level: 0, distance: Infinity };
+
+        AppState.levels.forEach(info => {
+            const distance = Math.abs(getLevelRatio(info.level) - ratio);
+            if (distance < nearest.distance) {
+                nearest = { level: info.level, distance };
+            }
+        });
+
+        return nearest;
+    }
+
     /**
      * 특정 레벨의 텍스트 가져오기
      *
@@ -149,6 +304,25 @@
         return AppState.originalText;
     }
 
+    /**
+     * 현재 문서 ID 설정
+     *
+     * @param {string|null} documentId - 문서 ID
+     */
+    function setDocumentId(documentId) {
+        AppState.documentId = documentId || null;
+        console.log(`문서 설정: ${AppState.documentId || '(기본)'}`);
+    }
+
+    /**
+     * 현재 문서 ID 가져오기
+     *
+     * @returns {string|null} 문서 ID
+     */
+    function getDocumentId() {
+        return AppState.documentId;
+    }
+
     /**
      * 메타데이터 가져오기
      *
@@ -187,10 +361,11 @@
      * 뷰포트 앵커 설정 (읽던 위치)
      *
      * @param {string} word - 앵커 단어
-     * @param {number} offset - 오프셋
+     * @param {number} offset - 오프셋 (스크롤 영역 상단 기준 화면상 위치, px)
+     * @param {number|null} index - 앵커 단어 위치 (data-index)
      */
-    function setViewportAnchor(word, offset = 0) {
-        AppState.viewportAnchor = { word, offset };
+    function setViewportAnchor(word, offset = 0, index = null) {
+        AppState.viewportAnchor = { word, index, offset };
         console.log(`뷰포트 앵커 설정: "${word}" (offset: ${offset})`);
     }
 
@@ -207,7 +382,7 @@
      * 뷰포트 앵커 초기화
      */
     function clearViewportAnchor() {
-        AppState.viewportAnchor = { word: null, offset: 0 };
+        AppState.viewportAnchor = { word: null, index: null, offset: 0 };
     }
 
     /**
@@ -251,7 +426,7 @@
     /**
      * 이벤트 리스너 추가
      *
-     * @param {string} event - 이벤트 타입 (levelChange, textChange, animationStateChange)
+     * @param {string} event - 이벤트 타입 (levelChange, textChange, ratioChange, animationStateChange)
      * @param {Function} callback - 콜백 함수
      */
     function addEventListener(event, callback) {
@@ -312,12 +487,14 @@
      */
     function resetState() {
         AppState.currentLevel = 0;
+        AppState.zoomRatio = null;
         AppState.texts.clear();
         AppState.metadata.clear();
         AppState.isAnimating = false;
-        AppState.viewportAnchor = { word: null, offset: 0 };
+        AppState.viewportAnchor = { word: null, index: null, offset: 0 };
         AppState.cache.clear();
         AppState.originalText = null;
+        AppState.documentId = null;
 
         console.log('상태 초기화 완료');
     }
@@ -330,12 +507,14 @@
     function getStateSnapshot() {
         return {
             currentLevel: AppState.currentLevel,
+            zoomRatio: AppState.zoomRatio,
             textsCount: AppState.texts.size,
             metadataCount: AppState.metadata.size,
             isAnimating: AppState.isAnimating,
             viewportAnchor: { ...AppState.viewportAnchor },
             cacheSize: AppState.cache.size,
-            hasOriginalText: !!AppState.originalText
+            hasOriginalText: !!AppState.originalText,
+            documentId: AppState.documentId
         };
     }
 
@@ -346,14 +525,13 @@
      * @returns {string} 레벨 설명
      */
     function getLevelDescription(level) {
-        const descriptions = {
-            0: '원문',
-            1: 'Level 1 (1차 요약)',
-            2: 'Level 2 (2차 요약)',
-            3: 'Level 3 (최종 요약)'
-        };
+        const info = getLevelInfo(level);
+
+        if (!info) {
+            return '알 수 없음';
+        }
 
-        return descriptions[level] || '알 수 없음';
+        return level === 0 ? info.name : `Level ${level} (${info.name})`;
     }
 
     /**
@@ -362,7 +540,7 @@
      * @returns {boolean} 이동 가능 여부
      */
     function canGoToNextLevel() {
-        return AppState.currentLevel < 3 && !AppState.isAnimating;
+        return AppState.currentLevel < getMaxLevel() && !AppState.isAnimating;
     }
 
     /**
@@ -378,11 +556,22 @@
     window.StateManager = {
         getLevel,
         setLevel,
+        setLevelLadder,
+        getLevels,
+        getSummaryLevels,
+        getMaxLevel,
+        getLevelInfo,
+        getZoomRatio,
+        setZoomRatio,
+        getLevelRatio,
+        getNearestLevel,
         getText,
         getCurrentText,
         setText,
         setOriginalText,
         getOriginalText,
+        setDocumentId,
+        getDocumentId,
         getMetadata,
         isAnimating,
         setAnimating,
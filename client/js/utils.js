@@ -47,12 +47,23 @@
     }
 
     /**
-     * example.txt 텍스트 가져오기
+     * 줌 레벨 사다리 조회
      *
+     * @returns {Promise<object>} 레벨 목록 { levels, maxLevel }
+     */
+    async function fetchLevels() {
+        return apiRequest('/levels');
+    }
+
+    /**
+     * 문서 원문(Level 0) 가져오기
+     *
+     * @param {string} documentId - 문서 ID (선택, 없으면 예제 문서)
      * @returns {Promise<object>} 텍스트 데이터
      */
-    async function fetchExampleText() {
-        return apiRequest('/example-text');
+    async function fetchExampleText(documentId = null) {
+        const query = documentId ? `?documentId=${encodeURIComponent(documentId)}` : '';
+        return apiRequest(`/example-text${query}`);
     }
 
     /**
@@ -60,25 +71,178 @@
      *
      * @param {string} text - 원문 텍스트
      * @param {boolean} useCache - 캐시 사용 여부
+     * @param {string} documentId - 요약을 저장할 문서 ID (선택)
      * @returns {Promise<object>} 요약 결과
      */
-    async function fetchSummary(text, useCache = true) {
+    async function fetchSummary(text, useCache = true, documentId = null) {
         return apiRequest('/summarize', {
             method: 'POST',
-            body: JSON.stringify({ text, useCache })
+            body: JSON.stringify({ text, useCache, documentId })
+        });
+    }
+
+    /**
+     * 요약 생성 스트리밍 (Server-Sent Events)
+     * 레벨이 완성될 때마다 handlers.onLevel이 호출됩니다.
+     *
+     * @param {string} documentId - 문서 ID (선택, 없으면 예제 문서)
+     * @param {boolean} useCache - 캐시 사용 여부
+     * @param {object} handlers - 이벤트 핸들러
+     * @param {Function} handlers.onLevelStart - (level) => void (재시도 시 다시 호출됨)
+     * @param {Function} handlers.onDelta - (level, content) => void
+     * @param {Function} handlers.onLevel - (level, summary) => void
+     * @returns {Promise<object>} 완료 데이터 { metadata, cached }
+     */
+    function streamSummary(documentId = null, useCache = true, handlers = {}) {
+        const params = new URLSearchParams({ useCache: String(useCache) });
+        if (documentId) {
+            params.set('documentId', documentId);
+        }
+
+        const url = `${API_BASE_URL}/summarize/stream?${params.toString()}`;
+        console.log(`API 스트리밍 요청: GET ${url}`);
+
+        return new Promise((resolve, reject) => {
+            const source = new EventSource(url);
+
+            const parse = (event) => {
+                try {
+                    return JSON.parse(event.data);
+                } catch (error) {
+                    return {};
+                }
+            };
+
+            source.addEventListener('level-start', (event) => {
+                const { level } = parse(event);
+                if (handlers.onLevelStart) handlers.onLevelStart(level);
+            });
+
+            source.addEventListener('delta', (event) => {
+                const { level, content } = parse(event);
+                if (handlers.onDelta) handlers.onDelta(level, content);
+            });
+
+            source.addEventListener('level', (event) => {
+                const { level, summary } = parse(event);
+                if (handlers.onLevel) handlers.onLevel(level, summary);
+            });
+
+            source.addEventListener('done', (event) => {
+                source.close();
+                resolve(parse(event));
+            });
+
+            // 서버가 보낸 error 이벤트(data 포함)와 연결 오류(data 없음)를 모두 처리
+            source.addEventListener('error', (event) => {
+                source.close();
+                const message = event.data ? parse(event).error : '스트리밍 연결이 끊어졌습니다.';
+                reject(new Error(message || '요약 스트리밍 실패'));
+            });
         });
     }
 
     /**
      * 특정 레벨 텍스트 조회
      *
-     * @param {number} level - 레벨 (0-3)
-     * @param {string} text - 원문 텍스트
+     * @param {number} level - 레벨 (0 ~ 최대 레벨)
+     * @param {string} documentId - 문서 ID (선택, 없으면 예제 문서)
      * @returns {Promise<object>} 텍스트 데이터
      */
-    async function fetchTextLevel(level, text) {
-        const encodedText = encodeURIComponent(text);
-        return apiRequest(`/text/${level}?text=${encodedText}`);
+    async function fetchTextLevel(level, documentId = null) {
+        const query = documentId ? `?documentId=${encodeURIComponent(documentId)}` : '';
+        return apiRequest(`/text/${level}${query}`);
+    }
+
+    /**
+     * 연속 줌 텍스트 조회 (임의 비율)
+     *
+     * @param {string} documentId - 문서 ID
+     * @param {number} ratio - 원문 대비 비율 (0-1)
+     * @returns {Promise<object>} 보간 결과 { text, ratio, achievedRatio, fromLevel, toLevel }
+     */
+    async function fetchZoomText(documentId, ratio) {
+        return apiRequest(`/documents/${encodeURIComponent(documentId)}/zoom?ratio=${ratio}`);
+    }
+
+    /**
+     * 레벨 간 문장 정렬 (출처 지도) 조회
+     *
+     * @param {string} documentId - 문서 ID
+     * @param {number} fromLevel - 원본 레벨
+     * @param {number} toLevel - 대상 레벨 (기본값: fromLevel + 1)
+     * @returns {Promise<object>} 정렬 결과 { sourceSentences, targetSentences, metadata }
+     */
+    async function fetchAlignment(documentId, fromLevel, toLevel = fromLevel + 1) {
+        return apiRequest(`/documents/${encodeURIComponent(documentId)}/alignment?from=${fromLevel}&to=${toLevel}`);
+    }
+
+    /**
+     * 문서의 레벨 전환 단어 차이 조회 (서버에서 미리 계산)
+     *
+     * @param {string} documentId - 문서 ID
+     * @param {number} fromLevel - 시작 레벨
+     * @param {number} toLevel - 목표 레벨
+     * @returns {Promise<object>} 차이 분석 결과 { kept, removed, added, morphed }
+     */
+    async function fetchLevelDiff(documentId, fromLevel, toLevel) {
+        return apiRequest(`/documents/${encodeURIComponent(documentId)}/diff?from=${fromLevel}&to=${toLevel}`);
+    }
+
+    /**
+     * 요약 문장의 출처 텍스트 조회 (부분 확대)
+     *
+     * @param {string} documentId - 문서 ID
+     * @param {number} level - 현재 레벨
+     * @param {number} wordIndex - 탭한 어절 위치
+     * @param {number} toLevel - 출처 레벨 (기본값: 0)
+     * @returns {Promise<object>} 출처 결과 { sentence, sources, text }
+     */
+    async function fetchSentenceSource(documentId, level, wordIndex, toLevel = 0) {
+        return apiRequest(`/documents/${encodeURIComponent(documentId)}/levels/${level}/expand?word=${wordIndex}&to=${toLevel}`);
+    }
+
+    /**
+     * 문서 목록 조회
+     *
+     * @returns {Promise<object>} 문서 목록
+     */
+    async function fetchDocuments() {
+        return apiRequest('/documents');
+    }
+
+    /**
+     * 문서 정보 조회
+     *
+     * @param {string} documentId - 문서 ID
+     * @returns {Promise<object>} 문서 정보 (사용 가능한 레벨 포함)
+     */
+    async function fetchDocument(documentId) {
+        return apiRequest(`/documents/${encodeURIComponent(documentId)}`);
+    }
+
+    /**
+     * 문서 업로드
+     *
+     * @param {string} text - 원문 텍스트
+     * @param {string} title - 문서 제목 (선택)
+     * @returns {Promise<object>} 생성된 문서 정보
+     */
+    async function uploadDocument(text, title = null) {
+        return apiRequest('/documents', {
+            method: 'POST',
+            body: JSON.stringify({ text, title })
+        });
+    }
+
+    /**
+     * 문서 삭제
+     *
+     * @param {string} documentId - 문서 ID
+     * @returns {Promise<object>} 응답
+     */
+    async function deleteDocument(documentId) {
+        return apiRequest(`/documents/${encodeURIComponent(documentId)}`, { method: 'DELETE' });
     }
 
     /**
@@ -275,18 +439,13 @@
             }, 400);
         }
 
-        // 레벨 레이블 (영문 대문자) - 연계 애니메이션
+        // 레벨 레이블 (영문 대문자, 레벨 사다리 기준) - 연계 애니메이션
         if (levelLabelEl) {
-            const labels = {
-                0: 'ORIGINAL',
-                1: 'SUMMARY I',
-                2: 'SUMMARY II',
-                3: 'SUMMARY III'
-            };
+            const levelInfo = window.StateManager.getLevelInfo(level);
 
             // 레이블 애니메이션 추가
             levelLabelEl.classList.add('level-label-changing');
-            levelLabelEl.textContent = labels[level] || '';
+            levelLabelEl.textContent = levelInfo ? levelInfo.label : '';
 
             setTimeout(() => {
                 levelLabelEl.classList.remove('level-label-changing');
@@ -294,6 +453,32 @@
         }
 
         // 슬라이더 업데이트
+        if (rangeEl) {
+            rangeEl.max = window.StateManager.getMaxLevel();
+            rangeEl.value = level;
+        }
+    }
+
+    /**
+     * 연속 줌 UI 업데이트
+     * 레벨 번호와 슬라이더는 가장 가까운 레벨을, 레이블은 원문 대비 비율을 표시합니다.
+     *
+     * @param {number} ratio - 원문 대비 비율 (0-1)
+     */
+    function updateRatioUI(ratio) {
+        const levelNumberEl = document.getElementById('level-number');
+        const levelLabelEl = document.getElementById('level-label');
+        const rangeEl = document.getElementById('level-range');
+        const { level } = window.StateManager.getNearestLevel(ratio);
+
+        if (levelNumberEl) {
+            levelNumberEl.textContent = level;
+        }
+
+        if (levelLabelEl) {
+            levelLabelEl.textContent = `${Math.round(ratio * 100)}%`;
+        }
+
         if (rangeEl) {
             rangeEl.value = level;
         }
@@ -437,10 +622,20 @@
     // 전역 객체로 내보내기
     window.Utils = {
         apiRequest,
+        fetchLevels,
         fetchExampleText,
         fetchSummary,
+        streamSummary,
         fetchTextLevel,
+        fetchZoomText,
+        fetchAlignment,
+        fetchSentenceSource,
+        fetchDocuments,
+        fetchDocument,
+        uploadDocument,
+        deleteDocument,
         fetchTransitionDiff,
+        fetchLevelDiff,
         fetchCacheStats,
         clearServerCache,
         showLoading,
@@ -452,6 +647,7 @@
         calculateTextStats,
         updateStatsUI,
         updateLevelUI,
+        updateRatioUI,
         debounce,
         throttle,
         delay,
@@ -0,0 +1,339 @@
+/**
+ * 가상화 텍스트 렌더링 모듈
+ *
+ * 긴 문서에서 뷰포트 근처 문단만 단어 요소(<span class="word">)로 만들고,
+ * 나머지 문단은 측정한(처음에는 추정한) 높이의 빈 자리표시자로 둡니다.
+ * 단어 위치(data-index)는 문서 전체 기준으로 유지되므로 차이 분석 결과와 그대로 대응되고,
+ * 렌더링되지 않은 단어는 애니메이터의 뷰포트 필터링에서 자연스럽게 제외됩니다.
+ */
+
+(function(window) {
+    'use strict';
+
+    /**
+     * 가상화 설정
+     */
+    const VirtualConfig = {
+        enabled: true,
+        minWords: 3000,         // 이 단어 수 이상일 때만 가상화 (작은 문서는 전체 렌더링)
+        overscan: 1200,         // 뷰포트 위아래로 미리 렌더링할 거리 (px)
+        wideCharWidth: 1.0,     // 높이 추정용 한글/CJK 글자 폭 (글꼴 크기 대비)
+        narrowCharWidth: 0.55   // 높이 추정용 그 외 글자 폭 (글꼴 크기 대비)
+    };
+
+    /**
+     * 렌더링 상태
+     */
+    const RenderState = {
+        container: null,
+        scrollContainer: null,
+        paragraphs: [],         // [{ element, words, startIndex, materialized }]
+        virtualized: false,
+        pendingUpdate: false,   // 애니메이션 중 보류된 갱신
+        frameRequested: false
+    };
+
+    /**
+     * 문단 단어 요소 생성
+     *
+     * @param {object} paragraph - 문단 상태
+     */
+    function materialize(paragraph) {
+        const fragment = document.createDocumentFragment();
+
+        paragraph.words.forEach((word, i) => {
+            const span = document.createElement('span');
+            span.className = 'word word-transition';
+            span.textContent = word + ' ';
+            span.dataset.index = paragraph.startIndex + i;
+            fragment.appendChild(span);
+        });
+
+        paragraph.element.appendChild(fragment);
+        paragraph.element.style.height = '';
+        paragraph.materialized = true;
+    }
+
+    /**
+     * 문단을 측정한 높이의 자리표시자로 되돌림
+     * 펼친 출처 텍스트가 있는 문단은 유지합니다.
+     *
+     * @param {object} paragraph - 문단 상태
+     * @param {number} height - 측정한 문단 높이 (px)
+     */
+    function dematerialize(paragraph, height) {
+        if (paragraph.element.querySelector('.inline-expansion, .sentence-expanded')) {
+            return;
+        }
+
+        paragraph.element.textContent = '';
+        paragraph.element.style.height = `${height}px`;
+        paragraph.materialized = false;
+    }
+
+    /**
+     * 문단 높이 추정 (렌더링 전 자리표시자용)
+     *
+     * @param {Array<string>} words - 문단 단어
+     * @param {object} metrics - { width, fontSize, lineHeight }
+     * @returns {number} 추정 높이 (px)
+     */
+    function estimateHeight(words, metrics) {
+        const text = words.join(' ');
+        const wideCount = (text.match(/[\u1100-\u11FF\u3130-\u318F\uAC00-\uD7AF\u4E00-\u9FFF]/g) || []).length;
+        const narrowCount = text.length - wideCount;
+
+        const textWidth = metrics.fontSize *
+            (wideCount * VirtualConfig.wideCharWidth + narrowCount * VirtualConfig.narrowCharWidth);
+        const lines = Math.max(1, Math.ceil(textWidth / metrics.width));
+
+        return lines * metrics.lineHeight;
+    }
+
+    /**
+     * 높이 추정용 글꼴 측정값
+     *
+     * @param {HTMLElement} container - 텍스트 컨테이너
+     * @returns {object} { width, fontSize, lineHeight }
+     */
+    function measureMetrics(container) {
+        const style = window.getComputedStyle(container);
+        const fontSize = parseFloat(style.fontSize) || 16;
+        const lineHeight = parseFloat(style.lineHeight) || fontSize * 1.6;
+
+        return {
+            width: Math.max(container.clientWidth, fontSize * 10),
+            fontSize,
+            lineHeight
+        };
+    }
+
+    /**
+     * 텍스트 렌더링
+     * 단어 수가 VirtualConfig.minWords 미만이면 모든 문단을 바로 렌더링합니다.
+     *
+     * @param {HTMLElement} container - 텍스트 컨테이너 (비어 있는 상태)
+     * @param {string} text - 표시할 텍스트
+     * @returns {object} { wordCount, paragraphCount, virtualized }
+     */
+    function render(container, text) {
+        const paragraphs = [];
+        let wordCount = 0;
+
+        // 문단으로 분할 (빈 줄 기준)
+        text.split(/\n\s*\n/).forEach(paragraph => {
+            const words = paragraph.split(/\s+/).filter(word => word.trim());
+            if (words.length === 0) return;
+
+            paragraphs.push({ element: null, words, startIndex: wordCount, materialized: false });
+            wordCount += words.length;
+        });
+
+        const virtualized = VirtualConfig.enabled && wordCount >= VirtualConfig.minWords;
+        const metrics = virtualized ? measureMetrics(container) : null;
+        const fragment = document.createDocumentFragment();
+
+        paragraphs.forEach((paragraph, pIndex) => {
+            const pDiv = document.createElement('div');
+            pDiv.className = 'paragraph';
+            pDiv.style.marginBottom = '1em';
+            pDiv.dataset.paragraph = pIndex;
+            paragraph.element = pDiv;
+
+            if (virtualized) {
+                pDiv.style.height = `${estimateHeight(paragraph.words, metrics)}px`;
+            } else {
+                materialize(paragraph);
+            }
+
+            fragment.appendChild(pDiv);
+        });
+
+        container.appendChild(fragment);
+
+        RenderState.container = container;
+        RenderState.paragraphs = paragraphs;
+        RenderState.virtualized = virtualized;
+        RenderState.pendingUpdate = false;
+        attachScrollContainer(container.closest('.text-container') || container.parentElement);
+
+        if (virtualized) {
+            update(true);
+        }
+
+        return { wordCount, paragraphCount: paragraphs.length, virtualized };
+    }
+
+    /**
+     * 뷰포트 근처 문단 렌더링 / 먼 문단 자리표시자로 전환
+     * 애니메이션 중에는 DOM을 바꾸지 않고 완료 후로 미룹니다 (force로 즉시 실행 가능).
+     * 뷰포트 위쪽 문단의 높이가 바뀌면 스크롤 위치를 보정해 읽던 위치를 유지합니다.
+     *
+     * @param {boolean} force - 애니메이션 중에도 즉시 갱신
+     */
+    function update(force = false) {
+        const { container, scrollContainer, paragraphs, virtualized } = RenderState;
+        if (!virtualized || !container || !container.isConnected) {
+            return;
+        }
+
+        if (!force && window.StateManager && window.StateManager.isAnimating()) {
+            RenderState.pendingUpdate = true;
+            return;
+        }
+        RenderState.pendingUpdate = false;
+
+        const viewRect = scrollContainer
+            ? scrollContainer.getBoundingClientRect()
+            : { top: 0, bottom: window.innerHeight };
+        const top = viewRect.top - VirtualConfig.overscan;
+        const bottom = viewRect.bottom + VirtualConfig.overscan;
+
+        // 1. 측정 (읽기)
+        const changes = [];
+        paragraphs.forEach(paragraph => {
+            const rect = paragraph.element.getBoundingClientRect();
+            const near = rect.bottom >= top && rect.top <= bottom;
+
+            if (near !== paragraph.materialized) {
+                changes.push({ paragraph, near, height: rect.height, above: rect.bottom <= viewRect.top });
+            }
+        });
+
+        if (changes.length === 0) {
+            return;
+        }
+
+        // 2. 변경 (쓰기)
+        changes.forEach(({ paragraph, near, height }) => {
+            if (near) {
+                materialize(paragraph);
+            } else {
+                dematerialize(paragraph, height);
+            }
+        });
+
+        // 3. 뷰포트 위쪽 문단의 높이 변화만큼 스크롤 보정
+        if (scrollContainer) {
+            const shift = changes
+                .filter(change => change.above)
+                .reduce((sum, change) => sum + change.paragraph.element.getBoundingClientRect().height - change.height, 0);
+
+            if (shift !== 0) {
+                scrollContainer.scrollTop += shift;
+            }
+        }
+    }
+
+    /**
+     * 스크롤 시 다음 프레임에 갱신
+     */
+    function scheduleUpdate() {
+        if (RenderState.frameRequested) {
+            return;
+        }
+
+        RenderState.frameRequested = true;
+        requestAnimationFrame(() => {
+            RenderState.frameRequested = false;
+            update();
+        });
+    }
+
+    /**
+     * 스크롤 컨테이너 이벤트 연결
+     *
+     * @param {HTMLElement|null} scrollContainer - 스크롤 컨테이너
+     */
+    function attachScrollContainer(scrollContainer) {
+        if (RenderState.scrollContainer === scrollContainer) {
+            return;
+        }
+
+        if (RenderState.scrollContainer) {
+            RenderState.scrollContainer.removeEventListener('scroll', scheduleUpdate);
+        }
+
+        RenderState.scrollContainer = scrollContainer;
+        if (scrollContainer) {
+            scrollContainer.addEventListener('scroll', scheduleUpdate, { passive: true });
+        }
+    }
+
+    /**
+     * 단어 위치로 문단 찾기 (이진 탐색)
+     *
+     * @param {number} index - 단어 위치 (data-index)
+     * @returns {object|null} 문단 상태
+     */
+    function findParagraph(index) {
+        const { paragraphs } = RenderState;
+        let low = 0;
+        let high = paragraphs.length - 1;
+
+        while (low <= high) {
+            const mid = (low + high) >> 1;
+            const paragraph = paragraphs[mid];
+
+            if (index < paragraph.startIndex) {
+                high = mid - 1;
+            } else if (index >= paragraph.startIndex + paragraph.words.length) {
+                low = mid + 1;
+            } else {
+                return paragraph;
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * 단어 요소 조회 (렌더링되지 않은 문단이면 렌더링)
+     *
+     * @param {number} index - 단어 위치 (data-index)
+     * @returns {HTMLElement|null} 단어 요소
+     */
+    function getWordElement(index) {
+        const paragraph = findParagraph(index);
+        if (!paragraph) {
+            return null;
+        }
+
+        if (!paragraph.materialized) {
+            materialize(paragraph);
+        }
+
+        return paragraph.element.querySelector(`.word[data-index="${index}"]`);
+    }
+
+    /**
+     * 가상화 여부
+     *
+     * @returns {boolean} 현재 텍스트가 가상화되어 있는지 여부
+     */
+    function isVirtualized() {
+        return RenderState.virtualized;
+    }
+
+    // 애니메이션 중 보류된 갱신은 완료 후 실행
+    window.StateManager.addEventListener('animationStateChange', ({ isAnimating }) => {
+        if (!isAnimating && RenderState.pendingUpdate) {
+            update();
+        }
+    });
+
+    window.addEventListener('resize', scheduleUpdate);
+
+    // 전역 객체로 내보내기
+    window.VirtualRenderer = {
+        render,
+        update,
+        getWordElement,
+        isVirtualized,
+        // 설정
+        config: VirtualConfig
+    };
+
+    console.log('✓ VirtualRenderer 모듈 로드 완료');
+
+})(window);
@@ -0,0 +1,196 @@
+/**
+ * 유사 단어 매칭 벤치마크
+ *
+ * data/example-level*.txt의 레벨 쌍마다 색인 기반 findSimilarMatches()와
+ * 전수 비교(O(n·m))를 비교하고, 변형(morphed)을 포함한 analyzeDifference() 시간을 측정합니다.
+ * 전수 비교는 시간이 오래 걸리므로 표본 단어로만 실행해 결과 일치를 확인하고 전체 시간을 추정합니다.
+ * 기본 임계값(0.6) 외에 0.4~0.5 사이 임계값(포함 관계만으로 매칭되는 구간)에서도 결과 일치를 확인합니다.
+ * 매칭이 의존하는 형태소 분석 결과(어간/품사)도 대표 어절로 확인합니다.
+ *
+ * 사용법: node scripts/benchmark-matcher.js [--sample 200]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const {
+  calculateWordSimilarity,
+  findSimilarMatches,
+  analyzeDifference
+} = require('../server/services/wordMatcher');
+const { analyzeWord } = require('../server/utils/koreanAnalyzer');
+
+const DATA_DIR = path.join(__dirname, '../data');
+const sampleArg = process.argv.indexOf('--sample');
+const SAMPLE_SIZE = sampleArg > -1 ? parseInt(process.argv[sampleArg + 1]) || 200 : 200;
+
+/**
+ * 결과 일치를 추가로 확인할 낮은 임계값 (0.4 초과 0.5 이하)
+ */
+const LOW_THRESHOLDS = [0.45, 0.5];
+
+/**
+ * 한 글자 단어가 포함된 긴 단어와 매칭되는 경우 (낮은 임계값에서만 매칭)
+ */
+const SHORT_WORD_CASE = {
+  source: ['b', '시', '가'],
+  target: ['했b', '이시', '나다']
+};
+
+/**
+ * 형태소 분석 확인 어절: [어절, 기대 어간, 기대 품사]
+ */
+const ANALYZER_PROBES = [
+  ['시스템은', '시스템', 'NOUN'],
+  ['사랑', '사랑', 'NOUN'],
+  ['대로', '대로', 'NOUN'],
+  ['바다', '바다', 'NOUN'],
+  ['마다', '마다', 'NOUN'],
+  ['사랑해', '사랑하', 'VERB'],
+  ['갑니다', '가', 'VERB'],
+  ['합니다', '하', 'VERB'],
+  ['있습니다', '있', 'VERB'],
+  ['없습니다', '없', 'VERB'],
+  ['했습니다', '하', 'VERB'],
+  ['되었습니다', '되', 'VERB'],
+  ['했다', '하', 'VERB'],
+  ['먹는', '먹', 'VERB']
+];
+
+/**
+ * 전수 비교 매칭 (색인 도입 전 구현, 기준값)
+ *
+ * @param {Array<string>} sourceWords - 원본 단어 배열
+ * @param {Array<string>} targetWords - 대상 단어 배열
+ * @param {number} threshold - 매칭 임계값
+ * @returns {Array<object>} 매칭 결과 배열
+ */
+function bruteForceMatches(sourceWords, targetWords, threshold = 0.6) {
+  const matches = [];
+
+  sourceWords.forEach(srcWord => {
+    let bestMatch = null;
+    let maxSimilarity = 0;
+
+    targetWords.forEach(tgtWord => {
+      const similarity = calculateWordSimilarity(srcWord, tgtWord);
+      if (similarity > maxSimilarity && similarity >= threshold) {
+        maxSimilarity = similarity;
+        bestMatch = tgtWord;
+      }
+    });
+
+    if (bestMatch) {
+      matches.push({ source: srcWord, target: bestMatch, similarity: maxSimilarity });
+    }
+  });
+
+  return matches;
+}
+
+/**
+ * 실행 시간 측정 (서비스 로그 숨김)
+ *
+ * @param {Function} fn - 측정할 함수
+ * @returns {object} { result, ms }
+ */
+function measure(fn) {
+  const log = console.log;
+  console.log = () => {};
+  const start = process.hrtime.bigint();
+  try {
+    const result = fn();
+    return { result, ms: Number(process.hrtime.bigint() - start) / 1e6 };
+  } finally {
+    console.log = log;
+  }
+}
+
+/**
+ * 유니크 단어 목록 (공백 기준, 소문자)
+ *
+ * @param {string} text - 텍스트
+ * @returns {Array<string>} 단어 배열 (첫 출현 순)
+ */
+function uniqueWords(text) {
+  return [...new Set(text.split(/\s+/).filter(Boolean).map(w => w.toLowerCase()))];
+}
+
+const levels = fs.readdirSync(DATA_DIR)
+  .map(file => file.match(/^example-level(\d+)\.txt$/))
+  .filter(Boolean)
+  .map(match => ({
+    level: parseInt(match[1]),
+    text: fs.readFileSync(path.join(DATA_DIR, match[0]), 'utf-8')
+  }))
+  .sort((a, b) => a.level - b.level);
+
+if (levels.length < 2) {
+  console.error('✗ data/example-level*.txt 파일이 2개 이상 필요합니다.');
+  process.exit(1);
+}
+
+const pairs = [];
+for (let i = 0; i < levels.length - 1; i++) {
+  pairs.push([levels[i], levels[i + 1]]);
+}
+if (levels.length > 2) {
+  pairs.push([levels[0], levels[levels.length - 1]]);
+}
+
+console.log('='.repeat(60));
+console.log(`유사 단어 매칭 벤치마크 (전수 비교 표본: ${SAMPLE_SIZE}개)`);
+console.log('='.repeat(60));
+
+let mismatches = 0;
+
+pairs.forEach(([from, to]) => {
+  const sourceWords = uniqueWords(from.text);
+  const targetWords = uniqueWords(to.text);
+  const sample = sourceWords.slice(0, SAMPLE_SIZE);
+
+  const indexed = measure(() => findSimilarMatches(sourceWords, targetWords));
+  const indexedSample = measure(() => findSimilarMatches(sample, targetWords));
+  const bruteSample = measure(() => bruteForceMatches(sample, targetWords));
+  const estimatedBrute = bruteSample.ms * sourceWords.length / Math.max(1, sample.length);
+
+  const same = JSON.stringify(indexedSample.result) === JSON.stringify(bruteSample.result);
+  if (!same) mismatches++;
+
+  const lowSame = LOW_THRESHOLDS.every(threshold =>
+    JSON.stringify(findSimilarMatches(sample, targetWords, threshold)) ===
+    JSON.stringify(bruteForceMatches(sample, targetWords, threshold)));
+  if (!lowSame) mismatches++;
+
+  const diff = measure(() => analyzeDifference(from.text, to.text));
+  const { kept, removed, added, morphed } = diff.result;
+
+  console.log(`\nLevel ${from.level} → ${to.level} (유니크 단어 ${sourceWords.length} × ${targetWords.length})`);
+  console.log(`  - 색인 매칭: ${indexed.ms.toFixed(1)}ms (${indexed.result.length}개 매칭)`);
+  console.log(`  - 전수 비교: 표본 ${bruteSample.ms.toFixed(1)}ms → 전체 추정 ${(estimatedBrute / 1000).toFixed(1)}초`);
+  console.log(`  - 표본 결과 일치: ${same ? '✓' : '✗'} (임계값 ${LOW_THRESHOLDS.join(', ')}: ${lowSame ? '✓' : '✗'})`);
+  console.log(`  - analyzeDifference: ${diff.ms.toFixed(1)}ms (유지 ${kept.length}, 제거 ${removed.length}, 추가 ${added.length}, 변형 ${morphed.length})`);
+});
+
+const shortSame = LOW_THRESHOLDS.every(threshold =>
+  JSON.stringify(findSimilarMatches(SHORT_WORD_CASE.source, SHORT_WORD_CASE.target, threshold)) ===
+  JSON.stringify(bruteForceMatches(SHORT_WORD_CASE.source, SHORT_WORD_CASE.target, threshold)));
+if (!shortSame) mismatches++;
+console.log(`\n한 글자 단어 포함 매칭 (${SHORT_WORD_CASE.source.join(', ')}): ${shortSame ? '✓' : '✗'}`);
+
+const wrongProbes = ANALYZER_PROBES.filter(([word, stem, pos]) => {
+  const analysis = analyzeWord(word);
+  return analysis.stem !== stem || analysis.pos !== pos;
+});
+if (wrongProbes.length > 0) mismatches++;
+console.log(`형태소 분석 확인 (${ANALYZER_PROBES.length}개 어절): ${wrongProbes.length === 0 ? '✓' : '✗'}`);
+wrongProbes.forEach(([word, stem, pos]) => {
+  const analysis = analyzeWord(word);
+  console.log(`  ✗ ${word}: ${analysis.stem}/${analysis.pos} (기대 ${stem}/${pos})`);
+});
+
+console.log('\n' + '='.repeat(60));
+if (mismatches > 0) {
+  console.error(`✗ 색인 매칭 결과가 전수 비교와 다르거나 분석 확인에 실패한 항목: ${mismatches}개`);
+  process.exit(1);
+}
+console.log('✓ 모든 레벨 쌍에서 색인 매칭 결과가 전수 비교와 일치, 형태소 분석 확인 통과');
@@ -0,0 +1,182 @@
+/**
+ * 캐시 저장소 점검
+ *
+ * 파일 저장소(임시 디렉토리)와 Redis 어댑터(메모리 기반 로컬 대체 클라이언트)에 대해
+ * 저장/복원/삭제/만료와 cache.js의 LRU 제거, 재시작 후 warm start를 확인합니다.
+ * 실제 Redis 서버로 확인하려면 REDIS_URL을 지정하고 --redis-url 옵션을 사용합니다 (redis 패키지 필요).
+ *
+ * 사용법: node scripts/check-cache-backends.js [--redis-url] [--verbose]
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const VERBOSE = process.argv.includes('--verbose');
+const USE_REDIS_URL = process.argv.includes('--redis-url');
+const CACHE_MODULE = require.resolve('../server/utils/cache');
+
+// LRU 확인을 위해 작은 한도 사용 (cache.js 로드 전에 설정)
+process.env.CACHE_MAX_KEYS = '3';
+process.env.CACHE_TTL = '0';
+
+const log = console.log;
+if (!VERBOSE) {
+  console.log = () => {};
+}
+
+let failures = 0;
+
+/**
+ * 점검 결과 기록
+ *
+ * @param {boolean} ok - 통과 여부
+ * @param {string} message - 점검 내용
+ */
+function check(ok, message) {
+  if (!ok) failures++;
+  log(`  ${ok ? '✓' : '✗'} ${message}`);
+}
+
+/**
+ * Redis 대체 클라이언트 (node-redis v4 명령 일부를 메모리로 구현)
+ */
+function createRedisStandIn() {
+  const store = new Map();
+
+  const isAlive = (key) => {
+    const entry = store.get(key);
+    if (entry && entry.expiresAt && entry.expiresAt <= Date.now()) {
+      store.delete(key);
+      return false;
+    }
+    return !!entry;
+  };
+
+  return {
+    async connect() {},
+    async quit() {},
+    async set(key, value, options) {
+      store.set(key, { value, expiresAt: options && options.PX ? Date.now() + options.PX : null });
+      return 'OK';
+    },
+    async mGet(keys) {
+      return keys.map(key => (isAlive(key) ? store.get(key).value : null));
+    },
+    async del(keys) {
+      return [].concat(keys).filter(key => store.delete(key)).length;
+    },
+    async *scanIterator({ MATCH }) {
+      const prefix = MATCH.replace(/\*$/, '');
+      for (const key of [...store.keys()]) {
+        if (key.startsWith(prefix) && isAlive(key)) yield key;
+      }
+    }
+  };
+}
+
+/**
+ * cache.js를 새로 로드 (서버 재시작 흉내)
+ *
+ * @returns {object} cache 모듈
+ */
+function loadCacheModule() {
+  delete require.cache[CACHE_MODULE];
+  return require(CACHE_MODULE);
+}
+
+/**
+ * 저장소 인터페이스 점검
+ *
+ * @param {object} backend - 저장소
+ */
+async function checkBackend(backend) {
+  await backend.open();
+  await backend.clear();
+
+  await backend.set('alive', { value: { text: '유지' }, expiresAt: null, savedAt: 1 });
+  await backend.set('expired', { value: { text: '만료' }, expiresAt: Date.now() - 1000, savedAt: 2 });
+  let entries = await backend.load();
+  check(entries.length === 1 && entries[0].key === 'alive' && entries[0].value.text === '유지',
+    '저장 후 복원 (만료 항목 제외)');
+
+  await backend.delete('alive');
+  entries = await backend.load();
+  check(entries.length === 0, '삭제');
+
+  await backend.set('a', { value: 1, expiresAt: null, savedAt: 3 });
+  await backend.set('b', { value: 2, expiresAt: null, savedAt: 4 });
+  await backend.clear();
+  entries = await backend.load();
+  check(entries.length === 0, '전체 삭제');
+
+  await backend.close();
+}
+
+/**
+ * cache.js LRU 제거 및 warm start 점검
+ *
+ * @param {string} name - 저장소 이름
+ * @param {Function} backendOptions - 재시작마다 저장소 옵션을 만드는 함수
+ */
+async function checkWarmStart(name, backendOptions) {
+  let cache = loadCacheModule();
+  await cache.initCache({ backend: name, backendOptions: backendOptions() });
+  cache.clearCache();
+
+  [1, 2, 3, 4].forEach(level => cache.saveSummary('문서', level, { level }));
+  check(!cache.hasSummary('문서', 1) && cache.getCacheStats().evictions === 1,
+    'LRU 제거: 한도(3개) 초과 시 가장 오래된 Level 1 제거');
+
+  cache.getSummary('문서', 2);
+  cache.saveSummary('문서', 5, { level: 5 });
+  check(cache.hasSummary('문서', 2) && !cache.hasSummary('문서', 3),
+    'LRU 제거: 최근 조회한 Level 2 유지, Level 3 제거');
+
+  await cache.closeCache();
+
+  // 재시작
+  cache = loadCacheModule();
+  const { restored } = await cache.initCache({ backend: name, backendOptions: backendOptions() });
+  const levels = [1, 2, 3, 4, 5].filter(level => cache.getSummary('문서', level));
+  check(restored === 3 && levels.join(',') === '2,4,5', `warm start: ${restored}개 복원 (Level ${levels.join(', ')})`);
+
+  cache.clearCache();
+  await cache.closeCache();
+}
+
+async function main() {
+  log('='.repeat(60));
+  log('캐시 저장소 점검');
+  log('='.repeat(60));
+
+  const fileBackend = require('../server/utils/cacheBackends/file');
+  const redisBackend = require('../server/utils/cacheBackends/redis');
+  const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'pinch-zoom-cache-'));
+
+  try {
+    log('\nfile (임시 디렉토리)');
+    await checkBackend(fileBackend.createBackend({ dir: tempDir }));
+    await checkWarmStart('file', () => ({ dir: tempDir }));
+
+    log(`\nredis (${USE_REDIS_URL ? process.env.REDIS_URL || 'redis://localhost:6379' : '로컬 대체 클라이언트'})`);
+    const standIn = createRedisStandIn();
+    const redisOptions = () => (USE_REDIS_URL ? { prefix: 'pinch-zoom:check:' } : { client: standIn });
+    await checkBackend(redisBackend.createBackend(redisOptions()));
+    await checkWarmStart('redis', redisOptions);
+  } finally {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  }
+
+  log('\n' + '='.repeat(60));
+  if (failures > 0) {
+    console.error(`✗ 실패한 점검: ${failures}개`);
+    process.exit(1);
+  }
+  log('✓ 모든 캐시 저장소 점검 통과');
+}
+
+main().catch(error => {
+  console.error('✗ 캐시 저장소 점검 실패:', error);
+  process.exit(1);
+});
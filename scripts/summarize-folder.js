@@ -0,0 +1,152 @@
+/**
+ * 폴더 일괄 요약
+ *
+ * 폴더의 .txt 파일을 문서로 업로드하고(POST /api/documents) 요약 작업을 등록한 뒤
+ * (POST /api/documents/:id/summarize) 모든 작업이 끝날 때까지 GET /api/jobs/:id로 상태를 확인합니다.
+ * 요약은 서버의 작업 큐에서 JOB_CONCURRENCY개씩 실행되므로 연결을 열어 둘 필요가 없습니다.
+ * 서버의 분당 요청 한도에 걸리면 Retry-After만큼 기다렸다가 다시 등록하며,
+ * API_KEY 환경 변수가 있으면 X-API-Key 헤더로 보내며, 서버의 API_KEYS에 등록된 키면 해당 키의 한도와 사용량으로 집계됩니다.
+ *
+ * 사용법: node scripts/summarize-folder.js <폴더> [--url http://localhost:3135] [--interval 2000] [--no-cache]
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * 명령행 옵션 값
+ *
+ * @param {string} name - 옵션 이름 (예: '--url')
+ * @param {string} defaultValue - 기본값
+ * @returns {string} 옵션 값
+ */
+function getOption(name, defaultValue) {
+  const index = process.argv.indexOf(name);
+  return index > -1 && process.argv[index + 1] ? process.argv[index + 1] : defaultValue;
+}
+
+const FOLDER = process.argv[2];
+const API_URL = getOption('--url', `http://localhost:${process.env.PORT || 3135}`).replace(/\/$/, '');
+const POLL_INTERVAL = parseInt(getOption('--interval', '2000')) || 2000;
+const USE_CACHE = !process.argv.includes('--no-cache');
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * 요청 한도(429)에 걸렸을 때 기다릴 최대 시간 (초)
+ * 분당 한도는 기다렸다가 다시 요청하고, 하루 한도처럼 더 긴 대기는 실패로 처리합니다.
+ */
+const MAX_RETRY_AFTER = 120;
+
+/**
+ * API 요청
+ *
+ * @param {string} method - HTTP 메서드
+ * @param {string} pathname - API 경로
+ * @param {object} body - 요청 본문 (선택)
+ * @returns {Promise<object>} 응답 data
+ * @throws {Error} 요청 실패 시
+ */
+async function request(method, pathname, body = undefined) {
+  const response = await fetch(`${API_URL}${pathname}`, {
+    method,
+    headers: {
+      ...(body ? { 'Content-Type': 'application/json' } : {}),
+      ...(process.env.API_KEY ? { 'X-API-Key': process.env.API_KEY } : {})
+    },
+    body: body ? JSON.stringify(body) : undefined
+  });
+  const result = await response.json();
+
+  if (response.status === 429 && result.retryAfter <= MAX_RETRY_AFTER) {
+    console.log(`  요청 한도 대기: ${result.retryAfter}초`);
+    await sleep(result.retryAfter * 1000);
+    return request(method, pathname, body);
+  }
+
+  if (!result.success) {
+    throw new Error(result.error || `HTTP ${response.status}`);
+  }
+  return result.data;
+}
+
+/**
+ * 레벨별 진행 상태 요약 (예: "1✓ 2… 3·")
+ *
+ * @param {object} levels - 작업의 레벨별 진행 상태
+ * @returns {string} 진행 상태 문자열
+ */
+function formatLevels(levels) {
+  const marks = { pending: '·', running: '…', completed: '✓', failed: '✗', cancelled: '-' };
+  return Object.entries(levels).map(([level, { status }]) => `${level}${marks[status] || '?'}`).join(' ');
+}
+
+async function main() {
+  if (!FOLDER) {
+    console.error('사용법: node scripts/summarize-folder.js <폴더> [--url http://localhost:3135] [--interval 2000] [--no-cache]');
+    process.exit(1);
+  }
+
+  const files = fs.readdirSync(FOLDER).filter(file => file.endsWith('.txt')).sort();
+  if (files.length === 0) {
+    console.error(`✗ .txt 파일이 없습니다: ${FOLDER}`);
+    process.exit(1);
+  }
+
+  console.log('='.repeat(60));
+  console.log(`폴더 일괄 요약: ${files.length}개 파일 (${API_URL})`);
+  console.log('='.repeat(60));
+
+  // 1. 업로드 및 작업 등록
+  const tasks = [];
+  for (const file of files) {
+    try {
+      const text = fs.readFileSync(path.join(FOLDER, file), 'utf-8');
+      const document = await request('POST', '/api/documents', { text, title: path.basename(file, '.txt') });
+      const job = await request('POST', `/api/documents/${document.id}/summarize`, { useCache: USE_CACHE });
+
+      tasks.push({ file, documentId: document.id, job });
+      console.log(`✓ ${file} → 문서 ${document.id}, 작업 ${job.id}`);
+    } catch (error) {
+      console.error(`✗ ${file}: ${error.message}`);
+    }
+  }
+
+  // 2. 완료까지 상태 확인
+  const finished = new Set(['completed', 'failed', 'cancelled']);
+  let active = tasks;
+
+  while (active.length > 0) {
+    await sleep(POLL_INTERVAL);
+
+    for (const task of active) {
+      task.job = await request('GET', `/api/jobs/${task.job.id}`);
+
+      if (finished.has(task.job.status)) {
+        const detail = task.job.status === 'completed'
+          ? (task.job.result.cached ? '캐시' : `${task.job.result.metadata.totalProcessingTime}초`)
+          : task.job.error || task.job.status;
+        console.log(`${task.job.status === 'completed' ? '✓' : '✗'} ${task.file}: ${formatLevels(task.job.levels)} (${detail})`);
+      }
+    }
+
+    active = active.filter(task => !finished.has(task.job.status));
+    if (active.length > 0) {
+      console.log(`  진행 중: ${active.map(task => `${task.file} [${formatLevels(task.job.levels)}]`).join(', ')}`);
+    }
+  }
+
+  const failed = tasks.filter(task => task.job.status !== 'completed').length + (files.length - tasks.length);
+
+  console.log('\n' + '='.repeat(60));
+  if (failed > 0) {
+    console.error(`✗ 실패: ${failed}개 / ${files.length}개`);
+    process.exit(1);
+  }
+  console.log(`✓ 모든 문서 요약 완료: ${files.length}개`);
+}
+
+main().catch(error => {
+  console.error('✗ 폴더 일괄 요약 실패:', error.message);
+  process.exit(1);
+});
@@ -4,6 +4,8 @@
  * 이 모듈은 Azure OpenAI API와의 연결을 관리합니다.
  * 환경 변수를 통해 API 키와 엔드포인트를 로드하고,
  * 클라이언트 인스턴스를 생성하여 내보냅니다.
+ *
+ * 요약 서비스는 config/llm.js의 프로바이더(LLM_PROVIDER=azure)를 통해 사용합니다.
  */
 
 const { AzureOpenAI } = require("openai");
@@ -111,40 +113,6 @@ async function testConnection(client) {
   }
 }
 
-/**
- * 재시도 로직이 포함된 API 호출 래퍼
- *
- * @param {Function} apiCall - 실행할 API 호출 함수
- * @param {number} maxRetries - 최대 재시도 횟수 (기본값: 3)
- * @param {number} baseDelay - 기본 지연 시간(ms) (기본값: 1000)
- * @returns {Promise<any>} API 호출 결과
- */
-async function withRetry(apiCall, maxRetries = 3, baseDelay = 1000) {
-  let lastError;
-
-  for (let attempt = 1; attempt <= maxRetries; attempt++) {
-    try {
-      return await apiCall();
-    } catch (error) {
-      lastError = error;
-
-      // 재시도 불가능한 에러 (인증 실패, 잘못된 요청 등)
-      if (error.status === 401 || error.status === 400) {
-        throw error;
-      }
-
-      if (attempt < maxRetries) {
-        // 지수 백오프 계산 (1초, 2초, 4초)
-        const delay = baseDelay * Math.pow(2, attempt - 1);
-        console.log(`  재시도 ${attempt}/${maxRetries} - ${delay}ms 후 재시도...`);
-        await new Promise(resolve => setTimeout(resolve, delay));
-      }
-    }
-  }
-
-  throw lastError;
-}
-
 // Azure OpenAI 클라이언트 싱글톤 인스턴스
 let clientInstance = null;
 
@@ -164,6 +132,5 @@ function getClient() {
 module.exports = {
   getClient,
   testConnection,
-  withRetry,
   deploymentName: process.env.DEPLOYMENT_NAME
 };
@@ -0,0 +1,188 @@
+/**
+ * 줌 레벨 사다리 설정
+ *
+ * 요약 레벨 구성을 한 곳에서 정의합니다.
+ * 프롬프트, 요약 파이프라인, 캐시, 문서 저장소, API 검증이 모두 이 설정을 따르며,
+ * 클라이언트는 GET /api/levels로 받아 제스처, 슬라이더, 레이블을 구성합니다.
+ *
+ * Level 0은 항상 원문이고, 각 요약 레벨은 이전 레벨의 텍스트를
+ * targetCompression 비율(예: "40-50%")로 압축합니다.
+ *
+ * LEVEL_LADDER_FILE 환경 변수로 요약 레벨 배열(JSON)을 지정하면 기본 사다리를 대체합니다.
+ *   [{ "name": "1차 요약", "label": "SUMMARY I", "targetCompression": "70-80%",
+ *      "maxTokens": 3000, "prompt": "detail" }, ...]
+ * - prompt: 프롬프트 스타일 (detail | condense | final).
+ *           생략하면 첫 레벨은 detail, 마지막 레벨은 final, 나머지는 condense입니다.
+ */
+
+const fs = require('fs');
+const path = require('path');
+require('dotenv').config();
+
+/**
+ * 프롬프트 스타일 목록 (config/prompts.js의 PROMPT_STYLES와 대응)
+ */
+const PROMPT_STYLE_NAMES = ['detail', 'condense', 'final'];
+
+/**
+ * 원문 레벨 (Level 0)
+ */
+const ORIGINAL_LEVEL = {
+  level: 0,
+  name: '원문',
+  label: 'ORIGINAL'
+};
+
+/**
+ * 기본 요약 레벨 사다리 (Level 1-3)
+ */
+const DEFAULT_SUMMARY_LEVELS = [
+  { name: '1차 요약', label: 'SUMMARY I', targetCompression: '70-80%', maxTokens: 3000, prompt: 'detail' },
+  { name: '2차 요약', label: 'SUMMARY II', targetCompression: '40-50%', maxTokens: 2000, prompt: 'condense' },
+  { name: '최종 요약', label: 'SUMMARY III', targetCompression: '10-20%', maxTokens: 1000, prompt: 'final' }
+];
+
+/**
+ * 로마 숫자 변환 (기본 레이블용)
+ *
+ * @param {number} num - 숫자 (1-39)
+ * @returns {string} 로마 숫자
+ */
+function toRoman(num) {
+  const numerals = [[10, 'X'], [9, 'IX'], [5, 'V'], [4, 'IV'], [1, 'I']];
+  let result = '';
+
+  numerals.forEach(([value, symbol]) => {
+    while (num >= value) {
+      result += symbol;
+      num -= value;
+    }
+  });
+
+  return result;
+}
+
+/**
+ * 요약 레벨 항목 정규화 및 검증
+ *
+ * @param {object} entry - 레벨 설정 항목
+ * @param {number} index - 요약 레벨 배열 내 인덱스 (0부터)
+ * @param {number} count - 요약 레벨 수
+ * @returns {object} 정규화된 레벨 설정
+ * @throws {Error} 잘못된 설정인 경우
+ */
+function normalizeSummaryLevel(entry, index, count) {
+  const level = index + 1;
+
+  if (!/^\d+-\d+%$/.test(entry.targetCompression || '')) {
+    throw new Error(`Level ${level}의 targetCompression 형식이 잘못되었습니다 (예: "40-50%"): ${entry.targetCompression}`);
+  }
+
+  const [min, max] = entry.targetCompression.match(/\d+/g).map(Number);
+  if (min <= 0 || min > max || max > 100) {
+    throw new Error(`Level ${level}의 targetCompression 범위가 잘못되었습니다: ${entry.targetCompression}`);
+  }
+
+  const defaultPrompt = index === 0 ? 'detail' : (index === count - 1 ? 'final' : 'condense');
+  const prompt = entry.prompt || defaultPrompt;
+
+  if (!PROMPT_STYLE_NAMES.includes(prompt)) {
+    throw new Error(`Level ${level}의 프롬프트 스타일이 잘못되었습니다: ${prompt}. ${PROMPT_STYLE_NAMES.join(', ')} 중 하나를 선택하세요.`);
+  }
+
+  return {
+    level,
+    name: entry.name || `${level}차 요약`,
+    label: entry.label || `SUMMARY ${toRoman(level)}`,
+    targetCompression: entry.targetCompression,
+    maxTokens: parseInt(entry.maxTokens) || 2000,
+    prompt
+  };
+}
+
+/**
+ * 레벨 사다리 로드
+ * LEVEL_LADDER_FILE이 지정되면 해당 JSON 파일을, 아니면 기본 사다리를 사용합니다.
+ *
+ * @returns {Array<object>} 레벨 설정 배열 (Level 0 포함)
+ */
+function loadLevelLadder() {
+  let summaryLevels = DEFAULT_SUMMARY_LEVELS;
+  const ladderFile = process.env.LEVEL_LADDER_FILE;
+
+  if (ladderFile) {
+    const filePath = path.resolve(__dirname, '../..', ladderFile);
+    summaryLevels = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+
+    if (!Array.isArray(summaryLevels) || summaryLevels.length === 0) {
+      throw new Error(`레벨 사다리 파일은 요약 레벨 배열이어야 합니다: ${ladderFile}`);
+    }
+  }
+
+  const ladder = [
+    ORIGINAL_LEVEL,
+    ...summaryLevels.map((entry, i) => normalizeSummaryLevel(entry, i, summaryLevels.length))
+  ];
+
+  console.log(`✓ 레벨 사다리 로드 완료: ${ladder.length}단계 (Level 0-${ladder.length - 1})${ladderFile ? ` - ${ladderFile}` : ''}`);
+
+  return ladder;
+}
+
+// 모듈 로드 시 한 번만 구성
+const LEVEL_LADDER = loadLevelLadder();
+
+/**
+ * 전체 레벨 사다리 조회
+ *
+ * @returns {Array<object>} 레벨 설정 배열 (Level 0 포함)
+ */
+function getLevelLadder() {
+  return LEVEL_LADDER;
+}
+
+/**
+ * 레벨 설정 조회
+ *
+ * @param {number} level - 레벨
+ * @returns {object|null} 레벨 설정 또는 null
+ */
+function getLevelConfig(level) {
+  return LEVEL_LADDER[level] || null;
+}
+
+/**
+ * 최대 레벨 조회
+ *
+ * @returns {number} 가장 높은 요약 레벨
+ */
+function getMaxLevel() {
+  return LEVEL_LADDER.length - 1;
+}
+
+/**
+ * 요약 레벨 목록 조회 (Level 0 제외)
+ *
+ * @returns {Array<number>} 요약 레벨 배열 (예: [1, 2, 3])
+ */
+function getSummaryLevels() {
+  return LEVEL_LADDER.slice(1).map(config => config.level);
+}
+
+/**
+ * 유효한 레벨인지 확인
+ *
+ * @param {number} level - 레벨
+ * @returns {boolean} 유효 여부
+ */
+function isValidLevel(level) {
+  return Number.isInteger(level) && level >= 0 && level <= getMaxLevel();
+}
+
+module.exports = {
+  getLevelLadder,
+  getLevelConfig,
+  getMaxLevel,
+  getSummaryLevels,
+  isValidLevel
+};
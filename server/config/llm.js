@@ -0,0 +1,151 @@
+/**
+ * LLM 프로바이더 설정
+ *
+ * LLM_PROVIDER 환경 변수로 요약에 사용할 프로바이더를 선택합니다.
+ * - azure:  Azure OpenAI (기본값, AZURE_OPENAI_API_KEY / ENDPOINT_URL / DEPLOYMENT_NAME)
+ * - openai: OpenAI 및 OpenAI 호환 엔드포인트 (OPENAI_API_KEY / OPENAI_BASE_URL / OPENAI_MODEL)
+ * - local:  Ollama 스타일 로컬 HTTP 서버 (LOCAL_LLM_URL / LOCAL_LLM_MODEL)
+ * - mock:   네트워크 없이 결정적 응답을 반환하는 테스트용 프로바이더
+ * - none:   LLM을 사용하지 않음 (추출 기반 오프라인 요약만 사용)
+ *
+ * 모든 프로바이더는 동일한 인터페이스를 구현합니다.
+ *   { name, model, complete(messages, { maxTokens, onDelta, signal }) → { content, usage } }
+ */
+
+require('dotenv').config();
+
+/**
+ * 프로바이더 모듈 레지스트리 (필요할 때만 로드)
+ */
+const PROVIDERS = {
+  azure: () => require('./providers/azure'),
+  openai: () => require('./providers/openai'),
+  local: () => require('./providers/local'),
+  mock: () => require('./providers/mock')
+};
+
+/**
+ * 설정된 프로바이더 이름 조회
+ *
+ * @returns {string} 프로바이더 이름
+ */
+function getProviderName() {
+  return (process.env.LLM_PROVIDER || 'azure').toLowerCase();
+}
+
+// 프로바이더 싱글톤 인스턴스
+let providerInstance = null;
+
+/**
+ * LLM 프로바이더 인스턴스 가져오기
+ * 싱글톤 패턴으로 하나의 인스턴스만 생성합니다.
+ *
+ * @returns {object} 프로바이더 { name, model, complete }
+ * @throws {Error} 알 수 없는 프로바이더이거나 환경 변수가 부족한 경우
+ */
+function getProvider() {
+  if (!providerInstance) {
+    const name = getProviderName();
+
+    if (name === 'none') {
+      throw new Error('LLM 프로바이더가 비활성화되어 있습니다 (LLM_PROVIDER=none).');
+    }
+
+    if (!PROVIDERS[name]) {
+      throw new Error(
+        `알 수 없는 LLM 프로바이더입니다: ${name}. ` +
+        `${Object.keys(PROVIDERS).join(', ')} 중 하나를 선택하세요.`
+      );
+    }
+
+    providerInstance = PROVIDERS[name]().createProvider();
+    console.log(`✓ LLM 프로바이더: ${providerInstance.name} (${providerInstance.model})`);
+  }
+  return providerInstance;
+}
+
+/**
+ * LLM 사용 가능 여부 확인
+ * 프로바이더 생성에 실패하면(미설정, 환경 변수 누락 등) false를 반환합니다.
+ *
+ * @returns {boolean} 사용 가능 여부
+ */
+function isLLMAvailable() {
+  try {
+    getProvider();
+    return true;
+  } catch (error) {
+    console.warn(`⚠ LLM을 사용할 수 없습니다: ${error.message}`);
+    return false;
+  }
+}
+
+/**
+ * 프로바이더 정보 조회 (헬스 체크용)
+ * 클라이언트를 생성하지 않고 설정만 확인합니다.
+ *
+ * @returns {object} { provider, model, initialized }
+ */
+function getProviderInfo() {
+  const modelEnv = {
+    azure: 'DEPLOYMENT_NAME',
+    openai: 'OPENAI_MODEL',
+    local: 'LOCAL_LLM_MODEL'
+  };
+  const name = getProviderName();
+
+  return {
+    provider: name,
+    model: providerInstance
+      ? providerInstance.model
+      : (name === 'mock' ? 'mock-extractive' : process.env[modelEnv[name]] || null),
+    initialized: !!providerInstance
+  };
+}
+
+/**
+ * 재시도 로직이 포함된 API 호출 래퍼
+ *
+ * @param {Function} apiCall - 실행할 API 호출 함수
+ * @param {number} maxRetries - 최대 재시도 횟수 (기본값: 3)
+ * @param {number} baseDelay - 기본 지연 시간(ms) (기본값: 1000)
+ * @returns {Promise<any>} API 호출 결과
+ */
+async function withRetry(apiCall, maxRetries = 3, baseDelay = 1000) {
+  let lastError;
+
+  for (let attempt = 1; attempt <= maxRetries; attempt++) {
+    try {
+      return await apiCall();
+    } catch (error) {
+      lastError = error;
+
+      // 재시도 불가능한 에러 (인증 실패, 잘못된 요청 등)
+      if (error.status === 401 || error.status === 400) {
+        throw error;
+      }
+
+      // 클라이언트가 요청을 취소한 경우 재시도하지 않음
+      if (error.name === 'AbortError' || error.constructor?.name === 'APIUserAbortError') {
+        throw error;
+      }
+
+      if (attempt < maxRetries) {
+        // 지수 백오프 계산 (1초, 2초, 4초)
+        const delay = baseDelay * Math.pow(2, attempt - 1);
+        console.log(`  재시도 ${attempt}/${maxRetries} - ${delay}ms 후 재시도...`);
+        await new Promise(resolve => setTimeout(resolve, delay));
+      }
+    }
+  }
+
+  throw lastError;
+}
+
+module.exports = {
+  getProvider,
+  getProviderName,
+  getProviderInfo,
+  isLLMAvailable,
+  withRetry
+};
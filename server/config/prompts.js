@@ -4,8 +4,14 @@
  * 각 요약 레벨별로 최적화된 프롬프트를 관리합니다.
  * 프롬프트는 동적으로 컨텍스트를 주입할 수 있으며,
  * 각 레벨의 목표 압축률과 품질 기준을 명시합니다.
+ *
+ * LEVEL1/2/3_PROMPT는 프롬프트 스타일(detail, condense, final)의 기본 템플릿이며,
+ * 실제 레벨별 이름과 목표 압축률은 레벨 사다리(config/levels.js)에서 가져옵니다.
  */
 
+const crypto = require('crypto');
+const { getLevelConfig, getMaxLevel, getSummaryLevels } = require('./levels');
+
 /**
  * 시스템 프롬프트 - 모든 요약에 공통으로 적용
  */
@@ -28,8 +34,8 @@ const LEVEL1_PROMPT = {
 1. 원문의 핵심 단어(키워드)는 반드시 그대로 유지하세요
 2. 문장 구조를 최대한 보존하세요
 3. 고유명사, 인명, 지명은 절대 변경하지 마세요
-4. 원문의 70-80% 길이로 압축하세요
-5. 주요 사실, 핵심 논점, 중요 통계는 유지하세요
+4. 원문의 {{targetCompression}} 길이로 압축하세요
+5. 주요 사실, 핵심 논점, 중요 통계는 유지하세요{{keywordRule}}
 
 **원문:**
 {{text}}
@@ -39,10 +45,20 @@ const LEVEL1_PROMPT = {
   /**
    * 프롬프트에 텍스트를 주입하여 완성된 프롬프트 생성
    * @param {string} text - 요약할 원문 텍스트
+   * @param {object} options - 추가 옵션
+   * @param {Array<string>} options.keywords - 반드시 유지할 키워드 목록 (선택)
    * @returns {string} 완성된 프롬프트
    */
-  build(text) {
-    return this.template.replace('{{text}}', text);
+  build(text, options = {}) {
+    const { keywords = [] } = options;
+    const keywordRule = keywords.length > 0
+      ? `\n6. 다음 핵심 키워드는 반드시 요약에 그대로 포함하세요: ${keywords.join(', ')}`
+      : '';
+
+    return this.template
+      .replace('{{targetCompression}}', this.targetCompression)
+      .replace('{{keywordRule}}', keywordRule)
+      .replace('{{text}}', text);
   }
 };
 
@@ -61,7 +77,7 @@ const LEVEL2_PROMPT = {
 1. 의미 보존이 최우선이며, 단어 재구성을 허용합니다
 2. 세부 내용은 생략하되, 전체 맥락은 유지하세요
 3. 메인 아이디어와 주요 발견사항을 중심으로 요약하세요
-4. 원문의 40-50% 길이로 압축하세요
+4. 원문의 {{targetCompression}} 길이로 압축하세요
 5. 중복되는 내용은 통합하세요
 
 **원문:**
@@ -75,7 +91,9 @@ const LEVEL2_PROMPT = {
    * @returns {string} 완성된 프롬프트
    */
   build(text) {
-    return this.template.replace('{{text}}', text);
+    return this.template
+      .replace('{{targetCompression}}', this.targetCompression)
+      .replace('{{text}}', text);
   }
 };
 
@@ -124,7 +142,7 @@ const LEVEL3_PROMPT = {
 **중요한 규칙:**
 1. 전체 내용의 핵심 메시지와 결론만 포함하세요
 2. 3-5문장으로 간결하게 작성하세요
-3. 원문의 10-20% 길이로 압축하세요
+3. 원문의 {{targetCompression}} 길이로 압축하세요
 4. 새로운 문장 구성이 허용되지만, 원문의 의미는 보존하세요
 5. 가장 중요한 정보만 선별하세요
 
@@ -139,40 +157,59 @@ const LEVEL3_PROMPT = {
    * @returns {string} 완성된 프롬프트
    */
   build(text) {
-    return this.template.replace('{{text}}', text);
+    return this.template
+      .replace('{{targetCompression}}', this.targetCompression)
+      .replace('{{text}}', text);
   }
 };
 
+/**
+ * 프롬프트 스타일별 기본 템플릿
+ * - detail:   부연 설명 제거, 키워드 보존 (첫 요약 레벨)
+ * - condense: 핵심 주장 중심 재구성 (중간 레벨)
+ * - final:    3-5문장 핵심 요약 (마지막 레벨)
+ */
+const PROMPT_STYLES = {
+  detail: LEVEL1_PROMPT,
+  condense: LEVEL2_PROMPT,
+  final: LEVEL3_PROMPT
+};
+
 /**
  * 레벨에 따른 프롬프트 가져오기
+ * 레벨 사다리 설정의 스타일 템플릿에 레벨 이름과 목표 압축률을 적용합니다.
  *
- * @param {number} level - 요약 레벨 (0, 1, 2, 3)
- * @returns {object} 해당 레벨의 프롬프트 객체
+ * @param {number} level - 레벨 (0: 문단 구분, 1 이상: 요약)
+ * @returns {object} 해당 레벨의 프롬프트 객체 (style 포함)
  * @throws {Error} 유효하지 않은 레벨인 경우
  */
 function getPromptForLevel(level) {
-  const prompts = {
-    0: LEVEL0_FORMAT_PROMPT,
-    1: LEVEL1_PROMPT,
-    2: LEVEL2_PROMPT,
-    3: LEVEL3_PROMPT
-  };
+  if (level === 0) {
+    return LEVEL0_FORMAT_PROMPT;
+  }
 
-  if (!prompts[level]) {
-    throw new Error(`유효하지 않은 레벨입니다: ${level}. 0, 1, 2, 3 중 하나를 선택하세요.`);
+  const config = getLevelConfig(level);
+  if (!config || level < 0) {
+    throw new Error(`유효하지 않은 레벨입니다: ${level}. 0-${getMaxLevel()} 중 하나를 선택하세요.`);
   }
 
-  return prompts[level];
+  return {
+    ...PROMPT_STYLES[config.prompt],
+    name: `Level ${level} - ${config.name}`,
+    style: config.prompt,
+    targetCompression: config.targetCompression
+  };
 }
 
 /**
  * 완성된 메시지 배열 생성
  * Azure OpenAI API에 전달할 메시지 형식으로 변환합니다.
  *
- * @param {number} level - 요약 레벨 (1, 2, 3)
+ * @param {number} level - 요약 레벨 (1 이상)
  * @param {string} text - 요약할 텍스트
  * @param {object} options - 추가 옵션
  * @param {string} options.systemPrompt - 커스텀 시스템 프롬프트 (선택)
+ * @param {Array<string>} options.keywords - 반드시 유지할 키워드 목록 (Level 1, 선택)
  * @returns {Array} OpenAI API 메시지 배열
  */
 function buildMessages(level, text, options = {}) {
@@ -186,16 +223,99 @@ function buildMessages(level, text, options = {}) {
     },
     {
       role: "user",
-      content: prompt.build(text)
+      content: prompt.build(text, options)
+    }
+  ];
+}
+
+/**
+ * 압축률 피드백 메시지 배열 생성
+ * 직전 요약과 측정된 압축률을 대화에 추가하여 목표 범위로 다시 작성하도록 요청합니다.
+ *
+ * @param {number} level - 요약 레벨 (1 이상)
+ * @param {string} text - 요약할 텍스트
+ * @param {string} summary - 직전 요약 결과
+ * @param {number} compressionRate - 측정된 압축률 (0-1)
+ * @param {object} options - buildMessages 옵션 (선택)
+ * @returns {Array} OpenAI API 메시지 배열
+ */
+function buildCompressionFeedbackMessages(level, text, summary, compressionRate, options = {}) {
+  const { min, max } = getTargetCompressionRange(level);
+  const { targetCompression } = getPromptForLevel(level);
+
+  const percent = Math.round(compressionRate * 100);
+  const tooLong = compressionRate > max;
+  const gap = Math.round(Math.abs(compressionRate - (tooLong ? max : min)) * 100);
+
+  const feedback = tooLong
+    ? `방금 작성한 요약은 원문의 ${percent}% 길이로, 목표 범위(${targetCompression})보다 ${gap}%p 깁니다. 핵심 내용을 유지하면서 더 압축하세요.`
+    : `방금 작성한 요약은 원문의 ${percent}% 길이로, 목표 범위(${targetCompression})보다 ${gap}%p 짧습니다. 생략한 중요한 내용을 원문에서 되살리세요.`;
+
+  return [
+    ...buildMessages(level, text, options),
+    {
+      role: "assistant",
+      content: summary
+    },
+    {
+      role: "user",
+      content: `${feedback}\n원문의 ${Math.round(min * 100)}-${Math.round(max * 100)}% 길이로 다시 작성하고, 요약문만 출력하세요.`
+    }
+  ];
+}
+
+/**
+ * 키워드 보존 수정 요청 메시지 배열 생성
+ * 직전 요약에서 빠진 키워드를 알려주고 길이를 유지한 채 되살리도록 요청합니다.
+ *
+ * @param {number} level - 요약 레벨 (detail 스타일 레벨)
+ * @param {string} text - 요약할 텍스트
+ * @param {string} summary - 직전 요약 결과
+ * @param {Array<string>} keywords - 반드시 유지할 키워드 목록
+ * @param {Array<string>} missingKeywords - 요약에서 빠진 키워드 목록
+ * @returns {Array} OpenAI API 메시지 배열
+ */
+function buildKeywordRevisionMessages(level, text, summary, keywords, missingKeywords) {
+  return [
+    ...buildMessages(level, text, { keywords }),
+    {
+      role: "assistant",
+      content: summary
+    },
+    {
+      role: "user",
+      content: `방금 작성한 요약에서 다음 핵심 키워드가 빠졌습니다: ${missingKeywords.join(', ')}
+빠진 키워드가 원문 그대로 포함되도록 해당 내용을 되살려 요약을 수정하세요.
+원문의 ${getPromptForLevel(level).targetCompression} 길이를 유지하고, 수정된 요약문만 출력하세요.`
     }
   ];
 }
 
+/**
+ * 목표 압축률 범위 조회
+ * 프롬프트의 targetCompression 문자열(예: "70-80%")을 비율 범위로 변환합니다.
+ *
+ * @param {number} level - 요약 레벨 (1 이상)
+ * @returns {object|null} { min, max, target } (0-1, target은 중간값) 또는 목표가 없으면 null
+ */
+function getTargetCompressionRange(level) {
+  const { targetCompression } = getPromptForLevel(level);
+  if (!targetCompression) return null;
+
+  const [min, max] = targetCompression.match(/\d+/g).map(n => parseInt(n) / 100);
+
+  return {
+    min,
+    max,
+    target: (min + max) / 2
+  };
+}
+
 /**
  * 프롬프트 메타데이터 조회
  * 특정 레벨의 프롬프트 정보를 반환합니다.
  *
- * @param {number} level - 요약 레벨 (1, 2, 3)
+ * @param {number} level - 요약 레벨 (1 이상)
  * @returns {object} 프롬프트 메타데이터
  */
 function getPromptMetadata(level) {
@@ -203,6 +323,7 @@ function getPromptMetadata(level) {
 
   return {
     name: prompt.name,
+    style: prompt.style,
     targetCompression: prompt.targetCompression,
     keywordPreservation: prompt.keywordPreservation,
     semanticSimilarity: prompt.semanticSimilarity,
@@ -216,12 +337,46 @@ function getPromptMetadata(level) {
  * @returns {Array} 전체 프롬프트 메타데이터 배열
  */
 function getAllPromptMetadata() {
-  return [1, 2, 3].map(level => ({
+  return getSummaryLevels().map(level => ({
     level,
     ...getPromptMetadata(level)
   }));
 }
 
+/**
+ * 프롬프트 버전 계산용 자리 표시 값
+ */
+const VERSION_SAMPLE = {
+  text: '{{text}}',
+  summary: '{{summary}}',
+  keywords: ['{{keyword}}']
+};
+
+/**
+ * 프롬프트 버전 조회
+ * 레벨마다 실제로 보내는 메시지(첫 요청, 압축률 재요청, 키워드 수정 요청)를 자리 표시 값으로 렌더링해 해시합니다.
+ * 함수 소스가 아닌 렌더링 결과를 해시하므로 주석이나 코드 서식만 바뀌면 버전이 유지되고,
+ * 모델에 보내는 문구가 바뀌면 캐시 키(utils/cache.js)가 달라져 이전 요약을 사용하지 않습니다.
+ *
+ * @returns {string} 프롬프트 버전 (SHA256 앞 8자리)
+ */
+function getPromptVersion() {
+  const { text, summary, keywords } = VERSION_SAMPLE;
+  const rendered = [
+    buildMessages(0, text),
+    ...getSummaryLevels().map(level => ({
+      level,
+      messages: buildMessages(level, text),
+      keywordMessages: buildMessages(level, text, { keywords }),
+      tooShort: buildCompressionFeedbackMessages(level, text, summary, 0, { keywords }),
+      tooLong: buildCompressionFeedbackMessages(level, text, summary, 1, { keywords }),
+      revision: buildKeywordRevisionMessages(level, text, summary, keywords, keywords)
+    }))
+  ];
+
+  return crypto.createHash('sha256').update(JSON.stringify(rendered)).digest('hex').substring(0, 8);
+}
+
 /**
  * 프롬프트 유효성 검사
  * 텍스트 길이나 내용이 프롬프트 제약조건을 만족하는지 확인합니다.
@@ -245,16 +400,14 @@ function validatePromptInput(text, level) {
 
   // 최대 길이 검사 (토큰 제한 고려 - 약 100,000자)
   if (text.length > 100000) {
-    warnings.push('텍스트가 너무 깁니다. 청킹 처리가 필요할 수 있습니다.');
+    warnings.push('텍스트가 너무 깁니다. 청크 단위로 나누어 요약합니다.');
   }
 
-  // 레벨별 권장 입력 검사
-  if (level === 2 && text.length > 50000) {
-    warnings.push('Level 2는 Level 1 요약본을 입력으로 사용하는 것을 권장합니다.');
-  }
+  // 레벨별 권장 입력 검사 (상위 레벨일수록 짧은 입력 권장)
+  const recommendedMaxLength = { condense: 50000, final: 30000 }[getPromptForLevel(level).style];
 
-  if (level === 3 && text.length > 30000) {
-    warnings.push('Level 3는 Level 2 요약본을 입력으로 사용하는 것을 권장합니다.');
+  if (level > 1 && recommendedMaxLength && text.length > recommendedMaxLength) {
+    warnings.push(`Level ${level}는 Level ${level - 1} 요약본을 입력으로 사용하는 것을 권장합니다.`);
   }
 
   return {
@@ -269,9 +422,14 @@ module.exports = {
   LEVEL1_PROMPT,
   LEVEL2_PROMPT,
   LEVEL3_PROMPT,
+  PROMPT_STYLES,
   getPromptForLevel,
   buildMessages,
+  buildCompressionFeedbackMessages,
+  buildKeywordRevisionMessages,
+  getTargetCompressionRange,
   getPromptMetadata,
   getAllPromptMetadata,
+  getPromptVersion,
   validatePromptInput
 };
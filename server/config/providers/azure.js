@@ -0,0 +1,28 @@
+/**
+ * Azure OpenAI LLM 프로바이더
+ *
+ * config/azure.js의 클라이언트 싱글톤과 DEPLOYMENT_NAME 배포를 사용합니다.
+ */
+
+const { getClient } = require('../azure');
+const { completeWithOpenAIClient } = require('./openai');
+
+/**
+ * Azure OpenAI 프로바이더 생성
+ *
+ * @returns {object} 프로바이더 { name, model, complete }
+ */
+function createProvider() {
+  const client = getClient();
+  const model = process.env.DEPLOYMENT_NAME;
+
+  return {
+    name: 'azure',
+    model,
+    complete: (messages, options) => completeWithOpenAIClient(client, model, messages, options)
+  };
+}
+
+module.exports = {
+  createProvider
+};
@@ -0,0 +1,139 @@
+/**
+ * 로컬 LLM 서버 프로바이더 (Ollama 스타일 HTTP API)
+ *
+ * POST {LOCAL_LLM_URL}/api/chat 엔드포인트를 사용합니다.
+ * 스트리밍 응답은 줄 단위 JSON(NDJSON)으로 수신합니다.
+ *
+ * llama.cpp server처럼 OpenAI 호환 API를 제공하는 서버는
+ * LLM_PROVIDER=openai와 OPENAI_BASE_URL을 사용하세요.
+ */
+
+/**
+ * HTTP 에러 생성 (withRetry가 status로 재시도 여부를 판단)
+ *
+ * @param {Response} response - fetch 응답
+ * @returns {Promise<Error>} 에러 객체
+ */
+async function createHttpError(response) {
+  const body = await response.text().catch(() => '');
+  const error = new Error(`로컬 LLM 서버 오류 (HTTP ${response.status}): ${body.slice(0, 200)}`);
+  error.status = response.status;
+  return error;
+}
+
+/**
+ * 사용량 정보 추출
+ *
+ * @param {object} data - 응답 데이터
+ * @returns {object} { promptTokens, completionTokens }
+ */
+function extractUsage(data) {
+  return {
+    promptTokens: data?.prompt_eval_count ?? null,
+    completionTokens: data?.eval_count ?? null
+  };
+}
+
+/**
+ * 스트리밍 응답 읽기
+ *
+ * @param {Response} response - fetch 응답
+ * @param {Function} onDelta - 토큰 델타 콜백
+ * @returns {Promise<object>} { content, usage }
+ */
+async function readStream(response, onDelta) {
+  const decoder = new TextDecoder();
+  let buffer = '';
+  let content = '';
+  let usage = { promptTokens: null, completionTokens: null };
+
+  const handleLine = (line) => {
+    if (!line.trim()) return;
+
+    const data = JSON.parse(line);
+    if (data.error) {
+      throw new Error(`로컬 LLM 서버 오류: ${data.error}`);
+    }
+
+    const delta = data.message?.content;
+    if (delta) {
+      content += delta;
+      onDelta(delta);
+    }
+    if (data.done) {
+      usage = extractUsage(data);
+    }
+  };
+
+  for await (const chunk of response.body) {
+    buffer += decoder.decode(chunk, { stream: true });
+
+    const lines = buffer.split('\n');
+    buffer = lines.pop();
+    lines.forEach(handleLine);
+  }
+  handleLine(buffer);
+
+  return { content, usage };
+}
+
+/**
+ * 로컬 LLM 프로바이더 생성
+ *
+ * @returns {object} 프로바이더 { name, model, complete }
+ */
+function createProvider() {
+  const baseUrl = (process.env.LOCAL_LLM_URL || 'http://localhost:11434').replace(/\/+$/, '');
+  const model = process.env.LOCAL_LLM_MODEL || 'llama3.1';
+
+  console.log('✓ 로컬 LLM 프로바이더 초기화 완료');
+  console.log(`  - 엔드포인트: ${baseUrl}`);
+  console.log(`  - 모델: ${model}`);
+
+  /**
+   * 채팅 완성 호출
+   *
+   * @param {Array<object>} messages - 메시지 배열
+   * @param {object} options - { maxTokens, onDelta, signal }
+   * @returns {Promise<object>} { content, usage }
+   */
+  async function complete(messages, options = {}) {
+    const { maxTokens = 2000, onDelta = null, signal = undefined } = options;
+
+    const response = await fetch(`${baseUrl}/api/chat`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        model,
+        messages,
+        stream: !!onDelta,
+        options: { num_predict: maxTokens }
+      }),
+      signal
+    });
+
+    if (!response.ok) {
+      throw await createHttpError(response);
+    }
+
+    if (onDelta) {
+      return readStream(response, onDelta);
+    }
+
+    const data = await response.json();
+    return {
+      content: data.message?.content || '',
+      usage: extractUsage(data)
+    };
+  }
+
+  return {
+    name: 'local',
+    model,
+    complete
+  };
+}
+
+module.exports = {
+  createProvider
+};
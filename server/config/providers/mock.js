@@ -0,0 +1,132 @@
+/**
+ * 오프라인 Mock LLM 프로바이더 (테스트용)
+ *
+ * 네트워크 호출 없이 결정적인 결과를 반환합니다.
+ * 프롬프트의 "원문" 구간을 추출하고, 프롬프트에 명시된 목표 길이(예: "70-80%")의
+ * 중간값에 도달할 때까지 앞 문장부터 채워 요약을 흉내 냅니다.
+ * 목표 길이가 없는 프롬프트(Level 0 문단 구분 등)는 원문을 그대로 반환합니다.
+ */
+
+/**
+ * 프롬프트에서 원문 구간 추출
+ *
+ * @param {string} prompt - 사용자 프롬프트
+ * @returns {string} 원문 텍스트
+ */
+function extractSourceText(prompt) {
+  const match = prompt.match(/\*\*원문:\*\*\n([\s\S]*)\n\n\*\*[^*\n]+:\*\*\s*$/);
+  return (match ? match[1] : prompt).trim();
+}
+
+/**
+ * 프롬프트에서 목표 길이 비율 추출
+ *
+ * @param {string} prompt - 사용자 프롬프트
+ * @returns {number|null} 목표 비율 (0-1) 또는 null
+ */
+function extractTargetRatio(prompt) {
+  const match = prompt.match(/원문의 (\d+)-(\d+)% 길이/);
+  if (!match) return null;
+
+  return (parseInt(match[1]) + parseInt(match[2])) / 2 / 100;
+}
+
+/**
+ * 단어 수 계산
+ *
+ * @param {string} text - 텍스트
+ * @returns {number} 단어 수
+ */
+function countWords(text) {
+  return (text.match(/\S+/g) || []).length;
+}
+
+/**
+ * 결정적 요약 생성
+ * 문단 구조를 유지하면서 앞 문장부터 목표 단어 수까지 채웁니다.
+ *
+ * @param {string} text - 원문
+ * @param {number} ratio - 목표 비율 (0-1)
+ * @returns {string} 요약 텍스트
+ */
+function truncateToRatio(text, ratio) {
+  const targetWords = Math.max(1, Math.round(countWords(text) * ratio));
+  const paragraphs = text.split(/\n\s*\n/).map(p => p.trim()).filter(Boolean);
+
+  const result = [];
+  let wordCount = 0;
+
+  for (const paragraph of paragraphs) {
+    const sentences = paragraph.split(/(?<=[.!?。])\s+/);
+    const kept = [];
+
+    for (const sentence of sentences) {
+      if (wordCount >= targetWords) break;
+      kept.push(sentence);
+      wordCount += countWords(sentence);
+    }
+
+    if (kept.length > 0) {
+      result.push(kept.join(' '));
+    }
+    if (wordCount >= targetWords) break;
+  }
+
+  return result.join('\n\n');
+}
+
+/**
+ * Mock 프로바이더 생성
+ *
+ * @returns {object} 프로바이더 { name, model, complete }
+ */
+function createProvider() {
+  console.log('✓ Mock LLM 프로바이더 초기화 완료 (오프라인, 결정적 응답)');
+
+  /**
+   * 채팅 완성 호출
+   *
+   * @param {Array<object>} messages - 메시지 배열
+   * @param {object} options - { onDelta, signal }
+   * @returns {Promise<object>} { content, usage }
+   */
+  async function complete(messages, options = {}) {
+    const { onDelta = null, signal = undefined } = options;
+
+    if (signal?.aborted) {
+      const error = new Error('Request was aborted.');
+      error.name = 'AbortError';
+      throw error;
+    }
+
+    // 압축률 피드백 재요청은 마지막 메시지에 목표 길이만 담고 원문은 앞선 메시지에 있음
+    const userMessages = messages.filter(m => m.role === 'user').map(m => m.content);
+    const prompt = userMessages[userMessages.length - 1] || '';
+    const sourcePrompt = [...userMessages].reverse().find(m => m.includes('**원문:**')) || prompt;
+    const source = extractSourceText(sourcePrompt);
+    const ratio = extractTargetRatio(prompt);
+    const content = ratio === null ? source : truncateToRatio(source, ratio);
+
+    if (onDelta) {
+      (content.match(/\S+\s*/g) || []).forEach(token => onDelta(token));
+    }
+
+    return {
+      content,
+      usage: {
+        promptTokens: messages.reduce((sum, m) => sum + countWords(m.content), 0),
+        completionTokens: countWords(content)
+      }
+    };
+  }
+
+  return {
+    name: 'mock',
+    model: 'mock-extractive',
+    complete
+  };
+}
+
+module.exports = {
+  createProvider
+};
@@ -0,0 +1,119 @@
+/**
+ * OpenAI 호환 LLM 프로바이더
+ *
+ * OpenAI API 및 OpenAI 호환 엔드포인트(vLLM, llama.cpp server, LM Studio 등)를 사용합니다.
+ * openai SDK 기반 채팅 완성 호출 로직은 Azure 프로바이더와 공유합니다.
+ */
+
+const { OpenAI } = require("openai");
+
+/**
+ * 환경 변수 검증
+ */
+function validateEnvironmentVariables() {
+  const missing = ['OPENAI_MODEL'].filter(key => !process.env[key]);
+
+  // 공식 OpenAI API는 API 키 필수, 커스텀 엔드포인트는 선택
+  if (!process.env.OPENAI_BASE_URL && !process.env.OPENAI_API_KEY) {
+    missing.push('OPENAI_API_KEY');
+  }
+
+  if (missing.length > 0) {
+    throw new Error(
+      `필수 환경 변수가 설정되지 않았습니다: ${missing.join(', ')}\n` +
+      '.env 파일을 확인하거나 환경 변수를 설정해주세요.'
+    );
+  }
+}
+
+/**
+ * openai SDK 클라이언트로 채팅 완성 호출
+ * onDelta가 주어지면 스트리밍 모드로 호출합니다.
+ *
+ * @param {OpenAI} client - openai SDK 클라이언트 (OpenAI 또는 AzureOpenAI)
+ * @param {string} model - 모델 또는 배포 이름
+ * @param {Array<object>} messages - 메시지 배열
+ * @param {object} options - { maxTokens, onDelta, signal }
+ * @returns {Promise<object>} { content, usage: { promptTokens, completionTokens } }
+ */
+async function completeWithOpenAIClient(client, model, messages, options = {}) {
+  const { maxTokens = 2000, onDelta = null, signal = undefined } = options;
+
+  if (!onDelta) {
+    const result = await client.chat.completions.create({
+      model,
+      messages,
+      max_completion_tokens: maxTokens
+    }, { signal });
+
+    return {
+      content: result.choices?.[0]?.message?.content || '',
+      usage: {
+        promptTokens: result.usage?.prompt_tokens ?? null,
+        completionTokens: result.usage?.completion_tokens ?? null
+      }
+    };
+  }
+
+  const stream = await client.chat.completions.create({
+    model,
+    messages,
+    max_completion_tokens: maxTokens,
+    stream: true,
+    stream_options: { include_usage: true }
+  }, { signal });
+
+  let content = '';
+  let usage = null;
+
+  for await (const chunk of stream) {
+    const delta = chunk.choices?.[0]?.delta?.content;
+    if (delta) {
+      content += delta;
+      onDelta(delta);
+    }
+    if (chunk.usage) {
+      usage = chunk.usage;
+    }
+  }
+
+  return {
+    content,
+    usage: {
+      promptTokens: usage?.prompt_tokens ?? null,
+      completionTokens: usage?.completion_tokens ?? null
+    }
+  };
+}
+
+/**
+ * OpenAI 호환 프로바이더 생성
+ *
+ * @returns {object} 프로바이더 { name, model, complete }
+ */
+function createProvider() {
+  validateEnvironmentVariables();
+
+  const baseURL = process.env.OPENAI_BASE_URL || undefined;
+  const model = process.env.OPENAI_MODEL;
+
+  const client = new OpenAI({
+    apiKey: process.env.OPENAI_API_KEY || 'not-needed',
+    baseURL
+  });
+
+  console.log('✓ OpenAI 호환 클라이언트 초기화 완료');
+  console.log(`  - 엔드포인트: ${baseURL || 'https://api.openai.com/v1'}`);
+  console.log(`  - 모델: ${model}`);
+
+  return {
+    name: 'openai',
+    model,
+    complete: (messages, options) => completeWithOpenAIClient(client, model, messages, options)
+  };
+}
+
+module.exports = {
+  createProvider,
+  completeWithOpenAIClient
+};
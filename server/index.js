@@ -9,17 +9,65 @@ require('dotenv').config();
 const express = require('express');
 const cors = require('cors');
 const path = require('path');
+const crypto = require('crypto');
 
 // 서비스 및 유틸리티 모듈
 const { loadAndProcessExampleText, loadTextFile, formatParagraphs } = require('./utils/textProcessor');
+const {
+  DEFAULT_DOCUMENT_ID,
+  createDocument,
+  listDocuments,
+  getDocument,
+  getDocumentLevel,
+  saveDocumentSummaries,
+  deleteDocument,
+  ensureDefaultDocument
+} = require('./services/documentStore');
 const { analyzeDifference, analyzeDetailedDifference } = require('./services/wordMatcher');
-const { getCacheStats, logCacheStats } = require('./utils/cache');
+const { generateAllSummaries } = require('./services/summarizer');
+const { interpolateAtRatio, measureLevelRatios } = require('./services/zoomInterpolator');
+const { alignSentences, locateSentence, traceSentenceSources } = require('./services/sentenceAligner');
+const { getLevelPairDiff, precomputeTransitionDiffs } = require('./services/transitionDiff');
+const {
+  registerJobHandler,
+  initJobQueue,
+  closeJobQueue,
+  createJob,
+  getJob,
+  listJobs,
+  findActiveJob,
+  cancelJob,
+  isJobFinished
+} = require('./services/jobQueue');
+const {
+  initUsageTracker,
+  closeUsageTracker,
+  rateLimit,
+  createUsageRecorder,
+  getUsageStats
+} = require('./services/usageTracker');
+const { getProviderInfo } = require('./config/llm');
+const { getLevelLadder, getMaxLevel, getSummaryLevels, isValidLevel } = require('./config/levels');
+const {
+  initCache,
+  closeCache,
+  getCacheStats,
+  logCacheStats,
+  getAllSummaries,
+  saveAllSummaries,
+  generateTextHash,
+  getCacheVersion,
+  listCacheVersions,
+  purgeCacheEntries
+} = require('./utils/cache');
 
 // Express 앱 초기화
 const app = express();
 const PORT = process.env.PORT || 3135;
 
 // 미들웨어 설정
+// Nginx 등 사설 네트워크의 프록시가 보낸 X-Forwarded-For로 클라이언트 IP 식별 (요청 한도용)
+app.set('trust proxy', process.env.TRUST_PROXY || 'loopback, linklocal, uniquelocal');
 app.use(cors()); // CORS 허용
 app.use(express.json({ limit: '10mb' })); // JSON 파싱 (최대 10MB)
 app.use(express.urlencoded({ extended: true, limit: '10mb' })); // URL-encoded 파싱
@@ -62,6 +110,7 @@ app.get('/api/health', async (req, res) => {
         cache: 'active'
       },
       cache: cacheStats,
+      llm: getProviderInfo(),
       timestamp: new Date().toISOString()
     });
   } catch (error) {
@@ -72,27 +121,599 @@ app.get('/api/health', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/levels
+ * 줌 레벨 사다리 조회
+ * 클라이언트는 이 목록으로 제스처, 슬라이더, 레벨 레이블을 구성합니다.
+ */
+app.get('/api/levels', (req, res) => {
+  try {
+    const levels = getLevelLadder().map(({ level, name, label, targetCompression = null }) => ({
+      level,
+      name,
+      label,
+      targetCompression
+    }));
+
+    res.json({
+      success: true,
+      data: {
+        levels,
+        maxLevel: getMaxLevel()
+      }
+    });
+  } catch (error) {
+    console.error('레벨 사다리 조회 실패:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
 /**
  * GET /api/example-text
- * example-level0.txt 파일 로드
+ * 문서 원문(Level 0) 로드
+ * Query: documentId (선택, 기본값: 예제 문서)
+ */
+app.get('/api/example-text', async (req, res) => {
+  try {
+    const documentId = req.query.documentId || DEFAULT_DOCUMENT_ID;
+    console.log(`원문 로드 요청: ${documentId}`);
+
+    const document = await getDocumentLevel(documentId, 0);
+
+    if (!document) {
+      return res.status(404).json({
+        success: false,
+        error: `문서를 찾을 수 없습니다: ${documentId}`
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        documentId,
+        text: document.text,
+        stats: {}
+      }
+    });
+  } catch (error) {
+    console.error('원문 로드 실패:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * 문서의 레벨 쌍 차이를 백그라운드에서 미리 계산
+ * 요약 저장 직후 호출하며, 응답을 기다리게 하지 않습니다.
+ *
+ * @param {string} documentId - 문서 ID
+ */
+function precomputeDocumentDiffs(documentId) {
+  (async () => {
+    const document = await getDocument(documentId);
+    if (!document) return;
+
+    const levels = [];
+    for (const level of document.levels) {
+      const { text } = await getDocumentLevel(documentId, level);
+      levels.push({ level, text });
+    }
+
+    await precomputeTransitionDiffs(levels);
+  })().catch(error => {
+    console.error(`✗ 레벨 쌍 차이 미리 계산 실패 (${documentId}):`, error.message);
+  });
+}
+
+/**
+ * POST /api/summarize
+ * 요약 생성 요청 (LLM 요약 파이프라인 사용)
+ * Body: { text: string, useCache: boolean, documentId: string (선택) }
+ *
+ * documentId가 주어지면 text 생략 시 문서 원문을 사용하고,
+ * 생성된 요약을 문서의 요약 레벨로 저장합니다.
+ * text가 문서 원문과 다르면 요약만 반환하고 문서에는 저장하지 않습니다 (savedToDocument: false).
+ * 클라이언트별 요청 한도를 넘으면 429로 응답합니다.
+ */
+app.post('/api/summarize', rateLimit, async (req, res) => {
+  try {
+    const { useCache = true, documentId = null } = req.body;
+    let { text } = req.body;
+    let saveToDocument = false;
+
+    if (documentId) {
+      const document = await getDocumentLevel(documentId, 0);
+      if (!document) {
+        return res.status(404).json({
+          success: false,
+          error: `문서를 찾을 수 없습니다: ${documentId}`
+        });
+      }
+
+      if (!text) {
+        text = document.text;
+      }
+
+      // 다른 텍스트의 요약이 문서 레벨로 저장되면 원문(Level 0)과 맞지 않게 됨
+      saveToDocument = text === document.text;
+      if (!saveToDocument) {
+        console.warn(`⚠ 요청 텍스트가 문서 원문과 달라 문서에 저장하지 않습니다: ${documentId}`);
+      }
+    }
+
+    if (!text || typeof text !== 'string' || text.trim().length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: '요약할 텍스트(text)가 필요합니다.'
+      });
+    }
+
+    console.log(`요약 요청 (${text.length}자, useCache: ${useCache})`);
+
+    // 캐시 조회
+    let summaries = useCache ? getAllSummaries(text) : null;
+    const cached = !!summaries;
+
+    if (!summaries) {
+      // 요약 생성 (Level 1 → 2 → ... → N)
+      summaries = await generateAllSummaries(text, {
+        onUsage: createUsageRecorder(
+          req.clientId,
+          saveToDocument ? documentId : `text:${generateTextHash(text).substring(0, 12)}`
+        )
+      });
+
+      // 캐시 저장 (useCache가 false여도 최신 결과로 갱신)
+      saveAllSummaries(text, summaries);
+    }
+
+    // 문서에 요약 레벨 저장
+    if (saveToDocument) {
+      await saveDocumentSummaries(documentId, summaries);
+      precomputeDocumentDiffs(documentId);
+    }
+
+    res.json({
+      success: true,
+      data: summaries,
+      cached,
+      ...(documentId && { savedToDocument: saveToDocument })
+    });
+  } catch (error) {
+    console.error('요약 생성 실패:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * SSE 이벤트 전송
+ *
+ * @param {object} res - Express 응답 객체
+ * @param {string} event - 이벤트 이름
+ * @param {object} data - 이벤트 데이터 (JSON 직렬화)
+ */
+function sendEvent(res, event, data) {
+  res.write(`event: ${event}\n`);
+  res.write(`data: ${JSON.stringify(data)}\n\n`);
+}
+
+/**
+ * GET /api/summarize/stream
+ * 요약 생성 스트리밍 (Server-Sent Events)
+ * Query: documentId (선택, 기본값: 예제 문서), useCache (기본값: true)
+ *
+ * 이벤트:
+ * - level-start: { level }           레벨 생성 시작 (재시도 시 다시 전송, 이전 델타 폐기)
+ * - delta:       { level, content }  토큰 델타
+ * - level:       { level, summary }  레벨 생성 완료
+ * - done:        { metadata, cached } 전체 완료
+ * - error:       { error }           생성 실패
+ *
+ * 클라이언트별 요청 한도를 넘으면 스트림을 열기 전에 429로 응답합니다.
+ */
+app.get('/api/summarize/stream', rateLimit, async (req, res) => {
+  const documentId = req.query.documentId || DEFAULT_DOCUMENT_ID;
+  const useCache = req.query.useCache !== 'false';
+
+  let document;
+  try {
+    document = await getDocumentLevel(documentId, 0);
+  } catch (error) {
+    console.error('요약 스트리밍 실패:', error);
+    return res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+
+  if (!document) {
+    return res.status(404).json({
+      success: false,
+      error: `문서를 찾을 수 없습니다: ${documentId}`
+    });
+  }
+
+  console.log(`요약 스트리밍 요청: ${documentId} (useCache: ${useCache})`);
+
+  // SSE 헤더 설정 (Nginx 버퍼링 비활성화)
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  // 클라이언트 연결 종료 시 LLM 요청 취소
+  const abortController = new AbortController();
+  let finished = false;
+  req.on('close', () => {
+    if (!finished) {
+      console.log(`요약 스트리밍 연결 종료: ${documentId}`);
+      abortController.abort();
+    }
+  });
+
+  const text = document.text;
+
+  try {
+    let summaries = useCache ? getAllSummaries(text) : null;
+    const cached = !!summaries;
+
+    if (summaries) {
+      // 캐시된 결과를 레벨별로 즉시 전송
+      getSummaryLevels().forEach(level => {
+        sendEvent(res, 'level', { level, summary: summaries[`level${level}`] });
+      });
+    } else {
+      summaries = await generateAllSummaries(text, {
+        signal: abortController.signal,
+        onUsage: createUsageRecorder(req.clientId, documentId),
+        onLevelStart: (level) => sendEvent(res, 'level-start', { level }),
+        onDelta: (level, content) => sendEvent(res, 'delta', { level, content }),
+        onLevelComplete: (level, summary) => sendEvent(res, 'level', { level, summary })
+      });
+
+      saveAllSummaries(text, summaries);
+    }
+
+    // 연결이 끊긴 뒤에 끝난 생성은 문서에 저장하지 않음
+    abortController.signal.throwIfAborted();
+
+    await saveDocumentSummaries(documentId, summaries);
+    precomputeDocumentDiffs(documentId);
+
+    sendEvent(res, 'done', { metadata: summaries.metadata, cached });
+  } catch (error) {
+    if (abortController.signal.aborted) {
+      console.log(`요약 스트리밍 취소됨: ${documentId}`);
+    } else {
+      console.error('요약 스트리밍 실패:', error);
+      sendEvent(res, 'error', { error: error.message });
+    }
+  } finally {
+    finished = true;
+    res.end();
+  }
+});
+
+/**
+ * 문서 요약 작업 처리 (작업 큐 'summarize')
+ * 캐시된 요약이 있으면 그대로 사용하고, 없으면 생성한 뒤 문서의 요약 레벨로 저장합니다.
+ *
+ * @param {object} params - { documentId, useCache, clientId }
+ * @param {object} context - 작업 큐 컨텍스트 { signal, updateLevel }
+ * @returns {Promise<object>} { documentId, cached, metadata }
+ */
+async function runSummarizeJob({ documentId, useCache = true, clientId = null }, { signal, updateLevel }) {
+  const document = await getDocumentLevel(documentId, 0);
+  if (!document) {
+    throw new Error(`문서를 찾을 수 없습니다: ${documentId}`);
+  }
+
+  const text = document.text;
+  const completeLevel = (level, summary) => updateLevel(level, {
+    status: 'completed',
+    generator: summary.metadata.generator,
+    compressionRate: summary.metadata.compressionRate
+  });
+
+  let summaries = useCache ? getAllSummaries(text) : null;
+  const cached = !!summaries;
+
+  if (summaries) {
+    getSummaryLevels().forEach(level => completeLevel(level, summaries[`level${level}`]));
+  } else {
+    summaries = await generateAllSummaries(text, {
+      signal,
+      onUsage: createUsageRecorder(clientId, documentId),
+      onLevelStart: (level) => updateLevel(level, { status: 'running' }),
+      onLevelComplete: completeLevel
+    });
+
+    saveAllSummaries(text, summaries);
+  }
+
+  // 취소된 작업은 문서에 저장하지 않음
+  signal.throwIfAborted();
+
+  await saveDocumentSummaries(documentId, summaries);
+  precomputeDocumentDiffs(documentId);
+
+  return { documentId, cached, metadata: summaries.metadata };
+}
+
+registerJobHandler('summarize', runSummarizeJob);
+
+/**
+ * GET /api/text/:level
+ * 문서의 특정 레벨 텍스트 조회
+ * Params: level (0 ~ 최대 레벨, GET /api/levels 참고)
+ * Query: documentId (선택, 기본값: 예제 문서)
+ */
+app.get('/api/text/:level', async (req, res) => {
+  try {
+    const { level } = req.params;
+    const levelNum = parseInt(level);
+    const documentId = req.query.documentId || DEFAULT_DOCUMENT_ID;
+
+    if (!isValidLevel(levelNum)) {
+      return res.status(400).json({
+        success: false,
+        error: `유효하지 않은 레벨입니다. 0-${getMaxLevel()} 중 하나를 선택하세요.`
+      });
+    }
+
+    console.log(`텍스트 조회 요청: ${documentId} Level ${levelNum}`);
+
+    const document = await getDocumentLevel(documentId, levelNum);
+
+    if (!document) {
+      return res.status(404).json({
+        success: false,
+        error: `문서 또는 레벨을 찾을 수 없습니다: ${documentId} (Level ${levelNum})`
+      });
+    }
+
+    res.json({
+      success: true,
+      data: document
+    });
+  } catch (error) {
+    console.error('텍스트 조회 실패:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// ============================================================
+// 문서 라이브러리 API
+// ============================================================
+
+/**
+ * POST /api/documents
+ * 문서 업로드
+ * Body: { text: string, title: string (선택) }
+ */
+app.post('/api/documents', async (req, res) => {
+  try {
+    const { text, title } = req.body;
+
+    if (!text || typeof text !== 'string' || text.trim().length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: '문서 텍스트(text)가 필요합니다.'
+      });
+    }
+
+    const document = await createDocument({ text, title });
+
+    res.status(201).json({
+      success: true,
+      data: document
+    });
+  } catch (error) {
+    console.error('문서 업로드 실패:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/documents
+ * 문서 목록 조회
+ */
+app.get('/api/documents', async (req, res) => {
+  try {
+    const documents = await listDocuments();
+
+    res.json({
+      success: true,
+      data: documents
+    });
+  } catch (error) {
+    console.error('문서 목록 조회 실패:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/documents/:id
+ * 문서 정보 조회
+ */
+app.get('/api/documents/:id', async (req, res) => {
+  try {
+    const document = await getDocument(req.params.id);
+
+    if (!document) {
+      return res.status(404).json({
+        success: false,
+        error: `문서를 찾을 수 없습니다: ${req.params.id}`
+      });
+    }
+
+    res.json({
+      success: true,
+      data: document
+    });
+  } catch (error) {
+    console.error('문서 조회 실패:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/documents/:id/levels/:level
+ * 문서의 특정 레벨 텍스트 조회
+ */
+app.get('/api/documents/:id/levels/:level', async (req, res) => {
+  try {
+    const { id, level } = req.params;
+    const levelNum = parseInt(level);
+
+    if (!isValidLevel(levelNum)) {
+      return res.status(400).json({
+        success: false,
+        error: `유효하지 않은 레벨입니다. 0-${getMaxLevel()} 중 하나를 선택하세요.`
+      });
+    }
+
+    const document = await getDocumentLevel(id, levelNum);
+
+    if (!document) {
+      return res.status(404).json({
+        success: false,
+        error: `문서 또는 레벨을 찾을 수 없습니다: ${id} (Level ${levelNum})`
+      });
+    }
+
+    res.json({
+      success: true,
+      data: document
+    });
+  } catch (error) {
+    console.error('문서 레벨 조회 실패:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/documents/:id/zoom
+ * 연속 줌: 임의 비율의 텍스트 조회
+ * Query: ratio (원문 대비 0-1, 예: 0.63)
+ *
+ * 저장된 레벨 중 목표 비율을 감싸는 두 레벨 사이를 단어 우선순위로 보간합니다.
+ */
+app.get('/api/documents/:id/zoom', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const ratio = parseFloat(req.query.ratio);
+
+    if (!Number.isFinite(ratio) || ratio <= 0 || ratio > 1) {
+      return res.status(400).json({
+        success: false,
+        error: '비율(ratio)은 0보다 크고 1 이하인 숫자여야 합니다.'
+      });
+    }
+
+    const document = await getDocument(id);
+
+    if (!document) {
+      return res.status(404).json({
+        success: false,
+        error: `문서를 찾을 수 없습니다: ${id}`
+      });
+    }
+
+    const levels = [];
+    for (const level of document.levels) {
+      const { text } = await getDocumentLevel(id, level);
+      levels.push({ level, text });
+    }
+
+    const result = interpolateAtRatio(levels, ratio);
+
+    res.json({
+      success: true,
+      data: {
+        documentId: id,
+        ...result,
+        levelRatios: measureLevelRatios(levels)
+      }
+    });
+  } catch (error) {
+    console.error('연속 줌 보간 실패:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/documents/:id/alignment
+ * 레벨 간 문장 정렬 (출처 지도) 조회
+ * Query: from (원본 레벨), to (대상 레벨, 기본값: from + 1)
+ *
+ * 대상 레벨의 각 문장을 원본 레벨의 출처 문장들에 연결합니다.
  */
-app.get('/api/example-text', async (req, res) => {
+app.get('/api/documents/:id/alignment', async (req, res) => {
   try {
-    console.log('example-level0.txt 로드 요청');
+    const { id } = req.params;
+    const fromLevel = parseInt(req.query.from);
+    const toLevel = req.query.to !== undefined ? parseInt(req.query.to) : fromLevel + 1;
+
+    if (!isValidLevel(fromLevel) || !isValidLevel(toLevel) || fromLevel >= toLevel) {
+      return res.status(400).json({
+        success: false,
+        error: `유효하지 않은 레벨 쌍입니다. 0 ≤ from < to ≤ ${getMaxLevel()} 이어야 합니다.`
+      });
+    }
 
-    // Level 0 파일 로드
-    const text = await loadTextFile('data/example-level0.txt');
-    const formattedText = formatParagraphs(text);
+    const source = await getDocumentLevel(id, fromLevel);
+    const target = await getDocumentLevel(id, toLevel);
+
+    if (!source || !target) {
+      return res.status(404).json({
+        success: false,
+        error: `문서 또는 레벨을 찾을 수 없습니다: ${id} (Level ${source ? toLevel : fromLevel})`
+      });
+    }
+
+    const alignment = alignSentences(source.text, target.text);
 
     res.json({
       success: true,
       data: {
-        text: formattedText,
-        stats: {}
+        documentId: id,
+        fromLevel,
+        toLevel,
+        ...alignment
       }
     });
   } catch (error) {
-    console.error('example-level0.txt 로드 실패:', error);
+    console.error('문장 정렬 실패:', error);
     res.status(500).json({
       success: false,
       error: error.message
@@ -101,49 +722,83 @@ app.get('/api/example-text', async (req, res) => {
 });
 
 /**
- * POST /api/summarize
- * 요약 생성 요청 (미리 생성된 파일 사용)
- * Body: { text: string, useCache: boolean }
+ * GET /api/documents/:id/levels/:level/expand
+ * 요약 문장의 출처 텍스트 조회 (부분 확대)
+ * Query: word (문장 안 어절 위치, 0부터), to (출처 레벨, 기본값: 0)
+ *
+ * 어절이 속한 문장을 찾아 하위 레벨의 출처 문장들을 반환합니다.
  */
-app.post('/api/summarize', async (req, res) => {
+app.get('/api/documents/:id/levels/:level/expand', async (req, res) => {
   try {
-    console.log('요약 요청 - 미리 생성된 파일 사용');
-
-    // 각 레벨 파일 로드
-    const level1Text = await loadTextFile('data/example-level1.txt');
-    const level2Text = await loadTextFile('data/example-level2.txt');
-    const level3Text = await loadTextFile('data/example-level3.txt');
-
-    // 포맷팅
-    const level1Formatted = formatParagraphs(level1Text);
-    const level2Formatted = formatParagraphs(level2Text);
-    const level3Formatted = formatParagraphs(level3Text);
-
-    const summaries = {
-      level1: {
-        level: 1,
-        text: level1Formatted,
-        metadata: {}
-      },
-      level2: {
-        level: 2,
-        text: level2Formatted,
-        metadata: {}
-      },
-      level3: {
-        level: 3,
-        text: level3Formatted,
-        metadata: {}
+    const { id } = req.params;
+    const levelNum = parseInt(req.params.level);
+    const wordIndex = parseInt(req.query.word);
+    const toLevel = req.query.to !== undefined ? parseInt(req.query.to) : 0;
+
+    if (!isValidLevel(levelNum) || !isValidLevel(toLevel) || toLevel >= levelNum) {
+      return res.status(400).json({
+        success: false,
+        error: `유효하지 않은 레벨입니다. 0 ≤ to < level ≤ ${getMaxLevel()} 이어야 합니다.`
+      });
+    }
+
+    if (!Number.isInteger(wordIndex) || wordIndex < 0) {
+      return res.status(400).json({
+        success: false,
+        error: '어절 위치(word)는 0 이상의 정수여야 합니다.'
+      });
+    }
+
+    const document = await getDocument(id);
+
+    if (!document || !document.levels.includes(levelNum) || !document.levels.includes(toLevel)) {
+      return res.status(404).json({
+        success: false,
+        error: `문서 또는 레벨을 찾을 수 없습니다: ${id} (Level ${levelNum} → ${toLevel})`
+      });
+    }
+
+    const levels = [];
+    for (const level of document.levels.filter(l => l >= toLevel && l <= levelNum)) {
+      const { text } = await getDocumentLevel(id, level);
+      levels.push({ level, text });
+    }
+
+    const sentence = locateSentence(levels.find(l => l.level === levelNum).text, wordIndex);
+
+    if (!sentence) {
+      return res.status(404).json({
+        success: false,
+        error: `어절 위치가 텍스트 범위를 벗어났습니다: ${wordIndex}`
+      });
+    }
+
+    const sources = traceSentenceSources(levels, levelNum, [sentence.index], toLevel);
+
+    // 출처 문장을 문단 단위로 묶어 표시용 텍스트 구성
+    const paragraphs = [];
+    sources.forEach(source => {
+      const last = paragraphs[paragraphs.length - 1];
+      if (last && last.paragraph === source.paragraph) {
+        last.sentences.push(source.text);
+      } else {
+        paragraphs.push({ paragraph: source.paragraph, sentences: [source.text] });
       }
-    };
+    });
 
     res.json({
       success: true,
-      data: summaries,
-      cached: false
+      data: {
+        documentId: id,
+        level: levelNum,
+        toLevel,
+        sentence,
+        sources,
+        text: paragraphs.map(p => p.sentences.join(' ')).join('\n\n')
+      }
     });
   } catch (error) {
-    console.error('요약 로드 실패:', error);
+    console.error('출처 텍스트 조회 실패:', error);
     res.status(500).json({
       success: false,
       error: error.message
@@ -152,39 +807,79 @@ app.post('/api/summarize', async (req, res) => {
 });
 
 /**
- * GET /api/text/:level
- * 특정 레벨 텍스트 조회 (미리 생성된 파일 사용)
- * Params: level (0, 1, 2, 3)
+ * GET /api/documents/:id/diff
+ * 레벨 전환 단어 차이 조회
+ * Query: from (시작 레벨), to (목표 레벨)
+ *
+ * 요약 생성 시 미리 계산된 레벨 쌍 차이를 반환합니다 (없으면 계산 후 캐시).
+ * 양방향(from < to, from > to) 모두 지원합니다.
  */
-app.get('/api/text/:level', async (req, res) => {
+app.get('/api/documents/:id/diff', async (req, res) => {
   try {
-    const { level } = req.params;
-    const levelNum = parseInt(level);
+    const { id } = req.params;
+    const fromLevel = parseInt(req.query.from);
+    const toLevel = parseInt(req.query.to);
 
-    if (![0, 1, 2, 3].includes(levelNum)) {
+    if (!isValidLevel(fromLevel) || !isValidLevel(toLevel) || fromLevel === toLevel) {
       return res.status(400).json({
         success: false,
-        error: '유효하지 않은 레벨입니다. 0, 1, 2, 3 중 하나를 선택하세요.'
+        error: `유효하지 않은 레벨 쌍입니다. from과 to는 서로 다른 0-${getMaxLevel()} 사이의 레벨이어야 합니다.`
       });
     }
 
-    console.log(`텍스트 조회 요청: Level ${levelNum}`);
+    const original = await getDocumentLevel(id, 0);
+    const from = await getDocumentLevel(id, fromLevel);
+    const to = await getDocumentLevel(id, toLevel);
+
+    if (!original || !from || !to) {
+      return res.status(404).json({
+        success: false,
+        error: `문서 또는 레벨을 찾을 수 없습니다: ${id} (Level ${fromLevel} → ${toLevel})`
+      });
+    }
 
-    // 파일 로드
-    const filename = `data/example-level${levelNum}.txt`;
-    const text = await loadTextFile(filename);
-    const formattedText = formatParagraphs(text);
+    const { diff, cached } = getLevelPairDiff(original.text, from, to);
 
     res.json({
       success: true,
       data: {
-        level: levelNum,
-        text: formattedText,
-        metadata: {}
-      }
+        documentId: id,
+        fromLevel,
+        toLevel,
+        ...diff
+      },
+      cached
     });
   } catch (error) {
-    console.error('텍스트 조회 실패:', error);
+    console.error('레벨 전환 차이 조회 실패:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /api/documents/:id
+ * 문서 삭제
+ */
+app.delete('/api/documents/:id', async (req, res) => {
+  try {
+    const deleted = await deleteDocument(req.params.id);
+
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        error: `문서를 찾을 수 없습니다: ${req.params.id}`
+      });
+    }
+
+    res.json({
+      success: true,
+      message: '문서가 삭제되었습니다.'
+    });
+  } catch (error) {
+    console.error('문서 삭제 실패:', error);
     res.status(500).json({
       success: false,
       error: error.message
@@ -235,6 +930,35 @@ app.post('/api/calculate-diff', async (req, res) => {
   }
 });
 
+/**
+ * 관리자 키 확인 미들웨어 (캐시 삭제처럼 모든 사용자에게 영향을 주는 관리 API용)
+ * X-Admin-Key 헤더가 ADMIN_API_KEY와 같아야 하며, ADMIN_API_KEY가 없으면 관리 API를 사용할 수 없습니다.
+ *
+ * @param {object} req - Express 요청 객체
+ * @param {object} res - Express 응답 객체
+ * @param {Function} next - 다음 미들웨어
+ */
+function requireAdminKey(req, res, next) {
+  const adminKey = process.env.ADMIN_API_KEY;
+  if (!adminKey) {
+    return res.status(403).json({
+      success: false,
+      error: '관리 API가 비활성화되어 있습니다. ADMIN_API_KEY를 설정하세요.'
+    });
+  }
+
+  const digest = (value) => crypto.createHash('sha256').update(value).digest();
+  if (!crypto.timingSafeEqual(digest(req.get('X-Admin-Key') || ''), digest(adminKey))) {
+    console.warn(`⚠ 관리자 키 불일치: ${req.method} ${req.path} (${req.ip})`);
+    return res.status(401).json({
+      success: false,
+      error: '관리자 키(X-Admin-Key)가 올바르지 않습니다.'
+    });
+  }
+
+  next();
+}
+
 /**
  * GET /api/cache/stats
  * 캐시 통계 조회
@@ -255,6 +979,26 @@ app.get('/api/cache/stats', (req, res) => {
   }
 });
 
+/**
+ * GET /api/usage/stats
+ * LLM 사용량 통계 (오늘, UTC 기준)
+ * 전체 합계와 토큰 사용량 상위 클라이언트/문서, 설정된 한도를 반환합니다.
+ */
+app.get('/api/usage/stats', (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: getUsageStats()
+    });
+  } catch (error) {
+    console.error('사용량 통계 조회 실패:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
 /**
  * POST /api/cache/clear
  * 캐시 초기화
@@ -277,6 +1021,198 @@ app.post('/api/cache/clear', (req, res) => {
   }
 });
 
+/**
+ * GET /api/cache/versions
+ * 캐시 버전(프롬프트 · 모델 · 레벨 사다리)별 항목 목록
+ */
+app.get('/api/cache/versions', (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: {
+        current: getCacheVersion(),
+        versions: listCacheVersions()
+      }
+    });
+  } catch (error) {
+    console.error('캐시 버전 조회 실패:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/cache/purge
+ * 캐시 버전별 항목 삭제
+ *
+ * Body: { version?: string, promptVersion?: string, stale?: boolean }
+ * - version: 전체 캐시 버전 (GET /api/cache/versions의 version, 이전 형식은 'legacy')
+ * - promptVersion: 프롬프트 버전 (앞 8자리)
+ * - stale: true면 현재 버전이 아닌 모든 항목
+ *
+ * X-Admin-Key 헤더에 ADMIN_API_KEY가 필요합니다.
+ */
+app.post('/api/cache/purge', requireAdminKey, (req, res) => {
+  try {
+    const { version, promptVersion, stale } = req.body || {};
+
+    if (!version && !promptVersion && stale !== true) {
+      return res.status(400).json({
+        success: false,
+        error: 'version, promptVersion 또는 stale: true 중 하나가 필요합니다.'
+      });
+    }
+
+    const deleted = purgeCacheEntries({ version, promptVersion, stale: stale === true });
+
+    res.json({
+      success: true,
+      data: { deleted }
+    });
+  } catch (error) {
+    console.error('캐시 버전 삭제 실패:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// ============================================================
+// 작업 큐 API
+// ============================================================
+
+/**
+ * POST /api/documents/:id/summarize
+ * 문서 요약 작업 등록 (백그라운드 실행)
+ * Body: { useCache: boolean (기본값: true) }
+ *
+ * 바로 작업 ID를 반환하며, 진행 상황은 GET /api/jobs/:id로 확인합니다.
+ * 같은 문서의 요약 작업이 이미 대기 중이거나 실행 중이면 그 작업을 반환합니다.
+ * 클라이언트별 요청 한도를 넘으면 429로 응답하며, 작업의 토큰 사용량은 등록한 클라이언트에 집계됩니다.
+ */
+app.post('/api/documents/:id/summarize', rateLimit, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { useCache = true } = req.body || {};
+
+    const document = await getDocument(id);
+    if (!document) {
+      return res.status(404).json({
+        success: false,
+        error: `문서를 찾을 수 없습니다: ${id}`
+      });
+    }
+
+    const existing = findActiveJob('summarize', params => params.documentId === id);
+    const job = existing || createJob('summarize', {
+      documentId: id,
+      useCache: useCache !== false,
+      clientId: req.clientId
+    }, {
+      levels: getSummaryLevels()
+    });
+
+    res.status(202).json({
+      success: true,
+      data: job,
+      existing: !!existing
+    });
+  } catch (error) {
+    console.error('요약 작업 등록 실패:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/jobs
+ * 작업 목록 조회
+ * Query: status (선택: queued, running, completed, failed, cancelled)
+ */
+app.get('/api/jobs', (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: listJobs({ status: req.query.status })
+    });
+  } catch (error) {
+    console.error('작업 목록 조회 실패:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/jobs/:id
+ * 작업 상태 조회 (레벨별 진행 상태와 에러 포함)
+ */
+app.get('/api/jobs/:id', (req, res) => {
+  try {
+    const job = getJob(req.params.id);
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        error: `작업을 찾을 수 없습니다: ${req.params.id}`
+      });
+    }
+
+    res.json({
+      success: true,
+      data: job
+    });
+  } catch (error) {
+    console.error('작업 조회 실패:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/jobs/:id/cancel
+ * 작업 취소
+ * 대기 중인 작업은 바로 취소되고, 실행 중인 작업은 진행 중인 LLM 요청을 중단한 뒤 취소됩니다.
+ */
+app.post('/api/jobs/:id/cancel', (req, res) => {
+  try {
+    const job = getJob(req.params.id);
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        error: `작업을 찾을 수 없습니다: ${req.params.id}`
+      });
+    }
+
+    if (isJobFinished(job)) {
+      return res.status(409).json({
+        success: false,
+        error: `이미 종료된 작업입니다: ${job.status}`
+      });
+    }
+
+    res.json({
+      success: true,
+      data: cancelJob(req.params.id)
+    });
+  } catch (error) {
+    console.error('작업 취소 실패:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
 // ============================================================
 // 에러 핸들링 미들웨어
 // ============================================================
@@ -318,6 +1254,18 @@ async function startServer() {
     console.log('Pinch-to-Zoom Summarizer API Server 시작');
     console.log('='.repeat(60));
 
+    // 캐시 저장소 연결 및 저장된 요약 복원
+    await initCache();
+
+    // 오늘의 사용량 집계 복원 (요청 한도)
+    await initUsageTracker();
+
+    // 예제 문서 준비
+    await ensureDefaultDocument();
+
+    // 작업 큐 준비 및 중단된 작업 재개
+    await initJobQueue();
+
     // 서버 시작
     console.log(`\nExpress 서버 시작...`);
     app.listen(PORT, () => {
@@ -343,17 +1291,22 @@ async function startServer() {
 // 서버 시작
 startServer();
 
-// 프로세스 종료 시 정리
-process.on('SIGINT', () => {
+/**
+ * 프로세스 종료 처리
+ * 실행 중인 작업은 다음 시작 시 다시 실행되도록 기록하고,
+ * 사용량 집계와 캐시 저장소에 남은 기록을 마친 뒤 종료합니다.
+ */
+async function shutdown() {
   console.log('\n서버를 종료합니다...');
+  await closeJobQueue();
+  await closeUsageTracker();
   logCacheStats();
+  await closeCache();
   process.exit(0);
-});
+}
 
-process.on('SIGTERM', () => {
-  console.log('\n서버를 종료합니다...');
-  logCacheStats();
-  process.exit(0);
-});
+// 프로세스 종료 시 정리
+process.on('SIGINT', shutdown);
+process.on('SIGTERM', shutdown);
 
 module.exports = app;
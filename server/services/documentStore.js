@@ -0,0 +1,459 @@
+/**
+ * 문서 저장소
+ *
+ * 업로드된 원문과 레벨별 요약본을 디스크(data/documents)에 저장하고 관리합니다.
+ * 문서마다 디렉토리를 하나 두고, 메타데이터(meta.json)와 레벨별 텍스트(level{N}.txt)를 기록합니다.
+ *
+ * data/documents/
+ * └── {id}/
+ *     ├── meta.json
+ *     ├── level0.txt
+ *     ├── level1.txt
+ *     └── ...
+ *
+ * 같은 문서의 쓰기(레벨 저장, 요약 일괄 저장, 삭제)는 문서별 작업 체인으로 호출 순서대로 실행하므로
+ * 요약 API, 스트리밍, 작업 큐가 같은 문서에 동시에 저장해도 meta.json의 레벨이 서로 덮어쓰지 않습니다.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const { loadTextFile, formatParagraphs } = require('../utils/textProcessor');
+const { getLevelConfig, getSummaryLevels } = require('../config/levels');
+
+/**
+ * 문서 저장 경로 (환경 변수로 변경 가능)
+ */
+const DOCUMENTS_DIR = process.env.DOCUMENTS_DIR
+  ? path.resolve(process.env.DOCUMENTS_DIR)
+  : path.join(__dirname, '../..', 'data/documents');
+
+/**
+ * 기본 예제 문서 ID
+ * data/example-level*.txt 파일로부터 생성됩니다.
+ */
+const DEFAULT_DOCUMENT_ID = 'example';
+
+/**
+ * 예제 요약 파일 레벨과 목표 압축률 (data/example-level1~3.txt, 기본 레벨 사다리 기준)
+ */
+const EXAMPLE_SUMMARY_LEVELS = [
+  { level: 1, targetCompression: '70-80%' },
+  { level: 2, targetCompression: '40-50%' },
+  { level: 3, targetCompression: '10-20%' }
+];
+
+/**
+ * 문서 ID 형식 (경로 조작 방지)
+ */
+const DOCUMENT_ID_PATTERN = /^[a-zA-Z0-9_-]{1,64}$/;
+
+/**
+ * 문서별 마지막 쓰기 작업 (같은 문서의 쓰기 순서 보장)
+ */
+const documentWrites = new Map();
+
+/**
+ * 문서 쓰기 작업 직렬화
+ * 같은 문서의 앞선 쓰기가 끝난 뒤 실행하며, 앞선 작업의 실패는 다음 작업에 영향을 주지 않습니다.
+ *
+ * @param {string} id - 문서 ID
+ * @param {Function} operation - Promise를 반환하는 쓰기 작업
+ * @returns {Promise<*>} 작업 결과
+ */
+function withDocumentWrite(id, operation) {
+  const previous = documentWrites.get(id) || Promise.resolve();
+  const promise = previous.catch(() => {}).then(operation);
+
+  const settled = promise.catch(() => {}).finally(() => {
+    if (documentWrites.get(id) === settled) {
+      documentWrites.delete(id);
+    }
+  });
+  documentWrites.set(id, settled);
+
+  return promise;
+}
+
+/**
+ * 문서 ID 유효성 검사
+ *
+ * @param {string} id - 문서 ID
+ * @returns {boolean} 유효 여부
+ */
+function isValidDocumentId(id) {
+  return typeof id === 'string' && DOCUMENT_ID_PATTERN.test(id);
+}
+
+/**
+ * 문서 디렉토리 경로
+ *
+ * @param {string} id - 문서 ID
+ * @returns {string} 디렉토리 경로
+ */
+function getDocumentDir(id) {
+  if (!isValidDocumentId(id)) {
+    throw new Error(`유효하지 않은 문서 ID입니다: ${id}`);
+  }
+  return path.join(DOCUMENTS_DIR, id);
+}
+
+/**
+ * 레벨 텍스트 파일 경로
+ *
+ * @param {string} id - 문서 ID
+ * @param {number} level - 레벨
+ * @returns {string} 파일 경로
+ */
+function getLevelPath(id, level) {
+  return path.join(getDocumentDir(id), `level${level}.txt`);
+}
+
+/**
+ * 메타데이터 읽기
+ *
+ * @param {string} id - 문서 ID
+ * @returns {Promise<object|null>} 메타데이터 또는 null (문서 없음)
+ */
+async function readMeta(id) {
+  try {
+    const content = await fs.readFile(path.join(getDocumentDir(id), 'meta.json'), 'utf-8');
+    return JSON.parse(content);
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return null;
+    }
+    throw error;
+  }
+}
+
+/**
+ * 메타데이터 쓰기
+ *
+ * @param {string} id - 문서 ID
+ * @param {object} meta - 메타데이터
+ * @returns {Promise<void>}
+ */
+async function writeMeta(id, meta) {
+  await fs.writeFile(
+    path.join(getDocumentDir(id), 'meta.json'),
+    JSON.stringify(meta, null, 2),
+    'utf-8'
+  );
+}
+
+/**
+ * 문서 생성
+ * 원문(Level 0)과 선택적으로 미리 생성된 요약 레벨을 함께 저장합니다.
+ *
+ * @param {object} params - 문서 정보
+ * @param {string} params.text - 원문 텍스트
+ * @param {string} params.title - 문서 제목 (선택)
+ * @param {string} params.id - 문서 ID (선택, 없으면 자동 생성)
+ * @param {object} params.levels - 레벨별 텍스트 { 1: string, 2: string, ... } (선택)
+ * @returns {Promise<object>} 생성된 문서 메타데이터
+ */
+async function createDocument({ text, title = null, id = null, levels = {} }) {
+  if (!text || typeof text !== 'string' || text.trim().length === 0) {
+    throw new Error('문서 텍스트가 비어있습니다.');
+  }
+
+  const documentId = id || crypto.randomUUID();
+  const dir = getDocumentDir(documentId);
+
+  if (await readMeta(documentId)) {
+    throw new Error(`이미 존재하는 문서입니다: ${documentId}`);
+  }
+
+  await fs.mkdir(dir, { recursive: true });
+
+  const formattedText = formatParagraphs(text);
+  const now = new Date().toISOString();
+
+  const meta = {
+    id: documentId,
+    title: title || formattedText.slice(0, 40),
+    charCount: formattedText.length,
+    createdAt: now,
+    updatedAt: now,
+    levels: {}
+  };
+
+  await fs.writeFile(getLevelPath(documentId, 0), formattedText, 'utf-8');
+  meta.levels[0] = { metadata: {}, updatedAt: now };
+
+  for (const [level, levelText] of Object.entries(levels)) {
+    if (typeof levelText === 'string' && levelText.trim()) {
+      await fs.writeFile(getLevelPath(documentId, level), formatParagraphs(levelText), 'utf-8');
+      meta.levels[level] = { metadata: {}, updatedAt: now };
+    }
+  }
+
+  await writeMeta(documentId, meta);
+
+  console.log(`✓ 문서 생성 완료: ${documentId}`);
+  console.log(`  - 제목: ${meta.title}`);
+  console.log(`  - 레벨: ${Object.keys(meta.levels).join(', ')}`);
+
+  return toDocumentInfo(meta);
+}
+
+/**
+ * 메타데이터를 API 응답용 문서 정보로 변환
+ *
+ * @param {object} meta - 메타데이터
+ * @returns {object} 문서 정보
+ */
+function toDocumentInfo(meta) {
+  return {
+    id: meta.id,
+    title: meta.title,
+    charCount: meta.charCount,
+    createdAt: meta.createdAt,
+    updatedAt: meta.updatedAt,
+    levels: Object.keys(meta.levels).map(Number).sort((a, b) => a - b)
+  };
+}
+
+/**
+ * 문서 목록 조회
+ *
+ * @returns {Promise<Array<object>>} 문서 정보 배열 (최근 생성순)
+ */
+async function listDocuments() {
+  let entries;
+  try {
+    entries = await fs.readdir(DOCUMENTS_DIR, { withFileTypes: true });
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return [];
+    }
+    throw error;
+  }
+
+  const documents = [];
+  for (const entry of entries) {
+    if (!entry.isDirectory() || !isValidDocumentId(entry.name)) continue;
+
+    const meta = await readMeta(entry.name);
+    if (meta) {
+      documents.push(toDocumentInfo(meta));
+    }
+  }
+
+  return documents.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+/**
+ * 문서 정보 조회
+ *
+ * @param {string} id - 문서 ID
+ * @returns {Promise<object|null>} 문서 정보 또는 null
+ */
+async function getDocument(id) {
+  if (!isValidDocumentId(id)) return null;
+
+  const meta = await readMeta(id);
+  return meta ? toDocumentInfo(meta) : null;
+}
+
+/**
+ * 문서의 특정 레벨 텍스트 조회
+ *
+ * @param {string} id - 문서 ID
+ * @param {number} level - 레벨
+ * @returns {Promise<object|null>} { level, text, metadata } 또는 null (문서/레벨 없음)
+ */
+async function getDocumentLevel(id, level) {
+  if (!isValidDocumentId(id)) return null;
+
+  const meta = await readMeta(id);
+  if (!meta || !meta.levels[level]) {
+    return null;
+  }
+
+  const text = await fs.readFile(getLevelPath(id, level), 'utf-8');
+
+  return {
+    level: Number(level),
+    text,
+    metadata: meta.levels[level].metadata || {}
+  };
+}
+
+/**
+ * 문서 레벨 텍스트 기록 (직렬화하지 않음, withDocumentWrite 안에서 호출)
+ *
+ * @param {string} id - 문서 ID
+ * @param {number} level - 레벨
+ * @param {string} text - 레벨 텍스트
+ * @param {object} metadata - 요약 메타데이터
+ * @returns {Promise<boolean>} 저장 성공 여부 (문서가 없으면 false)
+ */
+async function writeDocumentLevel(id, level, text, metadata) {
+  const meta = await readMeta(id);
+  if (!meta) {
+    return false;
+  }
+
+  const now = new Date().toISOString();
+  await fs.writeFile(getLevelPath(id, level), formatParagraphs(text), 'utf-8');
+
+  meta.levels[level] = { metadata, updatedAt: now };
+  meta.updatedAt = now;
+  await writeMeta(id, meta);
+
+  console.log(`✓ 문서 레벨 저장 완료: ${id} (Level ${level})`);
+  return true;
+}
+
+/**
+ * 문서 레벨 텍스트 저장
+ * 요약 생성 결과를 문서에 기록합니다.
+ *
+ * @param {string} id - 문서 ID
+ * @param {number} level - 레벨
+ * @param {string} text - 레벨 텍스트
+ * @param {object} metadata - 요약 메타데이터 (선택)
+ * @returns {Promise<boolean>} 저장 성공 여부 (문서가 없으면 false)
+ */
+function saveDocumentLevel(id, level, text, metadata = {}) {
+  return withDocumentWrite(id, () => writeDocumentLevel(id, level, text, metadata));
+}
+
+/**
+ * 레벨 사다리에 없는 요약 레벨 삭제 (직렬화하지 않음, withDocumentWrite 안에서 호출)
+ * 사다리가 줄어든 뒤 다시 요약하면 이전 사다리의 level{N}.txt가 남지 않도록 정리합니다.
+ *
+ * @param {string} id - 문서 ID
+ * @returns {Promise<void>}
+ */
+async function removeStaleLevels(id) {
+  const meta = await readMeta(id);
+  if (!meta) return;
+
+  const summaryLevels = getSummaryLevels();
+  const staleLevels = Object.keys(meta.levels)
+    .map(Number)
+    .filter(level => level !== 0 && !summaryLevels.includes(level));
+
+  if (staleLevels.length === 0) return;
+
+  for (const level of staleLevels) {
+    await fs.rm(getLevelPath(id, level), { force: true });
+    delete meta.levels[level];
+  }
+  await writeMeta(id, meta);
+
+  console.log(`✓ 사다리에 없는 레벨 삭제: ${id} (Level ${staleLevels.join(', ')})`);
+}
+
+/**
+ * 요약 생성 결과를 문서의 요약 레벨로 저장
+ * 현재 레벨 사다리에 없는 이전 요약 레벨은 삭제합니다.
+ * 모든 레벨을 하나의 쓰기 작업으로 저장하므로 동시에 저장된 두 결과의 레벨이 섞이지 않습니다.
+ *
+ * @param {string} id - 문서 ID
+ * @param {object} summaries - generateAllSummaries() 결과 { level1, ..., levelN }
+ * @returns {Promise<boolean>} 저장 성공 여부 (문서가 없으면 false)
+ */
+function saveDocumentSummaries(id, summaries) {
+  return withDocumentWrite(id, async () => {
+    for (const level of getSummaryLevels()) {
+      const summary = summaries[`level${level}`];
+      if (!summary) continue;
+
+      const saved = await writeDocumentLevel(id, level, summary.text, summary.metadata || {});
+      if (!saved) {
+        return false;
+      }
+    }
+
+    await removeStaleLevels(id);
+    return true;
+  });
+}
+
+/**
+ * 레벨 사다리가 예제 요약 파일과 같은 구성인지 확인
+ * 레벨 수뿐 아니라 레벨 번호와 목표 압축률이 모두 같아야 예제 요약을 그대로 쓸 수 있습니다.
+ *
+ * @returns {boolean} 일치 여부
+ */
+function ladderMatchesExample() {
+  return getSummaryLevels().length === EXAMPLE_SUMMARY_LEVELS.length &&
+    EXAMPLE_SUMMARY_LEVELS.every(({ level, targetCompression }) =>
+      getLevelConfig(level)?.targetCompression === targetCompression);
+}
+
+/**
+ * 문서 삭제
+ *
+ * @param {string} id - 문서 ID
+ * @returns {Promise<boolean>} 삭제 여부 (문서가 없으면 false)
+ */
+async function deleteDocument(id) {
+  if (!isValidDocumentId(id)) {
+    return false;
+  }
+
+  return withDocumentWrite(id, async () => {
+    if (!(await readMeta(id))) {
+      return false;
+    }
+
+    await fs.rm(getDocumentDir(id), { recursive: true, force: true });
+
+    console.log(`✓ 문서 삭제 완료: ${id}`);
+    return true;
+  });
+}
+
+/**
+ * 기본 예제 문서 준비
+ * 저장소에 예제 문서가 없으면 data/example-level*.txt 파일로 생성합니다.
+ * 예제 요약 파일은 기본 레벨 사다리 기준이므로, 사다리가 다르면 원문만 준비하고
+ * 요약은 요청 시 생성합니다.
+ *
+ * @returns {Promise<void>}
+ */
+async function ensureDefaultDocument() {
+  if (await readMeta(DEFAULT_DOCUMENT_ID)) {
+    return;
+  }
+
+  try {
+    const text = await loadTextFile('data/example-level0.txt');
+    const levels = {};
+
+    if (ladderMatchesExample()) {
+      for (const { level } of EXAMPLE_SUMMARY_LEVELS) {
+        levels[level] = await loadTextFile(`data/example-level${level}.txt`);
+      }
+    } else {
+      console.log(`⚠ 레벨 사다리가 예제 요약(Level 1-3, 기본 목표 압축률)과 달라 예제 문서는 원문만 준비합니다.`);
+    }
+
+    await createDocument({
+      id: DEFAULT_DOCUMENT_ID,
+      title: '어린 왕자 (예제)',
+      text,
+      levels
+    });
+  } catch (error) {
+    console.error('✗ 예제 문서 준비 실패:', error.message);
+  }
+}
+
+module.exports = {
+  DEFAULT_DOCUMENT_ID,
+  isValidDocumentId,
+  createDocument,
+  listDocuments,
+  getDocument,
+  getDocumentLevel,
+  saveDocumentLevel,
+  saveDocumentSummaries,
+  deleteDocument,
+  ensureDefaultDocument
+};
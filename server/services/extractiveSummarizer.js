@@ -0,0 +1,232 @@
+/**
+ * 추출 기반 오프라인 요약 생성 서비스
+ *
+ * LLM 없이 단어 우선순위(priorityCalculator)만으로 레벨별 요약을 만듭니다.
+ * LLM이 설정되지 않았거나 호출에 실패했을 때 summarizer의 대체 경로로 사용됩니다.
+ *
+ * 처리 순서:
+ * 1. 단어 가지치기: 우선순위가 낮은 수식어(부사, 접속사)를 제거
+ * 2. 문장 가지치기: 문장 점수가 낮은 문장부터 제거하여 목표 길이에 맞춤
+ *
+ * 문장 점수 = 0.7×문장 내 단어 우선순위 평균 + 0.3×문단 내 위치 점수
+ */
+
+const { getLevelConfig } = require('../config/levels');
+const { getTargetCompressionRange } = require('../config/prompts');
+const { structureText, countSpacedWords, tokenizeWords } = require('../utils/textProcessor');
+const {
+  calculatePrioritiesForText,
+  calculateLocationScore,
+  selectWordsToRemove
+} = require('./priorityCalculator');
+
+/**
+ * 단어 가지치기 대상 품사
+ * 문장 의미를 크게 해치지 않고 제거할 수 있는 수식어만 포함합니다.
+ * 접속사는 문장 맨 앞에 있을 때만 제거합니다 (문장 중간의 접속사는 구조를 깨뜨림).
+ */
+const PRUNABLE_POS = ['ADV', 'CONJ'];
+
+/**
+ * 프롬프트 스타일별 최소 문장 수 (최종 요약은 3-5문장 목표)
+ */
+const MIN_SENTENCES = {
+  detail: 1,
+  condense: 1,
+  final: 3
+};
+
+/**
+ * 레벨의 목표 비율 조회
+ * 프롬프트의 목표 압축률(예: "70-80%")의 중간값을 사용합니다.
+ *
+ * @param {number} level - 요약 레벨 (1 이상)
+ * @returns {number} 목표 비율 (0-1)
+ */
+function getTargetRatio(level) {
+  return getTargetCompressionRange(level).target;
+}
+
+/**
+ * 문장에서 제거 대상 단어 삭제
+ *
+ * @param {string} sentence - 문장 텍스트
+ * @param {Map<string, string>} removable - 제거할 단어 (소문자) → 품사
+ * @returns {string} 가지치기된 문장
+ */
+function pruneSentenceWords(sentence, removable) {
+  if (removable.size === 0) return sentence;
+
+  const tokens = sentence.split(/\s+/).filter(Boolean);
+  const kept = tokens.filter((token, i) => {
+    const pos = removable.get(token.toLowerCase());
+    if (!pos) return true;
+    return pos === 'CONJ' && i > 0;
+  });
+
+  // 문장 전체가 제거되는 경우 원문 유지
+  if (kept.length === 0) return sentence;
+
+  // 첫 단어가 제거되었으면 다음 단어의 첫 글자를 대문자로 보정
+  if (kept[0] !== tokens[0]) {
+    kept[0] = kept[0].charAt(0).toUpperCase() + kept[0].slice(1);
+  }
+
+  return kept.join(' ');
+}
+
+/**
+ * 문장 점수 계산
+ *
+ * @param {Array<object>} sentences - structureText의 문장 배열
+ * @param {Array<object>} words - 우선순위가 계산된 단어 배열
+ * @returns {Map<number, number>} 문장 인덱스 → 점수 (0-1)
+ */
+function scoreSentences(sentences, words) {
+  const priorityBySentence = new Map();
+  words.forEach(word => {
+    if (!priorityBySentence.has(word.sentence)) {
+      priorityBySentence.set(word.sentence, []);
+    }
+    priorityBySentence.get(word.sentence).push(word.priority);
+  });
+
+  // 문단별 문장 수 (위치 점수 계산용)
+  const sentencesPerParagraph = new Map();
+  sentences.forEach(s => {
+    sentencesPerParagraph.set(s.paragraph, (sentencesPerParagraph.get(s.paragraph) || 0) + 1);
+  });
+
+  const scores = new Map();
+  let indexInParagraph = 0;
+
+  sentences.forEach((sentence, i) => {
+    if (i > 0 && sentences[i - 1].paragraph !== sentence.paragraph) {
+      indexInParagraph = 0;
+    }
+
+    // 우선순위를 계산할 수 없는 문장(토큰이 없는 경우)은 중립값 사용
+    const priorities = priorityBySentence.get(sentence.index) || [];
+    const priorityScore = priorities.length > 0
+      ? priorities.reduce((sum, p) => sum + p, 0) / priorities.length
+      : 0.5;
+
+    const locationScore = calculateLocationScore(
+      indexInParagraph,
+      sentencesPerParagraph.get(sentence.paragraph)
+    );
+
+    scores.set(sentence.index, 0.7 * priorityScore + 0.3 * locationScore);
+    indexInParagraph++;
+  });
+
+  return scores;
+}
+
+/**
+ * 추출 요약 생성
+ * 목표 비율에 도달할 때까지 단어와 문장을 제거합니다.
+ *
+ * @param {string} text - 입력 텍스트
+ * @param {number} ratio - 목표 비율 (0-1, 예: 0.75 = 원문의 75%)
+ * @param {object} options - 옵션
+ * @param {number} options.minSentences - 최소 유지 문장 수 (기본값: 1)
+ * @param {Array<string>} options.keepWords - 포함한 문장을 제거하지 않을 단어 (소문자 어간, 선택)
+ * @returns {string} 요약 텍스트 (문단 구조 유지)
+ */
+function summarizeExtractive(text, ratio, options = {}) {
+  const { minSentences = 1, keepWords = [] } = options;
+
+  const { sentences } = structureText(text);
+  const words = calculatePrioritiesForText(text);
+
+  // 1. 단어 가지치기 후보 선택
+  const { toRemove } = selectWordsToRemove(words, ratio);
+  const removableBySentence = new Map();
+  toRemove
+    .filter(word => word.priorityGroup === 'immediate' && PRUNABLE_POS.includes(word.pos))
+    .forEach(word => {
+      if (!removableBySentence.has(word.sentence)) {
+        removableBySentence.set(word.sentence, new Map());
+      }
+      removableBySentence.get(word.sentence).set(word.text.toLowerCase(), word.pos);
+    });
+
+  const candidates = sentences.map(sentence => {
+    const pruned = pruneSentenceWords(
+      sentence.text,
+      removableBySentence.get(sentence.index) || new Map()
+    );
+    return {
+      index: sentence.index,
+      paragraph: sentence.paragraph,
+      text: pruned,
+      tokenCount: countSpacedWords(pruned)
+    };
+  });
+
+  // 2. 문장 가지치기: 점수가 낮은 문장부터 제거
+  const targetTokens = Math.max(1, Math.round(countSpacedWords(text) * ratio));
+  const scores = scoreSentences(sentences, words);
+  const removalOrder = [...candidates].sort((a, b) => scores.get(a.index) - scores.get(b.index));
+
+  // 필수 유지 단어가 있는 문장은 제거 대상에서 제외 (목표 길이보다 우선)
+  const keep = new Set(keepWords);
+  const protectedSentences = new Set(
+    keep.size > 0
+      ? sentences
+        .filter(sentence => tokenizeWords(sentence.text, { stem: true }).some(word => keep.has(word)))
+        .map(sentence => sentence.index)
+      : []
+  );
+
+  const removed = new Set();
+  let tokenCount = candidates.reduce((sum, c) => sum + c.tokenCount, 0);
+
+  for (const candidate of removalOrder) {
+    if (tokenCount <= targetTokens) break;
+    if (candidates.length - removed.size <= minSentences) break;
+    if (protectedSentences.has(candidate.index)) continue;
+
+    removed.add(candidate.index);
+    tokenCount -= candidate.tokenCount;
+  }
+
+  // 3. 원래 순서와 문단 구조로 재조립
+  const paragraphs = [];
+  candidates
+    .filter(c => !removed.has(c.index))
+    .forEach(c => {
+      const last = paragraphs[paragraphs.length - 1];
+      if (last && last.paragraph === c.paragraph) {
+        last.sentences.push(c.text);
+      } else {
+        paragraphs.push({ paragraph: c.paragraph, sentences: [c.text] });
+      }
+    });
+
+  console.log(`✓ 추출 요약 완료: ${countSpacedWords(text)} → ${tokenCount} 어절 (목표 ${targetTokens})`);
+
+  return paragraphs.map(p => p.sentences.join(' ')).join('\n\n');
+}
+
+/**
+ * 레벨별 추출 요약 생성
+ *
+ * @param {number} level - 요약 레벨 (1 이상)
+ * @param {string} text - 입력 텍스트 (Level 2 이상은 이전 레벨 요약본)
+ * @returns {string} 요약 텍스트
+ */
+function generateExtractiveLevel(level, text) {
+  console.log(`Level ${level} 추출 요약 생성 시작 (오프라인)...`);
+
+  return summarizeExtractive(text, getTargetRatio(level), {
+    minSentences: MIN_SENTENCES[getLevelConfig(level).prompt] || 1
+  });
+}
+
+module.exports = {
+  summarizeExtractive,
+  generateExtractiveLevel,
+  getTargetRatio
+};
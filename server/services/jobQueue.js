@@ -0,0 +1,501 @@
+/**
+ * 백그라운드 작업 큐
+ *
+ * 요약 생성처럼 오래 걸리는 작업을 HTTP 요청과 분리해 서버 프로세스 안에서 실행합니다.
+ * 작업은 등록 순서대로 JOB_CONCURRENCY개까지 동시에 실행되며, 상태가 바뀔 때마다
+ * JOBS_DIR(기본값: data/jobs)에 작업별 JSON 파일로 기록합니다.
+ * 서버가 재시작되면 대기 중이거나 실행 중이던 작업을 다시 큐에 넣습니다.
+ *
+ * 작업 상태: queued → running → completed | failed | cancelled
+ * 레벨별 진행 상태: pending → running → completed | failed | cancelled
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * 작업 저장 경로 (환경 변수로 변경 가능)
+ */
+const JOBS_DIR = process.env.JOBS_DIR
+  ? path.resolve(process.env.JOBS_DIR)
+  : path.join(__dirname, '../..', 'data/jobs');
+
+/**
+ * 작업 상태
+ */
+const JOB_STATUS = {
+  QUEUED: 'queued',
+  RUNNING: 'running',
+  COMPLETED: 'completed',
+  FAILED: 'failed',
+  CANCELLED: 'cancelled'
+};
+
+/**
+ * 종료된 작업 상태
+ */
+const FINISHED_STATUSES = new Set([JOB_STATUS.COMPLETED, JOB_STATUS.FAILED, JOB_STATUS.CANCELLED]);
+
+/**
+ * 큐 설정
+ */
+const QUEUE_CONFIG = {
+  concurrency: Math.max(1, parseInt(process.env.JOB_CONCURRENCY) || 2),
+  retentionMs: (parseFloat(process.env.JOB_RETENTION_HOURS) || 24) * 60 * 60 * 1000
+};
+
+/**
+ * 큐 상태
+ */
+const QueueState = {
+  jobs: new Map(),        // id → 작업
+  queue: [],              // 대기 중인 작업 ID (등록 순)
+  running: new Map(),     // id → AbortController
+  handlers: new Map(),    // 작업 종류 → 처리 함수
+  writes: new Map(),      // id → 마지막 기록 Promise (같은 작업의 기록 순서 보장)
+  closing: false
+};
+
+/**
+ * 작업 처리 함수 등록
+ *
+ * 처리 함수는 (params, context)를 받아 작업 결과를 반환합니다.
+ * - context.signal: 작업 취소 시그널 (AbortSignal)
+ * - context.updateLevel(level, patch): 레벨별 진행 상태 갱신
+ *
+ * @param {string} type - 작업 종류 (예: 'summarize')
+ * @param {Function} handler - 처리 함수 async (params, context) => result
+ */
+function registerJobHandler(type, handler) {
+  QueueState.handlers.set(type, handler);
+}
+
+/**
+ * 작업 파일 경로
+ *
+ * @param {string} id - 작업 ID
+ * @returns {string} 파일 경로
+ */
+function getJobPath(id) {
+  return path.join(JOBS_DIR, `${id}.json`);
+}
+
+/**
+ * 작업 상태 기록 (임시 파일에 쓴 뒤 이름 변경)
+ * 같은 작업의 기록은 순서대로 실행되어 마지막 상태가 남습니다.
+ *
+ * @param {object} job - 작업
+ * @returns {Promise<void>}
+ */
+function persistJob(job) {
+  const snapshot = JSON.stringify(job, null, 2);
+  const previous = QueueState.writes.get(job.id) || Promise.resolve();
+
+  const write = previous
+    .then(async () => {
+      const filePath = getJobPath(job.id);
+      const tempPath = `${filePath}.${process.pid}.tmp`;
+      await fs.writeFile(tempPath, snapshot, 'utf-8');
+      await fs.rename(tempPath, filePath);
+    })
+    .catch(error => {
+      console.error(`✗ 작업 상태 기록 실패 (${job.id}):`, error.message);
+    })
+    .finally(() => {
+      if (QueueState.writes.get(job.id) === write) {
+        QueueState.writes.delete(job.id);
+      }
+    });
+
+  QueueState.writes.set(job.id, write);
+  return write;
+}
+
+/**
+ * 작업 파일 삭제 (없으면 무시)
+ *
+ * @param {string} id - 작업 ID
+ * @returns {Promise<void>}
+ */
+async function removeJobFile(id) {
+  try {
+    await fs.unlink(getJobPath(id));
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.error(`✗ 작업 파일 삭제 실패 (${id}):`, error.message);
+    }
+  }
+}
+
+/**
+ * API 응답용 작업 정보
+ *
+ * @param {object} job - 작업
+ * @returns {object} 작업 정보 (복사본)
+ */
+function toJobInfo(job) {
+  return JSON.parse(JSON.stringify(job));
+}
+
+/**
+ * 종료된 작업 여부
+ *
+ * @param {object} job - 작업
+ * @returns {boolean} 종료 여부
+ */
+function isJobFinished(job) {
+  return FINISHED_STATUSES.has(job.status);
+}
+
+/**
+ * 레벨별 진행 상태 초기화
+ *
+ * @param {Array<number>} levels - 레벨 목록
+ * @returns {object} { [level]: { status: 'pending' } }
+ */
+function createLevelProgress(levels) {
+  const progress = {};
+  levels.forEach(level => {
+    progress[level] = { status: 'pending' };
+  });
+  return progress;
+}
+
+/**
+ * 아직 끝나지 않은 레벨을 종료 상태로 표시
+ *
+ * @param {object} job - 작업
+ * @param {string} status - 'failed' 또는 'cancelled'
+ * @param {string} error - 에러 메시지 (실행 중이던 레벨에만 기록, 선택)
+ */
+function finishOpenLevels(job, status, error = null) {
+  Object.values(job.levels).forEach(level => {
+    if (level.status === 'running' && error) {
+      level.error = error;
+    }
+    if (level.status === 'pending' || level.status === 'running') {
+      level.status = status;
+    }
+  });
+}
+
+/**
+ * 오래된 종료 작업 정리 (JOB_RETENTION_HOURS)
+ */
+function pruneFinishedJobs() {
+  const cutoff = Date.now() - QUEUE_CONFIG.retentionMs;
+
+  QueueState.jobs.forEach((job, id) => {
+    if (isJobFinished(job) && new Date(job.finishedAt).getTime() < cutoff) {
+      QueueState.jobs.delete(id);
+      removeJobFile(id);
+    }
+  });
+}
+
+/**
+ * 대기 중인 작업을 동시 실행 한도까지 시작
+ */
+function pump() {
+  while (!QueueState.closing &&
+    QueueState.running.size < QUEUE_CONFIG.concurrency &&
+    QueueState.queue.length > 0) {
+    const job = QueueState.jobs.get(QueueState.queue.shift());
+    if (job && job.status === JOB_STATUS.QUEUED) {
+      runJob(job);
+    }
+  }
+}
+
+/**
+ * 작업 실행
+ *
+ * @param {object} job - 작업
+ * @returns {Promise<void>}
+ */
+async function runJob(job) {
+  const controller = new AbortController();
+  QueueState.running.set(job.id, controller);
+
+  job.status = JOB_STATUS.RUNNING;
+  job.startedAt = new Date().toISOString();
+  job.attempts++;
+  persistJob(job);
+
+  console.log(`작업 시작: ${job.id} (${job.type}, 시도 ${job.attempts}회)`);
+
+  const context = {
+    signal: controller.signal,
+    updateLevel: (level, patch) => {
+      if (controller.signal.aborted) return;
+
+      job.levels[level] = { ...(job.levels[level] || {}), ...patch, updatedAt: new Date().toISOString() };
+      persistJob(job);
+    }
+  };
+
+  try {
+    const handler = QueueState.handlers.get(job.type);
+    if (!handler) {
+      throw new Error(`등록되지 않은 작업 종류입니다: ${job.type}`);
+    }
+
+    const result = (await handler(job.params, context)) || null;
+
+    // 취소 시그널을 보지 않는 처리 함수가 정상 종료해도 취소 요청이 있었으면 취소로 기록
+    if (controller.signal.aborted || job.cancelRequested) {
+      if (QueueState.closing) return;
+
+      job.status = JOB_STATUS.CANCELLED;
+      finishOpenLevels(job, 'cancelled');
+      console.log(`작업 취소됨: ${job.id}`);
+      return;
+    }
+
+    job.result = result;
+    job.status = JOB_STATUS.COMPLETED;
+    console.log(`✓ 작업 완료: ${job.id}`);
+  } catch (error) {
+    // 서버 종료로 중단된 작업은 closeJobQueue()에서 대기 상태로 되돌림
+    if (QueueState.closing) return;
+
+    if (controller.signal.aborted) {
+      job.status = JOB_STATUS.CANCELLED;
+      finishOpenLevels(job, 'cancelled');
+      console.log(`작업 취소됨: ${job.id}`);
+    } else {
+      job.status = JOB_STATUS.FAILED;
+      job.error = error.message;
+      finishOpenLevels(job, 'failed', error.message);
+      console.error(`✗ 작업 실패: ${job.id} (${error.message})`);
+    }
+  } finally {
+    QueueState.running.delete(job.id);
+
+    if (!QueueState.closing) {
+      job.finishedAt = new Date().toISOString();
+      persistJob(job);
+      pump();
+    }
+  }
+}
+
+/**
+ * 작업 등록
+ *
+ * @param {string} type - 작업 종류 (registerJobHandler로 등록된 종류)
+ * @param {object} params - 처리 함수에 전달할 매개변수 (JSON 직렬화 가능)
+ * @param {object} options - 옵션
+ * @param {Array<number>} options.levels - 진행 상태를 표시할 레벨 목록 (선택)
+ * @returns {object} 작업 정보
+ * @throws {Error} 등록되지 않은 작업 종류이거나 큐가 종료 중인 경우
+ */
+function createJob(type, params = {}, options = {}) {
+  if (!QueueState.handlers.has(type)) {
+    throw new Error(`등록되지 않은 작업 종류입니다: ${type}`);
+  }
+  if (QueueState.closing) {
+    throw new Error('서버가 종료 중이라 작업을 등록할 수 없습니다.');
+  }
+
+  const job = {
+    id: crypto.randomUUID(),
+    type,
+    params,
+    status: JOB_STATUS.QUEUED,
+    levels: createLevelProgress(options.levels || []),
+    result: null,
+    error: null,
+    attempts: 0,
+    createdAt: new Date().toISOString(),
+    startedAt: null,
+    finishedAt: null
+  };
+
+  pruneFinishedJobs();
+
+  QueueState.jobs.set(job.id, job);
+  QueueState.queue.push(job.id);
+  persistJob(job);
+
+  console.log(`✓ 작업 등록: ${job.id} (${type}, 대기 ${QueueState.queue.length}개)`);
+  pump();
+
+  return toJobInfo(job);
+}
+
+/**
+ * 작업 조회
+ *
+ * @param {string} id - 작업 ID
+ * @returns {object|null} 작업 정보 또는 null
+ */
+function getJob(id) {
+  const job = QueueState.jobs.get(id);
+  return job ? toJobInfo(job) : null;
+}
+
+/**
+ * 작업 목록 조회
+ *
+ * @param {object} filter - 조건 (선택)
+ * @param {string} filter.status - 작업 상태
+ * @param {string} filter.type - 작업 종류
+ * @returns {Array<object>} 작업 정보 배열 (최근 등록순)
+ */
+function listJobs(filter = {}) {
+  return [...QueueState.jobs.values()]
+    .filter(job => (!filter.status || job.status === filter.status) && (!filter.type || job.type === filter.type))
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+    .map(toJobInfo);
+}
+
+/**
+ * 끝나지 않은 작업 찾기 (같은 문서의 중복 등록 방지용)
+ *
+ * @param {string} type - 작업 종류
+ * @param {Function} predicate - 매개변수 조건 (params) => boolean
+ * @returns {object|null} 작업 정보 또는 null
+ */
+function findActiveJob(type, predicate) {
+  for (const job of QueueState.jobs.values()) {
+    if (job.type === type && !isJobFinished(job) && predicate(job.params)) {
+      return toJobInfo(job);
+    }
+  }
+  return null;
+}
+
+/**
+ * 작업 취소
+ * 대기 중인 작업은 바로 취소하고, 실행 중인 작업은 취소 시그널을 보냅니다
+ * (처리 함수가 중단되면 cancelled 상태가 됨).
+ *
+ * @param {string} id - 작업 ID
+ * @returns {object|null} 작업 정보 또는 null (작업 없음)
+ * @throws {Error} 이미 종료된 작업인 경우
+ */
+function cancelJob(id) {
+  const job = QueueState.jobs.get(id);
+  if (!job) {
+    return null;
+  }
+
+  if (isJobFinished(job)) {
+    throw new Error(`이미 종료된 작업입니다: ${id} (${job.status})`);
+  }
+
+  if (job.status === JOB_STATUS.QUEUED) {
+    QueueState.queue = QueueState.queue.filter(queuedId => queuedId !== id);
+    job.status = JOB_STATUS.CANCELLED;
+    job.finishedAt = new Date().toISOString();
+    finishOpenLevels(job, 'cancelled');
+    persistJob(job);
+    console.log(`작업 취소됨: ${id}`);
+  } else {
+    job.cancelRequested = true;
+    QueueState.running.get(id).abort();
+  }
+
+  return toJobInfo(job);
+}
+
+/**
+ * 큐 통계
+ *
+ * @returns {object} { concurrency, queued, running, completed, failed, cancelled }
+ */
+function getQueueStats() {
+  const stats = { concurrency: QUEUE_CONFIG.concurrency };
+  Object.values(JOB_STATUS).forEach(status => {
+    stats[status] = 0;
+  });
+  QueueState.jobs.forEach(job => {
+    stats[job.status]++;
+  });
+  return stats;
+}
+
+/**
+ * 작업 큐 초기화 (서버 시작 시 한 번 호출)
+ * 저장된 작업을 불러오고, 끝나지 않은 작업은 다시 큐에 넣습니다.
+ * 처리 함수를 먼저 등록한 뒤 호출해야 합니다.
+ *
+ * @returns {Promise<object>} { restored, requeued }
+ */
+async function initJobQueue() {
+  await fs.mkdir(JOBS_DIR, { recursive: true });
+
+  const files = (await fs.readdir(JOBS_DIR)).filter(file => file.endsWith('.json'));
+  const pending = [];
+
+  for (const file of files) {
+    try {
+      const job = JSON.parse(await fs.readFile(path.join(JOBS_DIR, file), 'utf-8'));
+      QueueState.jobs.set(job.id, job);
+
+      if (!isJobFinished(job)) {
+        pending.push(job);
+      }
+    } catch (error) {
+      console.warn(`⚠ 작업 파일을 읽을 수 없습니다: ${file} (${error.message})`);
+    }
+  }
+
+  // 중단된 작업은 처음부터 다시 실행 (등록 순서 유지)
+  pending
+    .sort((a, b) => a.createdAt.localeCompare(b.createdAt))
+    .forEach(job => {
+      job.status = JOB_STATUS.QUEUED;
+      job.startedAt = null;
+      job.levels = createLevelProgress(Object.keys(job.levels));
+      QueueState.queue.push(job.id);
+      persistJob(job);
+    });
+
+  pruneFinishedJobs();
+
+  console.log(`✓ 작업 큐 준비 완료: 동시 실행 ${QUEUE_CONFIG.concurrency}개, 저장된 작업 ${QueueState.jobs.size}개`);
+  if (pending.length > 0) {
+    console.log(`  - 다시 대기열에 넣은 작업: ${pending.length}개`);
+  }
+
+  pump();
+
+  return { restored: QueueState.jobs.size, requeued: pending.length };
+}
+
+/**
+ * 작업 큐 종료 (서버 종료 시 호출)
+ * 실행 중인 작업을 중단하고 대기 상태로 기록해 다음 시작 시 다시 실행합니다.
+ *
+ * @returns {Promise<void>}
+ */
+async function closeJobQueue() {
+  QueueState.closing = true;
+
+  QueueState.running.forEach((controller, id) => {
+    const job = QueueState.jobs.get(id);
+    job.status = JOB_STATUS.QUEUED;
+    job.startedAt = null;
+    persistJob(job);
+    controller.abort();
+  });
+
+  await Promise.all(QueueState.writes.values());
+}
+
+module.exports = {
+  JOB_STATUS,
+  registerJobHandler,
+  initJobQueue,
+  closeJobQueue,
+  createJob,
+  getJob,
+  listJobs,
+  findActiveJob,
+  cancelJob,
+  isJobFinished,
+  getQueueStats
+};
@@ -156,9 +156,9 @@ function calculatePrioritiesForText(text) {
   const tfidfMap = computeTFIDFForText(text);
   const normalizedTfidfMap = normalizeTFIDF(tfidfMap);
 
-  // 각 단어에 TF-IDF 정보 추가
+  // 각 단어에 TF-IDF 정보 추가 (TF-IDF는 어간 단위로 계산됨)
   const enrichedWords = words.map(word => {
-    const tfidfInfo = normalizedTfidfMap.get(word.text.toLowerCase());
+    const tfidfInfo = normalizedTfidfMap.get(word.stem || word.text.toLowerCase());
     return {
       ...word,
       tfidf: tfidfInfo ? tfidfInfo.tfidf : 0,
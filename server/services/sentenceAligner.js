@@ -0,0 +1,266 @@
+/**
+ * 문장 정렬 서비스 (레벨 간 출처 지도)
+ *
+ * 요약 레벨의 각 문장이 이전 레벨의 어떤 문장들에서 왔는지 계산합니다.
+ * 문장은 structureText()의 문장 단위를 사용하고, 유사도는 어절 내부 문자 바이그램의
+ * IDF 가중 겹침으로 측정합니다 (조사/어미가 달라도 어간이 같으면 겹침).
+ *
+ * 처리 순서:
+ * 1. 원본 문장의 바이그램 역색인 구성
+ * 2. 대상 문장마다 역색인으로 후보 원본 문장 수집
+ * 3. 대상 문장의 바이그램을 가장 많이 새로 덮는 원본 문장부터 탐욕적으로 선택
+ *    (새로 덮는 비율이 MIN_GAIN 미만이거나 MAX_SOURCES개에 도달하면 중단)
+ */
+
+const { generateTextHash, getEntry, setEntry } = require('../utils/cache');
+const { structureText } = require('../utils/textProcessor');
+
+/**
+ * 대상 문장 하나에 연결할 최대 원본 문장 수
+ */
+const MAX_SOURCES = 5;
+
+/**
+ * 원본 문장을 추가로 선택하기 위한 최소 덮음 증가 비율 (대상 문장 가중치 대비)
+ */
+const MIN_GAIN = 0.12;
+
+/**
+ * 문장의 바이그램 집합 추출
+ * 어절마다 문장부호를 제거하고 문자 바이그램을 만듭니다 (한 글자 어절은 그대로 사용).
+ *
+ * @param {string} sentence - 문장
+ * @returns {Set<string>} 바이그램 집합
+ */
+function extractBigrams(sentence) {
+  const bigrams = new Set();
+
+  sentence.toLowerCase().split(/\s+/).forEach(token => {
+    const core = token.replace(/[^\p{L}\p{N}]+/gu, '');
+    if (core.length === 1) {
+      bigrams.add(core);
+    }
+    for (let i = 0; i < core.length - 1; i++) {
+      bigrams.add(core.substring(i, i + 2));
+    }
+  });
+
+  return bigrams;
+}
+
+/**
+ * 원본 문장 바이그램 역색인 및 IDF 계산
+ *
+ * @param {Array<Set<string>>} sourceBigrams - 원본 문장별 바이그램 집합
+ * @returns {object} { index: Map<바이그램, 문장 인덱스 배열>, idf: Map<바이그램, IDF> }
+ */
+function buildBigramIndex(sourceBigrams) {
+  const index = new Map();
+
+  sourceBigrams.forEach((bigrams, sentenceIndex) => {
+    bigrams.forEach(bigram => {
+      if (!index.has(bigram)) {
+        index.set(bigram, []);
+      }
+      index.get(bigram).push(sentenceIndex);
+    });
+  });
+
+  const total = sourceBigrams.length;
+  const idf = new Map();
+  index.forEach((sentences, bigram) => {
+    idf.set(bigram, Math.log((total + 1) / (sentences.length + 0.5)));
+  });
+
+  return { index, idf };
+}
+
+/**
+ * 대상 문장 하나의 출처 문장 선택
+ *
+ * @param {Set<string>} targetBigrams - 대상 문장 바이그램 집합
+ * @param {Array<Set<string>>} sourceBigrams - 원본 문장별 바이그램 집합
+ * @param {object} bigramIndex - buildBigramIndex() 결과
+ * @returns {object} { sources: [{ index, score }], coverage }
+ */
+function selectSources(targetBigrams, sourceBigrams, bigramIndex) {
+  const { index, idf } = bigramIndex;
+
+  // 원본에 없는 바이그램은 새로 쓰인 표현이므로 덮음 계산에서 제외
+  const weightOf = (bigram) => idf.get(bigram) || 0;
+  const totalWeight = [...targetBigrams].reduce((sum, b) => sum + weightOf(b), 0);
+
+  if (totalWeight === 0) {
+    return { sources: [], coverage: 0 };
+  }
+
+  // 후보 원본 문장: 대상 문장과 바이그램을 하나 이상 공유
+  const candidates = new Set();
+  targetBigrams.forEach(bigram => {
+    (index.get(bigram) || []).forEach(i => candidates.add(i));
+  });
+
+  const uncovered = new Set([...targetBigrams].filter(b => weightOf(b) > 0));
+  const sources = [];
+  let covered = 0;
+
+  while (sources.length < MAX_SOURCES && uncovered.size > 0) {
+    let best = null;
+
+    candidates.forEach(i => {
+      let gain = 0;
+      uncovered.forEach(bigram => {
+        if (sourceBigrams[i].has(bigram)) gain += weightOf(bigram);
+      });
+      // 덮음이 같으면 앞쪽 문장 우선
+      if (gain > 0 && (!best || gain > best.gain || (gain === best.gain && i < best.index))) {
+        best = { index: i, gain };
+      }
+    });
+
+    // 첫 출처는 항상 선택, 이후는 충분히 새로 덮는 경우만 선택
+    if (!best || (sources.length > 0 && best.gain / totalWeight < MIN_GAIN)) {
+      break;
+    }
+
+    sources.push({ index: best.index, score: best.gain / totalWeight });
+    candidates.delete(best.index);
+    covered += best.gain;
+    sourceBigrams[best.index].forEach(bigram => uncovered.delete(bigram));
+  }
+
+  // 원문 순서로 정렬
+  sources.sort((a, b) => a.index - b.index);
+
+  return { sources, coverage: covered / totalWeight };
+}
+
+/**
+ * 두 레벨 텍스트의 문장 정렬
+ * 대상(더 요약된) 텍스트의 모든 문장을 원본 텍스트의 출처 문장들에 연결합니다.
+ * 같은 텍스트 쌍은 캐시된 결과를 사용합니다.
+ *
+ * @param {string} sourceText - 원본 텍스트 (Level N)
+ * @param {string} targetText - 대상 텍스트 (Level N+1)
+ * @returns {object} { sourceSentences, targetSentences, metadata }
+ */
+function alignSentences(sourceText, targetText) {
+  const pairKey = generateTextHash(targetText).substring(0, 16);
+  const cached = getEntry('alignment', sourceText, pairKey);
+  if (cached) {
+    return cached;
+  }
+
+  const startTime = Date.now();
+  const source = structureText(sourceText);
+  const target = structureText(targetText);
+
+  const sourceBigrams = source.sentences.map(s => extractBigrams(s.text));
+  const bigramIndex = buildBigramIndex(sourceBigrams);
+
+  let totalCoverage = 0;
+  const targetSentences = target.sentences.map(sentence => {
+    const { sources, coverage } = selectSources(extractBigrams(sentence.text), sourceBigrams, bigramIndex);
+    totalCoverage += coverage;
+
+    return {
+      index: sentence.index,
+      paragraph: sentence.paragraph,
+      text: sentence.text,
+      sources,
+      coverage
+    };
+  });
+
+  const alignment = {
+    sourceSentences: source.sentences.map(({ index, paragraph, text }) => ({ index, paragraph, text })),
+    targetSentences,
+    metadata: {
+      sourceSentenceCount: source.sentences.length,
+      targetSentenceCount: target.sentences.length,
+      averageCoverage: targetSentences.length > 0 ? totalCoverage / targetSentences.length : 0,
+      processingTime: Date.now() - startTime
+    }
+  };
+
+  console.log(`✓ 문장 정렬 완료: ${target.sentences.length}개 → ${source.sentences.length}개 문장 (평균 덮음 ${(alignment.metadata.averageCoverage * 100).toFixed(1)}%, ${alignment.metadata.processingTime}ms)`);
+
+  setEntry('alignment', sourceText, pairKey, alignment);
+  return alignment;
+}
+
+/**
+ * 단어 위치로 문장 찾기
+ * 단어 위치는 클라이언트 표시와 같이 공백 기준 어절 순서(0부터)입니다.
+ *
+ * @param {string} text - 레벨 텍스트
+ * @param {number} wordIndex - 어절 위치
+ * @returns {object|null} { index, paragraph, text, startWord, endWord } 또는 null
+ */
+function locateSentence(text, wordIndex) {
+  const { sentences } = structureText(text);
+  let startWord = 0;
+
+  for (const sentence of sentences) {
+    const wordCount = sentence.text.split(/\s+/).filter(Boolean).length;
+    const endWord = startWord + wordCount - 1;
+
+    if (wordIndex >= startWord && wordIndex <= endWord) {
+      return {
+        index: sentence.index,
+        paragraph: sentence.paragraph,
+        text: sentence.text,
+        startWord,
+        endWord
+      };
+    }
+    startWord = endWord + 1;
+  }
+
+  return null;
+}
+
+/**
+ * 문장의 출처를 하위 레벨까지 추적
+ * 사용 가능한 레벨을 한 단계씩 내려가며 문장 정렬을 이어 붙입니다.
+ *
+ * @param {Array<object>} levels - 사용 가능한 레벨 [{ level, text }, ...]
+ * @param {number} fromLevel - 시작 레벨 (요약 레벨)
+ * @param {Array<number>} sentenceIndices - 시작 레벨의 문장 인덱스
+ * @param {number} toLevel - 목표 레벨 (fromLevel보다 작음)
+ * @returns {Array<object>} 목표 레벨의 출처 문장 [{ index, paragraph, text }] (원문 순서)
+ * @throws {Error} 시작 또는 목표 레벨 텍스트가 없는 경우
+ */
+function traceSentenceSources(levels, fromLevel, sentenceIndices, toLevel) {
+  const chain = levels
+    .filter(l => l.level >= toLevel && l.level <= fromLevel)
+    .sort((a, b) => b.level - a.level);
+
+  if (chain.length < 2 || chain[0].level !== fromLevel || chain[chain.length - 1].level !== toLevel) {
+    throw new Error(`출처 추적에 필요한 레벨이 없습니다: Level ${fromLevel} → ${toLevel}`);
+  }
+
+  let indices = new Set(sentenceIndices);
+  let sourceSentences = [];
+
+  for (let i = 1; i < chain.length; i++) {
+    const alignment = alignSentences(chain[i].text, chain[i - 1].text);
+    const next = new Set();
+
+    alignment.targetSentences
+      .filter(sentence => indices.has(sentence.index))
+      .forEach(sentence => sentence.sources.forEach(source => next.add(source.index)));
+
+    indices = next;
+    sourceSentences = alignment.sourceSentences;
+  }
+
+  return sourceSentences.filter(sentence => indices.has(sentence.index));
+}
+
+module.exports = {
+  extractBigrams,
+  alignSentences,
+  locateSentence,
+  traceSentenceSources
+};
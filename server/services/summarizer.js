@@ -1,56 +1,504 @@
 /**
- * Azure OpenAI 기반 요약 생성 서비스
+ * LLM 기반 요약 생성 서비스
  *
- * Azure OpenAI API를 호출하여 3단계 요약을 생성하는 핵심 서비스입니다.
+ * 설정된 LLM 프로바이더(config/llm.js)를 호출하여 레벨별 요약을 생성하는 핵심 서비스입니다.
+ * 레벨 수와 레벨별 압축률은 레벨 사다리(config/levels.js)를 따릅니다.
+ * 기본 사다리:
  * Level 1: 70-80% 압축률
  * Level 2: 40-50% 압축률
  * Level 3: 10-20% 압축률
  */
 
-const { getClient, withRetry, deploymentName } = require('../config/azure');
-const { buildMessages, validatePromptInput } = require('../config/prompts');
-const { calculateTextStats } = require('../utils/textProcessor');
+const { getProvider, isLLMAvailable, withRetry } = require('../config/llm');
+const { getLevelConfig, getSummaryLevels } = require('../config/levels');
+const {
+  buildMessages,
+  buildCompressionFeedbackMessages,
+  buildKeywordRevisionMessages,
+  getPromptForLevel,
+  getTargetCompressionRange,
+  validatePromptInput
+} = require('../config/prompts');
+const {
+  calculateTextStats,
+  countSpacedWords,
+  estimateTokens,
+  splitIntoChunks,
+  tokenizeWords
+} = require('../utils/textProcessor');
+const { analyzeWord } = require('../utils/koreanAnalyzer');
 const { analyzeKeywords } = require('./tfidf');
+const { generateExtractiveLevel, summarizeExtractive } = require('./extractiveSummarizer');
 
 /**
- * Azure OpenAI API 호출
- * 주어진 메시지로 채팅 완성 요청을 보냅니다.
+ * 청크당 최대 입력 토큰 (LLM_CHUNK_TOKENS)
+ * 레벨별 최대 출력 토큰으로 요약본이 잘리지 않도록 레벨마다 더 작게 제한될 수 있습니다.
+ */
+const CHUNK_TOKEN_BUDGET = parseInt(process.env.LLM_CHUNK_TOKENS) || 8000;
+
+/**
+ * 동시에 요약할 최대 청크 수 (LLM_CHUNK_CONCURRENCY)
+ */
+const CHUNK_CONCURRENCY = parseInt(process.env.LLM_CHUNK_CONCURRENCY) || 3;
+
+/**
+ * 목표 압축률을 벗어났을 때 LLM에 다시 요청하는 최대 횟수 (LLM_COMPRESSION_RETRIES)
+ * 재요청 후에도 벗어나면 결정적으로 줄이거나 늘립니다.
+ */
+const COMPRESSION_RETRIES = parseInt(process.env.LLM_COMPRESSION_RETRIES ?? '2');
+
+/**
+ * Level 1 키워드 보존 강제 모드 (LEVEL1_KEYWORD_GUARD, 기본값: 활성)
+ * 상위 TF-IDF 키워드를 필수 유지 목록으로 프롬프트에 넣고, 빠진 키워드가 있으면 수정을 요청합니다.
+ */
+const KEYWORD_GUARD_ENABLED = process.env.LEVEL1_KEYWORD_GUARD !== 'false';
+
+/**
+ * 필수 유지 키워드 수 (LEVEL1_KEYWORD_GUARD_TOP_N)
+ */
+const KEYWORD_GUARD_TOP_N = parseInt(process.env.LEVEL1_KEYWORD_GUARD_TOP_N) || 15;
+
+/**
+ * 빠진 키워드에 대한 최대 수정 요청 횟수 (LEVEL1_KEYWORD_REVISIONS)
+ */
+const KEYWORD_REVISIONS = parseInt(process.env.LEVEL1_KEYWORD_REVISIONS ?? '1');
+
+/**
+ * LLM API 호출
+ * 설정된 프로바이더(LLM_PROVIDER)로 채팅 완성 요청을 보냅니다.
+ * onDelta 콜백이 주어지면 스트리밍 모드로 호출하여 토큰 단위로 전달합니다.
+ * onUsage 콜백이 주어지면 호출마다 토큰 사용량을 전달합니다 (사용량 집계용).
+ * 프로바이더가 사용량을 알려주지 않으면 입력/출력 텍스트로 추정합니다.
  *
  * @param {Array<object>} messages - OpenAI 메시지 배열
  * @param {object} options - API 호출 옵션
+ * @param {number} options.maxTokens - 최대 출력 토큰 (기본값: 2000)
+ * @param {Function} options.onDelta - 스트리밍 토큰 콜백 (content) => void (선택)
+ * @param {Function} options.onUsage - 사용량 콜백 ({ promptTokens, completionTokens, estimated }) => void (선택)
+ * @param {AbortSignal} options.signal - 요청 취소 시그널 (선택)
  * @returns {Promise<string>} 생성된 텍스트
  */
-async function callAzureOpenAI(messages, options = {}) {
+async function callLLM(messages, options = {}) {
   const {
-    maxTokens = 2000
+    maxTokens = 2000,
+    onDelta = null,
+    onUsage = null,
+    signal = undefined
   } = options;
 
-  const client = getClient();
+  const provider = getProvider();
 
   try {
-    const result = await client.chat.completions.create({
-      model: deploymentName,
-      messages: messages,
-      max_completion_tokens: maxTokens
-    });
+    const { content, usage } = await provider.complete(messages, { maxTokens, onDelta, signal });
 
-    if (!result.choices || result.choices.length === 0) {
-      throw new Error('Azure OpenAI API가 빈 응답을 반환했습니다.');
+    if (!content || content.trim().length === 0) {
+      throw new Error(`LLM(${provider.name})이 빈 응답을 반환했습니다.`);
     }
 
-    const content = result.choices[0].message.content;
+    console.log(`✓ LLM API 호출 성공 (${provider.name}/${provider.model}${onDelta ? ', 스트리밍' : ''})`);
+    console.log(`  - 입력 토큰: ${usage?.promptTokens ?? 'N/A'}`);
+    console.log(`  - 출력 토큰: ${usage?.completionTokens ?? 'N/A'}`);
 
-    console.log(`✓ Azure OpenAI API 호출 성공`);
-    console.log(`  - 입력 토큰: ${result.usage?.prompt_tokens || 'N/A'}`);
-    console.log(`  - 출력 토큰: ${result.usage?.completion_tokens || 'N/A'}`);
+    if (onUsage) {
+      onUsage({
+        promptTokens: usage?.promptTokens ?? estimateTokens(messages.map(m => m.content).join('\n')),
+        completionTokens: usage?.completionTokens ?? estimateTokens(content),
+        estimated: usage?.promptTokens == null || usage?.completionTokens == null
+      });
+    }
 
     return content.trim();
   } catch (error) {
-    console.error('✗ Azure OpenAI API 호출 실패:', error.message);
+    console.error(`✗ LLM API 호출 실패 (${provider.name}):`, error.message);
     throw error;
   }
 }
 
+/**
+ * 스트리밍 옵션을 적용한 API 호출
+ * 재시도마다 onAttempt를 호출하여 수신 측이 이전 시도의 델타를 버릴 수 있게 합니다.
+ *
+ * @param {Array<object>} messages - OpenAI 메시지 배열
+ * @param {number} maxTokens - 최대 출력 토큰
+ * @param {object} options - { onAttempt, onDelta, onUsage, signal }
+ * @returns {Promise<string>} 생성된 텍스트
+ */
+function callWithStreamOptions(messages, maxTokens, options = {}) {
+  const { onAttempt = null, onDelta = null, onUsage = null, signal = undefined } = options;
+
+  if (onAttempt) {
+    onAttempt();
+  }
+
+  return callLLM(messages, { maxTokens, onDelta, onUsage, signal });
+}
+
+/**
+ * 레벨별 청크 토큰 예산 계산
+ * 청크를 목표 압축률 상한으로 요약해도 최대 출력 토큰을 넘지 않도록 제한합니다.
+ *
+ * @param {number} level - 요약 레벨 (0, 1, 2, 3)
+ * @param {number} maxTokens - 레벨의 최대 출력 토큰
+ * @returns {number} 청크당 최대 입력 토큰
+ */
+function getChunkTokenBudget(level, maxTokens) {
+  const { targetCompression } = getPromptForLevel(level);
+  const maxRatio = targetCompression
+    ? Math.max(...targetCompression.match(/\d+/g).map(Number)) / 100
+    : 1;
+
+  return Math.min(CHUNK_TOKEN_BUDGET, Math.floor(maxTokens / maxRatio));
+}
+
+/**
+ * 청크 단위 병렬 요약 (map-reduce)
+ * 각 청크를 같은 레벨 프롬프트로 요약한 뒤 원래 순서대로 이어 붙입니다.
+ * 청크마다 같은 압축률을 적용하므로 병합 결과도 레벨의 목표 압축률을 유지합니다.
+ *
+ * 스트리밍 시에는 청크가 원래 순서대로 완료될 때마다 완성된 청크 텍스트를 델타로 전달합니다.
+ *
+ * @param {number} level - 요약 레벨 (0, 1, 2, 3)
+ * @param {Array<string>} chunks - 청크 배열
+ * @param {number} maxTokens - 청크당 최대 출력 토큰
+ * @param {object} options - { onAttempt, onDelta, onUsage, signal, keywords, keywordForms }
+ * @returns {Promise<string>} 병합된 요약 텍스트
+ */
+async function summarizeChunks(level, chunks, maxTokens, options = {}) {
+  const {
+    onAttempt = null,
+    onDelta = null,
+    onUsage = null,
+    signal = undefined,
+    keywords = [],
+    keywordForms = undefined
+  } = options;
+
+  console.log(`Level ${level} 청크 분할 요약: ${chunks.length}개 청크 (동시 ${CHUNK_CONCURRENCY}개)`);
+
+  if (onAttempt) {
+    onAttempt();
+  }
+
+  const results = new Array(chunks.length);
+  let nextChunk = 0;
+  let nextToEmit = 0;
+  let failed = false;
+
+  // 앞선 청크가 모두 완료된 경우에만 순서대로 전달
+  const emitCompleted = () => {
+    while (nextToEmit < chunks.length && results[nextToEmit] !== undefined) {
+      if (onDelta) {
+        onDelta((nextToEmit > 0 ? '\n\n' : '') + results[nextToEmit]);
+      }
+      nextToEmit++;
+    }
+  };
+
+  const worker = async () => {
+    while (!failed && nextChunk < chunks.length) {
+      const index = nextChunk++;
+
+      // 필수 키워드는 해당 청크에 등장하는 것만 전달
+      const chunkWords = new Set(tokenizeWords(chunks[index], { stem: true }));
+      const messages = buildMessages(level, chunks[index], {
+        keywords: toSurfaceForms(keywords.filter(kw => chunkWords.has(kw)), keywordForms)
+      });
+
+      try {
+        results[index] = await withRetry(
+          () => callLLM(messages, { maxTokens, onUsage, signal }),
+          3,
+          1000
+        );
+      } catch (error) {
+        failed = true;
+        throw error;
+      }
+
+      console.log(`  - 청크 ${index + 1}/${chunks.length} 완료`);
+      emitCompleted();
+    }
+  };
+
+  const workerCount = Math.min(CHUNK_CONCURRENCY, chunks.length);
+  await Promise.all(Array.from({ length: workerCount }, worker));
+
+  return results.join('\n\n');
+}
+
+/**
+ * 레벨 프롬프트로 텍스트 요약
+ * 청크 토큰 예산을 넘는 긴 텍스트는 문단/문장 경계에서 나누어 병렬로 요약합니다.
+ *
+ * @param {number} level - 요약 레벨 (0, 1, 2, 3)
+ * @param {string} text - 입력 텍스트
+ * @param {number} maxTokens - 최대 출력 토큰
+ * @param {object} options - 스트리밍 옵션 { onAttempt, onDelta, onUsage, signal } 및 필수 키워드 { keywords, keywordForms } (선택)
+ * @returns {Promise<string>} 요약 텍스트
+ */
+async function summarizeText(level, text, maxTokens, options = {}) {
+  const chunks = splitIntoChunks(text, getChunkTokenBudget(level, maxTokens));
+
+  if (chunks.length > 1) {
+    return summarizeChunks(level, chunks, maxTokens, options);
+  }
+
+  const messages = buildMessages(level, text, { keywords: toSurfaceForms(options.keywords, options.keywordForms) });
+
+  // API 호출 (재시도 로직 포함)
+  return withRetry(
+    () => callWithStreamOptions(messages, maxTokens, options),
+    3,
+    1000
+  );
+}
+
+/**
+ * 압축률 측정
+ * 언어와 무관하게 비교할 수 있도록 공백 기준 어절 수로 계산합니다.
+ *
+ * @param {string} text - 입력 텍스트
+ * @param {string} summary - 요약 텍스트
+ * @returns {number} 압축률 (요약 어절 수 / 입력 어절 수)
+ */
+function measureCompression(text, summary) {
+  return countSpacedWords(summary) / Math.max(countSpacedWords(text), 1);
+}
+
+/**
+ * 목표 압축률 범위 달성 여부
+ *
+ * @param {number} level - 요약 레벨 (1 이상)
+ * @param {number} compressionRate - 압축률
+ * @returns {boolean} 범위 내 여부
+ */
+function isWithinTarget(level, compressionRate) {
+  const { min, max } = getTargetCompressionRange(level);
+  return compressionRate >= min && compressionRate <= max;
+}
+
+/**
+ * 목표 압축률 범위까지의 거리
+ *
+ * @param {number} level - 요약 레벨 (1 이상)
+ * @param {number} compressionRate - 압축률
+ * @returns {number} 범위 밖으로 벗어난 정도 (범위 내이면 0)
+ */
+function distanceToTarget(level, compressionRate) {
+  const { min, max } = getTargetCompressionRange(level);
+  return Math.max(min - compressionRate, compressionRate - max, 0);
+}
+
+/**
+ * 결정적 압축률 조정
+ * 너무 긴 요약은 요약본에서 우선순위가 낮은 문장을 제거하고,
+ * 너무 짧은 요약은 입력 텍스트의 추출 요약으로 대체합니다.
+ * 필수 유지 키워드가 있는 문장은 제거하지 않습니다.
+ *
+ * @param {number} level - 요약 레벨 (1 이상)
+ * @param {string} text - 입력 텍스트
+ * @param {string} summary - 요약 텍스트
+ * @param {Array<string>} keywords - 필수 유지 키워드 (소문자 어간, 선택)
+ * @returns {object} { summary, method: 'trim' | 'expand' }
+ */
+function adjustCompressionDeterministically(level, text, summary, keywords = []) {
+  const { max, target } = getTargetCompressionRange(level);
+  const inputWords = countSpacedWords(text);
+
+  if (measureCompression(text, summary) > max) {
+    const ratio = (inputWords * target) / countSpacedWords(summary);
+    return { summary: summarizeExtractive(summary, ratio, { keepWords: keywords }), method: 'trim' };
+  }
+
+  return { summary: summarizeExtractive(text, target, { keepWords: keywords }), method: 'expand' };
+}
+
+/**
+ * 목표 압축률 강제
+ * 요약이 프롬프트의 목표 범위(targetCompression)를 벗어나면 측정된 압축률을 알려주며
+ * 최대 COMPRESSION_RETRIES회 다시 요청하고, 그래도 벗어나면 결정적으로 조정합니다.
+ * 청크 분할 대상인 긴 텍스트는 재요청 없이 바로 결정적으로 조정합니다.
+ *
+ * @param {number} level - 요약 레벨 (1 이상)
+ * @param {string} text - 입력 텍스트
+ * @param {string} summary - 첫 요약 결과
+ * @param {number} maxTokens - 최대 출력 토큰
+ * @param {object} options - 스트리밍 옵션 { onAttempt, onDelta, onUsage, signal } 및 필수 키워드 { keywords, keywordForms } (선택)
+ * @returns {Promise<object>} { summary, attempts: [{ attempt, method, compressionRate, achieved }] }
+ */
+async function enforceCompressionTarget(level, text, summary, maxTokens, options = {}) {
+  const attempts = [];
+  const record = (method, current) => {
+    const compressionRate = measureCompression(text, current);
+    const achieved = isWithinTarget(level, compressionRate);
+    attempts.push({ attempt: attempts.length + 1, method, compressionRate, achieved });
+    return achieved;
+  };
+
+  let current = summary;
+  if (record('llm', current)) {
+    return { summary: current, attempts };
+  }
+
+  const canReprompt = estimateTokens(text) <= getChunkTokenBudget(level, maxTokens);
+
+  for (let retry = 1; canReprompt && retry <= COMPRESSION_RETRIES; retry++) {
+    const compressionRate = attempts[attempts.length - 1].compressionRate;
+    console.log(`  Level ${level} 압축률 ${(compressionRate * 100).toFixed(1)}% - 목표 범위를 벗어나 재요청 (${retry}/${COMPRESSION_RETRIES})`);
+
+    const messages = buildCompressionFeedbackMessages(level, text, current, compressionRate, {
+      keywords: toSurfaceForms(options.keywords, options.keywordForms)
+    });
+
+    try {
+      current = await withRetry(
+        () => callWithStreamOptions(messages, maxTokens, options),
+        3,
+        1000
+      );
+    } catch (error) {
+      if (isAbortError(error)) throw error;
+
+      console.warn(`⚠ Level ${level} 재요청 실패 - 결정적 조정으로 전환합니다: ${error.message}`);
+      break;
+    }
+
+    if (record('reprompt', current)) {
+      return { summary: current, attempts };
+    }
+  }
+
+  const adjusted = adjustCompressionDeterministically(level, text, current, options.keywords);
+  record(adjusted.method, adjusted.summary);
+
+  const before = attempts[attempts.length - 2].compressionRate;
+  const after = attempts[attempts.length - 1].compressionRate;
+  console.log(`  Level ${level} 결정적 조정 (${adjusted.method}): ${(after * 100).toFixed(1)}%`);
+
+  // 문장 단위 조정이 오히려 범위에서 더 멀어지면 (짧은 텍스트) 직전 요약 유지
+  if (distanceToTarget(level, after) >= distanceToTarget(level, before)) {
+    console.log(`  Level ${level} 조정 결과가 개선되지 않아 직전 요약을 유지합니다.`);
+    return { summary: current, attempts };
+  }
+
+  return { summary: adjusted.summary, attempts };
+}
+
+/**
+ * 필수 유지 키워드 선택
+ * 원문의 상위 TF-IDF 키워드를 Level 1 필수 유지 목록으로 사용합니다.
+ *
+ * @param {Array<string>} keywords - TF-IDF 순으로 정렬된 원문 키워드
+ * @returns {Array<string>} 필수 유지 키워드
+ */
+function selectMustKeepKeywords(keywords) {
+  return keywords.slice(0, KEYWORD_GUARD_TOP_N);
+}
+
+/**
+ * 요약에서 빠진 키워드 찾기
+ *
+ * @param {Array<string>} keywords - 확인할 키워드 (소문자 어간)
+ * @param {string} summary - 요약 텍스트
+ * @returns {Array<string>} 요약에 등장하지 않는 키워드 (조사/어미가 달라도 어간이 같으면 등장으로 봄)
+ */
+function findMissingKeywords(keywords, summary) {
+  const summaryWords = new Set(tokenizeWords(summary, { stem: true }));
+  return keywords.filter(kw => !summaryWords.has(kw));
+}
+
+/**
+ * 키워드 어간의 원문 표기 찾기
+ * TF-IDF 키워드는 어간("중요하", "개선하")이므로 프롬프트에는 원문에 실제로 등장한 형태를 넣습니다.
+ * 명사는 조사를 뗀 형태("시스템은" → "시스템"), 용언은 어절 그대로("중요합니다") 중 가장 자주 나온 것을 사용합니다.
+ *
+ * @param {Array<string>} keywords - 키워드 (소문자 어간)
+ * @param {string} text - 원문 텍스트
+ * @returns {Map<string, string>} 어간 → 원문 표기
+ */
+function findSurfaceForms(keywords, text) {
+  const wanted = new Set(keywords);
+  const counts = new Map();
+
+  tokenizeWords(text).forEach(word => {
+    const { stem, suffix, pos } = analyzeWord(word);
+    if (!wanted.has(stem)) return;
+
+    const form = pos === 'NOUN' && suffix ? word.slice(0, -suffix.length) : word;
+    if (!counts.has(stem)) counts.set(stem, new Map());
+    counts.get(stem).set(form, (counts.get(stem).get(form) || 0) + 1);
+  });
+
+  const forms = new Map();
+  counts.forEach((formCounts, stem) => {
+    const [best] = [...formCounts.entries()].sort((a, b) => b[1] - a[1]);
+    forms.set(stem, best[0]);
+  });
+  return forms;
+}
+
+/**
+ * 키워드 어간을 원문 표기로 변환 (표기를 찾지 못한 키워드는 어간 그대로)
+ *
+ * @param {Array<string>} keywords - 키워드 (소문자 어간, 선택)
+ * @param {Map<string, string>} forms - findSurfaceForms 결과 (선택)
+ * @returns {Array<string>} 원문 표기 키워드
+ */
+function toSurfaceForms(keywords = [], forms = new Map()) {
+  return keywords.map(kw => forms.get(kw) || kw);
+}
+
+/**
+ * 키워드 보존 강제 (detail 스타일 레벨)
+ * 필수 키워드 중 빠진 것이 있으면 해당 키워드를 명시하여 최대 KEYWORD_REVISIONS회 수정을 요청합니다.
+ * 청크 분할 대상인 긴 텍스트는 수정 요청을 하지 않습니다.
+ *
+ * @param {number} level - 요약 레벨
+ * @param {string} text - 입력 텍스트
+ * @param {string} summary - 요약 텍스트
+ * @param {Array<string>} keywords - 필수 유지 키워드 (소문자 어간)
+ * @param {number} maxTokens - 최대 출력 토큰
+ * @param {object} options - 스트리밍 옵션 { onAttempt, onDelta, onUsage, signal } 및 원문 표기 { keywordForms } (선택)
+ * @returns {Promise<object>} { summary, revisions }
+ */
+async function enforceKeywordPreservation(level, text, summary, keywords, maxTokens, options = {}) {
+  const canRevise = estimateTokens(text) <= getChunkTokenBudget(level, maxTokens);
+
+  let current = summary;
+  let revisions = 0;
+
+  while (canRevise && revisions < KEYWORD_REVISIONS) {
+    const missing = findMissingKeywords(keywords, current);
+    if (missing.length === 0) break;
+
+    revisions++;
+    console.log(`  Level ${level} 키워드 ${missing.length}개 누락 - 수정 요청 (${revisions}/${KEYWORD_REVISIONS}): ${toSurfaceForms(missing, options.keywordForms).join(', ')}`);
+
+    const messages = buildKeywordRevisionMessages(
+      level,
+      text,
+      current,
+      toSurfaceForms(keywords, options.keywordForms),
+      toSurfaceForms(missing, options.keywordForms)
+    );
+
+    try {
+      current = await withRetry(
+        () => callWithStreamOptions(messages, maxTokens, options),
+        3,
+        1000
+      );
+    } catch (error) {
+      if (isAbortError(error)) throw error;
+
+      console.warn(`⚠ Level ${level} 키워드 수정 요청 실패 - 직전 요약을 유지합니다: ${error.message}`);
+      break;
+    }
+  }
+
+  return { summary: current, revisions };
+}
+
 /**
  * Level 0 문단 구분
  * 목표: 원문 텍스트를 읽기 좋게 문단으로 구분
@@ -66,15 +514,7 @@ async function formatLevel0Text(text) {
     throw new Error('텍스트가 비어있습니다.');
   }
 
-  // 프롬프트 메시지 생성
-  const messages = buildMessages(0, text);
-
-  // API 호출 (재시도 로직 포함)
-  const formatted = await withRetry(
-    () => callAzureOpenAI(messages, { maxTokens: 16000 }),
-    3,
-    1000
-  );
+  const formatted = await summarizeText(0, text, 16000);
 
   console.log(`✓ Level 0 문단 구분 완료`);
 
@@ -82,17 +522,23 @@ async function formatLevel0Text(text) {
 }
 
 /**
- * Level 1 요약 생성
- * 목표: 70-80% 압축률, 키워드 보존률 90% 이상
+ * 레벨 요약 생성
+ * 레벨 사다리 설정(config/levels.js)의 목표 압축률, 최대 토큰, 프롬프트 스타일을 따릅니다.
+ * detail 스타일 레벨(첫 요약 레벨)은 키워드 보존 강제 모드를 적용합니다.
  *
- * @param {string} text - 원문 텍스트
+ * @param {number} level - 요약 레벨 (1 이상)
+ * @param {string} text - 입력 텍스트 (이전 레벨 텍스트 권장)
+ * @param {object} options - 스트리밍 옵션 { onAttempt, onDelta, onUsage, signal } (선택)
  * @returns {Promise<object>} 요약 결과
  */
-async function generateLevel1Summary(text) {
-  console.log('Level 1 요약 생성 시작...');
+async function generateLevelSummary(level, text, options = {}) {
+  console.log(`Level ${level} 요약 생성 시작...`);
+
+  const { maxTokens } = getLevelConfig(level);
+  const { style } = getPromptForLevel(level);
 
   // 입력 검증
-  const validation = validatePromptInput(text, 1);
+  const validation = validatePromptInput(text, level);
   if (!validation.valid) {
     throw new Error(`입력 검증 실패: ${validation.warnings.join(', ')}`);
   }
@@ -101,6 +547,88 @@ async function generateLevel1Summary(text) {
     console.warn('⚠ 경고:', validation.warnings.join(', '));
   }
 
+  // 키워드 보존 강제 모드: 상위 TF-IDF 키워드를 필수 유지 목록으로 프롬프트에 주입
+  const guardKeywords = KEYWORD_GUARD_ENABLED && style === 'detail';
+  const keywords = guardKeywords
+    ? selectMustKeepKeywords(analyzeKeywords(text, { topPercent: 30 }).keywords.map(kw => kw.word))
+    : [];
+  const keywordForms = findSurfaceForms(keywords, text);
+  const llmOptions = { ...options, keywords, keywordForms };
+
+  // 요약 생성 (긴 텍스트는 청크 단위로 분할)
+  const initial = await summarizeText(level, text, maxTokens, llmOptions);
+
+  // 빠진 키워드 수정 요청
+  const { summary: revised, revisions } = guardKeywords
+    ? await enforceKeywordPreservation(level, text, initial, keywords, maxTokens, { ...options, keywordForms })
+    : { summary: initial, revisions: 0 };
+
+  // 목표 압축률 범위 강제 (재요청 또는 결정적 조정)
+  const { summary, attempts } = await enforceCompressionTarget(level, text, revised, maxTokens, llmOptions);
+
+  const result = buildLevelResult(level, text, summary, 'llm');
+  result.metadata.compressionAttempts = attempts;
+  if (style === 'detail') {
+    // 누락 키워드(missingKeywords)는 압축률 조정까지 끝난 최종 요약 기준
+    const { missingKeywords } = result.metadata;
+    if (guardKeywords && missingKeywords.length > 0) {
+      console.warn(`⚠ Level ${level} 압축률 조정 후에도 키워드 ${missingKeywords.length}개 누락: ${missingKeywords.join(', ')}`);
+    }
+
+    result.metadata.keywordGuard = {
+      enabled: guardKeywords,
+      revisions,
+      preserved: missingKeywords.length === 0
+    };
+  }
+  return result;
+}
+
+/**
+ * Level 1 요약 생성 (하위 호환)
+ *
+ * @param {string} text - 원문 텍스트
+ * @param {object} options - 스트리밍 옵션 { onAttempt, onDelta, onUsage, signal } (선택)
+ * @returns {Promise<object>} 요약 결과
+ */
+function generateLevel1Summary(text, options = {}) {
+  return generateLevelSummary(1, text, options);
+}
+
+/**
+ * Level 2 요약 생성 (하위 호환)
+ *
+ * @param {string} text - 입력 텍스트 (Level 1 요약본 권장)
+ * @param {string} originalText - 원문 (사용하지 않음, 하위 호환용)
+ * @param {object} options - 스트리밍 옵션 { onAttempt, onDelta, onUsage, signal } (선택)
+ * @returns {Promise<object>} 요약 결과
+ */
+function generateLevel2Summary(text, originalText = null, options = {}) {
+  return generateLevelSummary(2, text, options);
+}
+
+/**
+ * Level 3 요약 생성 (하위 호환)
+ *
+ * @param {string} text - 입력 텍스트 (Level 2 요약본 권장)
+ * @param {object} options - 스트리밍 옵션 { onAttempt, onDelta, onUsage, signal } (선택)
+ * @returns {Promise<object>} 요약 결과
+ */
+function generateLevel3Summary(text, options = {}) {
+  return generateLevelSummary(3, text, options);
+}
+
+/**
+ * detail 스타일 요약 결과 구성
+ * 압축률과 키워드 보존률을 계산하여 메타데이터를 만듭니다.
+ *
+ * @param {number} level - 요약 레벨
+ * @param {string} text - 입력 텍스트
+ * @param {string} summary - 요약 텍스트
+ * @param {string} generator - 생성 방식 ('llm' 또는 'extractive')
+ * @returns {object} 요약 결과
+ */
+function buildDetailResult(level, text, summary, generator) {
   // 원문 통계
   const originalStats = calculateTextStats(text);
 
@@ -108,21 +636,11 @@ async function generateLevel1Summary(text) {
   const keywordAnalysis = analyzeKeywords(text, { topPercent: 30 });
   const originalKeywords = keywordAnalysis.keywords.map(kw => kw.word);
 
-  // 프롬프트 메시지 생성
-  const messages = buildMessages(1, text);
-
-  // API 호출 (재시도 로직 포함)
-  const summary = await withRetry(
-    () => callAzureOpenAI(messages, { maxTokens: 3000 }),
-    3,
-    1000
-  );
-
   // 요약본 통계
   const summaryStats = calculateTextStats(summary);
 
   // 압축률 계산
-  const compressionRate = summaryStats.wordCount / originalStats.wordCount;
+  const compressionRate = measureCompression(text, summary);
 
   // 키워드 보존률 계산
   const summaryKeywordAnalysis = analyzeKeywords(summary);
@@ -132,12 +650,21 @@ async function generateLevel1Summary(text) {
   );
   const keywordPreservationRate = preservedKeywords.length / originalKeywords.length;
 
-  console.log(`✓ Level 1 요약 생성 완료`);
+  // 필수 유지 키워드 중 요약에서 빠진 키워드
+  const mustKeepStems = selectMustKeepKeywords(originalKeywords);
+  const keywordForms = findSurfaceForms(mustKeepStems, text);
+  const mustKeepKeywords = toSurfaceForms(mustKeepStems, keywordForms);
+  const missingKeywords = toSurfaceForms(findMissingKeywords(mustKeepStems, summary), keywordForms);
+
+  console.log(`✓ Level ${level} 요약 생성 완료`);
   console.log(`  - 압축률: ${(compressionRate * 100).toFixed(1)}%`);
   console.log(`  - 키워드 보존률: ${(keywordPreservationRate * 100).toFixed(1)}%`);
+  if (missingKeywords.length > 0) {
+    console.log(`  - 누락 키워드: ${missingKeywords.join(', ')}`);
+  }
 
   return {
-    level: 1,
+    level,
     text: summary,
     metadata: {
       originalWordCount: originalStats.wordCount,
@@ -145,51 +672,34 @@ async function generateLevel1Summary(text) {
       compressionRate,
       keywordsPreserved: preservedKeywords,
       keywordPreservationRate,
-      targetCompressionRate: '70-80%',
-      achieved: compressionRate >= 0.7 && compressionRate <= 0.8
+      mustKeepKeywords,
+      missingKeywords,
+      targetCompressionRate: getPromptForLevel(level).targetCompression,
+      achieved: isWithinTarget(level, compressionRate),
+      generator
     }
   };
 }
 
 /**
- * Level 2 요약 생성
- * 목표: 40-50% 압축률, 의미 유사도 0.75 이상
+ * condense 스타일 요약 결과 구성
+ * 압축률과 키워드 오버랩 기반 의미 유사도를 계산합니다.
  *
- * @param {string} text - 입력 텍스트 (Level 1 요약본 권장)
- * @param {string} originalText - 원문 (유사도 계산용, 선택)
- * @returns {Promise<object>} 요약 결과
+ * @param {number} level - 요약 레벨
+ * @param {string} text - 입력 텍스트
+ * @param {string} summary - 요약 텍스트
+ * @param {string} generator - 생성 방식 ('llm' 또는 'extractive')
+ * @returns {object} 요약 결과
  */
-async function generateLevel2Summary(text, originalText = null) {
-  console.log('Level 2 요약 생성 시작...');
-
-  // 입력 검증
-  const validation = validatePromptInput(text, 2);
-  if (!validation.valid) {
-    throw new Error(`입력 검증 실패: ${validation.warnings.join(', ')}`);
-  }
-
-  if (validation.warnings.length > 0) {
-    console.warn('⚠ 경고:', validation.warnings.join(', '));
-  }
-
+function buildCondenseResult(level, text, summary, generator) {
   // 입력 통계
   const inputStats = calculateTextStats(text);
 
-  // 프롬프트 메시지 생성
-  const messages = buildMessages(2, text);
-
-  // API 호출 (재시도 로직 포함)
-  const summary = await withRetry(
-    () => callAzureOpenAI(messages, { maxTokens: 2000 }),
-    3,
-    1000
-  );
-
   // 요약본 통계
   const summaryStats = calculateTextStats(summary);
 
   // 압축률 계산
-  const compressionRate = summaryStats.wordCount / inputStats.wordCount;
+  const compressionRate = measureCompression(text, summary);
 
   // 의미 유사도는 간단한 키워드 오버랩으로 추정
   const inputKeywords = analyzeKeywords(text, { topPercent: 30 }).keywords.map(kw => kw.word);
@@ -197,73 +707,55 @@ async function generateLevel2Summary(text, originalText = null) {
   const overlap = inputKeywords.filter(kw => summaryKeywords.includes(kw)).length;
   const semanticSimilarity = overlap / Math.max(inputKeywords.length, 1);
 
-  console.log(`✓ Level 2 요약 생성 완료`);
+  console.log(`✓ Level ${level} 요약 생성 완료`);
   console.log(`  - 압축률: ${(compressionRate * 100).toFixed(1)}%`);
   console.log(`  - 의미 유사도 (추정): ${(semanticSimilarity * 100).toFixed(1)}%`);
 
   return {
-    level: 2,
+    level,
     text: summary,
     metadata: {
       inputWordCount: inputStats.wordCount,
       summaryWordCount: summaryStats.wordCount,
       compressionRate,
       semanticSimilarity,
-      targetCompressionRate: '40-50%',
-      achieved: compressionRate >= 0.4 && compressionRate <= 0.5
+      targetCompressionRate: getPromptForLevel(level).targetCompression,
+      achieved: isWithinTarget(level, compressionRate),
+      generator
     }
   };
 }
 
 /**
- * Level 3 요약 생성
- * 목표: 10-20% 압축률, 정보 보존률 60% 이상
+ * final 스타일 요약 결과 구성
+ * 압축률과 문장 수 목표 달성 여부를 계산합니다.
  *
- * @param {string} text - 입력 텍스트 (Level 2 요약본 권장)
- * @returns {Promise<object>} 요약 결과
+ * @param {number} level - 요약 레벨
+ * @param {string} text - 입력 텍스트
+ * @param {string} summary - 요약 텍스트
+ * @param {string} generator - 생성 방식 ('llm' 또는 'extractive')
+ * @returns {object} 요약 결과
  */
-async function generateLevel3Summary(text) {
-  console.log('Level 3 요약 생성 시작...');
-
-  // 입력 검증
-  const validation = validatePromptInput(text, 3);
-  if (!validation.valid) {
-    throw new Error(`입력 검증 실패: ${validation.warnings.join(', ')}`);
-  }
-
-  if (validation.warnings.length > 0) {
-    console.warn('⚠ 경고:', validation.warnings.join(', '));
-  }
-
+function buildFinalResult(level, text, summary, generator) {
   // 입력 통계
   const inputStats = calculateTextStats(text);
 
-  // 프롬프트 메시지 생성
-  const messages = buildMessages(3, text);
-
-  // API 호출 (재시도 로직 포함)
-  const summary = await withRetry(
-    () => callAzureOpenAI(messages, { maxTokens: 1000 }),
-    3,
-    1000
-  );
-
   // 요약본 통계
   const summaryStats = calculateTextStats(summary);
 
   // 압축률 계산
-  const compressionRate = summaryStats.wordCount / inputStats.wordCount;
+  const compressionRate = measureCompression(text, summary);
 
   // 문장 수 확인 (3-5문장 목표)
   const sentenceCount = summaryStats.sentenceCount;
   const sentenceGoalAchieved = sentenceCount >= 3 && sentenceCount <= 5;
 
-  console.log(`✓ Level 3 요약 생성 완료`);
+  console.log(`✓ Level ${level} 요약 생성 완료`);
   console.log(`  - 압축률: ${(compressionRate * 100).toFixed(1)}%`);
   console.log(`  - 문장 수: ${sentenceCount}개`);
 
   return {
-    level: 3,
+    level,
     text: summary,
     metadata: {
       inputWordCount: inputStats.wordCount,
@@ -271,35 +763,140 @@ async function generateLevel3Summary(text) {
       compressionRate,
       sentenceCount,
       sentenceGoalAchieved,
-      targetCompressionRate: '10-20%',
-      achieved: compressionRate >= 0.1 && compressionRate <= 0.2
+      targetCompressionRate: getPromptForLevel(level).targetCompression,
+      achieved: isWithinTarget(level, compressionRate),
+      generator
     }
   };
 }
 
 /**
- * 전체 요약 생성 (Level 1, 2, 3)
- * 원문으로부터 3단계 요약을 순차적으로 생성합니다.
+ * 프롬프트 스타일별 결과 구성 함수
+ */
+const RESULT_BUILDERS = {
+  detail: buildDetailResult,
+  condense: buildCondenseResult,
+  final: buildFinalResult
+};
+
+/**
+ * 레벨 요약 결과 구성
+ *
+ * @param {number} level - 요약 레벨
+ * @param {string} text - 입력 텍스트
+ * @param {string} summary - 요약 텍스트
+ * @param {string} generator - 생성 방식 ('llm' 또는 'extractive')
+ * @returns {object} 요약 결과
+ */
+function buildLevelResult(level, text, summary, generator) {
+  const { style } = getPromptForLevel(level);
+  return RESULT_BUILDERS[style](level, text, summary, generator);
+}
+
+/**
+ * 추출 기반 요약 생성 (LLM 미사용)
+ * priorityCalculator 점수로 문장과 단어를 가지치기하여 요약을 만듭니다.
+ *
+ * @param {number} level - 요약 레벨 (1 이상)
+ * @param {string} text - 입력 텍스트
+ * @returns {object} 요약 결과 (metadata.generator = 'extractive')
+ */
+function generateExtractiveSummary(level, text) {
+  const summary = generateExtractiveLevel(level, text);
+  return buildLevelResult(level, text, summary, 'extractive');
+}
+
+/**
+ * 요청 취소 에러 여부 확인
+ *
+ * @param {Error} error - 에러 객체
+ * @returns {boolean} 취소 여부
+ */
+function isAbortError(error) {
+  return error.name === 'AbortError' || error.constructor?.name === 'APIUserAbortError';
+}
+
+/**
+ * 전체 요약 생성 (레벨 사다리의 모든 요약 레벨)
+ * 원문으로부터 각 레벨을 이전 레벨 텍스트 기반으로 순차적으로 생성합니다.
+ *
+ * LLM을 사용할 수 없거나 레벨 생성에 실패하면 해당 레벨부터 추출 기반 요약으로 대체합니다.
+ *
+ * signal이 취소되면 레벨 사이에서 AbortError로 중단합니다 (추출 요약처럼 시그널을 보지 않는 생성 포함).
+ *
+ * hooks를 전달하면 레벨별 진행 상황을 즉시 통지합니다 (SSE 스트리밍용).
+ * - onLevelStart(level): 레벨 생성 시도 시작 (재시도 시 다시 호출됨)
+ * - onDelta(level, content): 토큰 델타 수신
+ * - onLevelComplete(level, summary): 레벨 생성 완료
+ * - onUsage(level, usage): LLM 호출마다 토큰 사용량 { promptTokens, completionTokens, estimated }
  *
  * @param {string} originalText - 원문 텍스트
- * @returns {Promise<object>} 전체 요약 결과
+ * @param {object} hooks - 진행 상황 콜백 (선택)
+ * @param {AbortSignal} hooks.signal - 요청 취소 시그널 (선택)
+ * @returns {Promise<object>} 전체 요약 결과 { original, level1, ..., levelN, metadata }
  */
-async function generateAllSummaries(originalText) {
+async function generateAllSummaries(originalText, hooks = {}) {
   console.log('='.repeat(60));
   console.log('전체 요약 생성 시작');
   console.log('='.repeat(60));
 
   const startTime = Date.now();
+  const { onLevelStart, onDelta, onLevelComplete, onUsage, signal } = hooks;
+
+  // 레벨별 스트리밍 옵션 생성
+  const streamOptions = (level) => ({
+    onAttempt: onLevelStart ? () => onLevelStart(level) : null,
+    onDelta: onDelta ? (content) => onDelta(level, content) : null,
+    onUsage: onUsage ? (usage) => onUsage(level, usage) : null,
+    signal
+  });
+
+  // 레벨 완료 통지
+  const complete = (summary) => {
+    if (onLevelComplete) {
+      onLevelComplete(summary.level, summary);
+    }
+    return summary;
+  };
+
+  let useLLM = isLLMAvailable();
+  if (!useLLM) {
+    console.warn('⚠ LLM 미설정 - 추출 기반 오프라인 요약을 사용합니다.');
+  }
+
+  // LLM 요약 실패 시 추출 요약으로 대체
+  const generate = async (level, input) => {
+    if (useLLM) {
+      try {
+        return await generateLevelSummary(level, input, streamOptions(level));
+      } catch (error) {
+        if (isAbortError(error)) throw error;
+
+        console.warn(`⚠ Level ${level} LLM 요약 실패 - 추출 기반 요약으로 대체합니다: ${error.message}`);
+        useLLM = false;
+      }
+    }
+
+    // 스트리밍 수신 측이 이전 시도의 델타를 버리도록 다시 시작 통지
+    if (onLevelStart) {
+      onLevelStart(level);
+    }
+    return generateExtractiveSummary(level, input);
+  };
 
   try {
-    // Level 1 요약 생성 (원문 기반)
-    const level1 = await generateLevel1Summary(originalText);
+    const summaries = {};
+    let input = originalText;
 
-    // Level 2 요약 생성 (Level 1 기반)
-    const level2 = await generateLevel2Summary(level1.text, originalText);
+    // 각 레벨은 이전 레벨 텍스트를 기반으로 생성 (Level 1은 원문 기반)
+    for (const level of getSummaryLevels()) {
+      signal?.throwIfAborted();
 
-    // Level 3 요약 생성 (Level 2 기반)
-    const level3 = await generateLevel3Summary(level2.text);
+      const summary = complete(await generate(level, input));
+      summaries[`level${level}`] = summary;
+      input = summary.text;
+    }
+    signal?.throwIfAborted();
 
     const endTime = Date.now();
     const totalTime = ((endTime - startTime) / 1000).toFixed(2);
@@ -313,9 +910,7 @@ async function generateAllSummaries(originalText) {
         text: originalText,
         stats: calculateTextStats(originalText)
       },
-      level1,
-      level2,
-      level3,
+      ...summaries,
       metadata: {
         totalProcessingTime: totalTime,
         timestamp: new Date().toISOString()
@@ -336,6 +931,7 @@ async function generateAllSummaries(originalText) {
  */
 function evaluateSummaryQuality(summary) {
   const { level, metadata } = summary;
+  const { style, targetCompression } = getPromptForLevel(level);
 
   const quality = {
     level,
@@ -345,35 +941,23 @@ function evaluateSummaryQuality(summary) {
   };
 
   // 압축률 평가
-  if (level === 1) {
-    const target = metadata.compressionRate >= 0.7 && metadata.compressionRate <= 0.8;
-    quality.compressionRateScore = target ? 100 : 50;
-    if (!target) {
-      quality.issues.push(`압축률이 목표 범위(70-80%)를 벗어났습니다: ${(metadata.compressionRate * 100).toFixed(1)}%`);
-    }
+  const target = isWithinTarget(level, metadata.compressionRate);
+  quality.compressionRateScore = target ? 100 : 50;
+  if (!target) {
+    quality.issues.push(`압축률이 목표 범위(${targetCompression})를 벗어났습니다: ${(metadata.compressionRate * 100).toFixed(1)}%`);
+  }
 
+  if (style === 'detail') {
     // 키워드 보존률 평가
     if (metadata.keywordPreservationRate < 0.9) {
       quality.issues.push(`키워드 보존률이 목표(90%) 미달입니다: ${(metadata.keywordPreservationRate * 100).toFixed(1)}%`);
     }
-  } else if (level === 2) {
-    const target = metadata.compressionRate >= 0.4 && metadata.compressionRate <= 0.5;
-    quality.compressionRateScore = target ? 100 : 50;
-    if (!target) {
-      quality.issues.push(`압축률이 목표 범위(40-50%)를 벗어났습니다: ${(metadata.compressionRate * 100).toFixed(1)}%`);
-    }
-
+  } else if (style === 'condense') {
     // 의미 유사도 평가
     if (metadata.semanticSimilarity < 0.75) {
       quality.issues.push(`의미 유사도가 목표(75%) 미달입니다: ${(metadata.semanticSimilarity * 100).toFixed(1)}%`);
     }
-  } else if (level === 3) {
-    const target = metadata.compressionRate >= 0.1 && metadata.compressionRate <= 0.2;
-    quality.compressionRateScore = target ? 100 : 50;
-    if (!target) {
-      quality.issues.push(`압축률이 목표 범위(10-20%)를 벗어났습니다: ${(metadata.compressionRate * 100).toFixed(1)}%`);
-    }
-
+  } else if (style === 'final') {
     // 문장 수 평가
     if (!metadata.sentenceGoalAchieved) {
       quality.issues.push(`문장 수가 목표(3-5문장)를 벗어났습니다: ${metadata.sentenceCount}문장`);
@@ -387,11 +971,14 @@ function evaluateSummaryQuality(summary) {
 }
 
 module.exports = {
-  callAzureOpenAI,
+  callLLM,
+  callAzureOpenAI: callLLM, // 하위 호환
   formatLevel0Text,
+  generateLevelSummary,
   generateLevel1Summary,
   generateLevel2Summary,
   generateLevel3Summary,
+  generateExtractiveSummary,
   generateAllSummaries,
   evaluateSummaryQuality
 };
@@ -16,7 +16,9 @@ const KOREAN_STOPWORDS = [
   '은', '는', '이', '가', '을', '를', '에', '의', '와', '과',
   '도', '로', '으로', '만', '에서', '께서', '부터', '까지',
   '한', '그', '저', '이런', '그런', '저런', '것', '수', '등',
-  '및', '또는', '그리고', '하지만', '그러나', '그래서'
+  '및', '또는', '그리고', '하지만', '그러나', '그래서',
+  // 형태소 분석 후 남는 보조 용언/기능 용언 어간
+  '있', '없', '하', '되', '않', '같'
 ];
 
 const ENGLISH_STOPWORDS = [
@@ -93,27 +95,28 @@ function calculateTFIDF(word, documentWords, allDocuments) {
 
 /**
  * 텍스트를 문서로 분할
- * 문단 단위로 문서를 나눕니다.
+ * 문단 단위로 문서를 나누고, 단어는 어간(조사/어미 제거)으로 정규화합니다.
  *
  * @param {string} text - 입력 텍스트
- * @returns {Array<Array<string>>} 문서별 단어 배열
+ * @returns {Array<Array<string>>} 문서별 어간 배열
  */
 function splitIntoDocuments(text) {
   const { parseParagraphs, tokenizeWords } = require('../utils/textProcessor');
 
   const paragraphs = parseParagraphs(text);
-  return paragraphs.map(p => tokenizeWords(p, { lowercase: true }));
+  return paragraphs.map(p => tokenizeWords(p, { stem: true }));
 }
 
 /**
  * 전체 텍스트의 TF-IDF 계산
- * 텍스트의 모든 고유 단어에 대해 TF-IDF를 계산합니다.
+ * 텍스트의 모든 고유 어간에 대해 TF-IDF를 계산합니다.
+ * 한국어는 조사/어미를 제거한 어간 단위로 집계하므로 "시스템은"과 "시스템이"가 같은 단어로 계산됩니다.
  *
  * @param {string} text - 입력 텍스트
  * @param {object} options - 옵션
  * @param {boolean} options.removeStopwords - 불용어 제거 여부 (기본값: true)
- * @param {number} options.minWordLength - 최소 단어 길이 (기본값: 2)
- * @returns {Map<string, object>} 단어별 TF-IDF 정보
+ * @param {number} options.minWordLength - 최소 단어 길이 (기본값: 2, 한 음절 한국어 명사는 예외)
+ * @returns {Map<string, object>} 단어(어간)별 TF-IDF 정보
  */
 function computeTFIDFForText(text, options = {}) {
   const { removeStopwords = true, minWordLength = 2 } = options;
@@ -122,25 +125,36 @@ function computeTFIDFForText(text, options = {}) {
   // 문서 분할 (문단 단위)
   const documents = splitIntoDocuments(text);
 
-  // 전체 단어 추출
-  const allWords = tokenizeWords(text, { lowercase: true });
+  // 전체 단어(어간) 추출
+  const allWords = tokenizeWords(text, { stem: true });
+
+  // 단어 빈도와 단어별 포함 문서 수 (한 번씩만 집계)
+  const frequencies = new Map();
+  allWords.forEach(word => frequencies.set(word, (frequencies.get(word) || 0) + 1));
+
+  const documentFrequencies = new Map();
+  documents.forEach(doc => {
+    new Set(doc).forEach(word => documentFrequencies.set(word, (documentFrequencies.get(word) || 0) + 1));
+  });
 
   // 고유 단어 추출
-  let uniqueWords = [...new Set(allWords)];
+  let uniqueWords = [...frequencies.keys()];
 
   // 필터링
   if (removeStopwords) {
     uniqueWords = uniqueWords.filter(word => !isStopword(word));
   }
 
-  uniqueWords = uniqueWords.filter(word => word.length >= minWordLength);
+  uniqueWords = uniqueWords.filter(word => word.length >= minWordLength || /[가-힣]/.test(word));
 
   // TF-IDF 계산
   const tfidfMap = new Map();
 
   uniqueWords.forEach(word => {
-    const tf = calculateTF(word, allWords);
-    const idf = calculateIDF(word, documents);
+    const frequency = frequencies.get(word);
+    const tf = frequency / allWords.length;
+    const documentsWithWord = documentFrequencies.get(word) || 0;
+    const idf = documentsWithWord > 0 ? Math.log(documents.length / documentsWithWord) : 0;
     const tfidf = tf * idf;
 
     tfidfMap.set(word, {
@@ -148,7 +162,7 @@ function computeTFIDFForText(text, options = {}) {
       tf,
       idf,
       tfidf,
-      frequency: allWords.filter(w => w === word).length
+      frequency
     });
   });
 
@@ -302,13 +316,16 @@ function analyzeKeywords(text, options = {}) {
 
 /**
  * 단어가 키워드인지 확인
+ * 키워드는 어간이므로 단어도 어간으로 비교합니다 ("시스템은" → "시스템").
  *
  * @param {string} word - 검사할 단어
  * @param {Array<object>} keywords - 키워드 배열
  * @returns {boolean} 키워드 여부
  */
 function isKeyword(word, keywords) {
-  return keywords.some(kw => kw.word.toLowerCase() === word.toLowerCase());
+  const { getStem } = require('../utils/koreanAnalyzer');
+  const stem = getStem(word);
+  return keywords.some(kw => kw.word.toLowerCase() === stem);
 }
 
 module.exports = {
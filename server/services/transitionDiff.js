@@ -0,0 +1,116 @@
+/**
+ * 레벨 쌍 전환 차이 서비스
+ *
+ * 문서의 레벨 쌍마다 단어 차이(analyzeDifference)를 미리 계산해 캐시에 저장합니다.
+ * 클라이언트는 전체 텍스트를 업로드하지 않고 GET /api/documents/:id/diff로 바로 받아
+ * 레벨 전환 애니메이션을 시작할 수 있습니다.
+ *
+ * 캐시 항목(diff 네임스페이스)은 문서 해시(원문 텍스트 해시)와 레벨 쌍(낮은 레벨-높은 레벨)으로 구분합니다.
+ * 반대 방향(높은 레벨 → 낮은 레벨) 차이는 저장된 차이를 뒤집어 만듭니다.
+ * 레벨 텍스트가 다시 생성되면 저장된 텍스트 해시가 달라지므로 새로 계산합니다.
+ */
+
+const { generateTextHash, getEntry, setEntry } = require('../utils/cache');
+const { analyzeDifference } = require('./wordMatcher');
+
+/**
+ * 레벨 쌍 캐시 항목 키 생성 (낮은 레벨이 앞)
+ *
+ * @param {number} lowerLevel - 낮은 레벨 (더 상세한 레벨)
+ * @param {number} upperLevel - 높은 레벨 (더 요약된 레벨)
+ * @returns {string} diff 네임스페이스 안의 키
+ */
+function getPairKey(lowerLevel, upperLevel) {
+  return `${lowerLevel}-${upperLevel}`;
+}
+
+/**
+ * 차이 방향 뒤집기
+ * 낮은 레벨 → 높은 레벨 차이를 높은 레벨 → 낮은 레벨 차이로 변환합니다.
+ *
+ * @param {object} diff - TransitionDiff 객체
+ * @returns {object} 반대 방향 TransitionDiff 객체
+ */
+function reverseDiff(diff) {
+  return {
+    kept: diff.kept.map(({ word, fromIndex, toIndex }) => ({ word, fromIndex: toIndex, toIndex: fromIndex })),
+    removed: diff.added.map(({ word, toIndex }) => ({ word, fromIndex: toIndex })),
+    added: diff.removed.map(({ word, fromIndex }) => ({ word, toIndex: fromIndex })),
+    morphed: diff.morphed.map(m => ({
+      fromWord: m.toWord,
+      toWord: m.fromWord,
+      fromIndex: m.toIndex,
+      toIndex: m.fromIndex,
+      similarity: m.similarity
+    }))
+  };
+}
+
+/**
+ * 레벨 쌍 차이 조회 (없으면 계산 후 캐시)
+ *
+ * @param {string} originalText - 문서 원문 (Level 0, 캐시 키용)
+ * @param {object} from - 시작 레벨 { level, text }
+ * @param {object} to - 목표 레벨 { level, text }
+ * @returns {object} { diff, cached } - diff는 from → to 방향 TransitionDiff
+ */
+function getLevelPairDiff(originalText, from, to) {
+  const [lower, upper] = from.level < to.level ? [from, to] : [to, from];
+  const pairKey = getPairKey(lower.level, upper.level);
+  const lowerHash = generateTextHash(lower.text);
+  const upperHash = generateTextHash(upper.text);
+
+  let entry = getEntry('diff', originalText, pairKey);
+  const cached = !!entry && entry.lowerHash === lowerHash && entry.upperHash === upperHash;
+
+  if (!cached) {
+    entry = {
+      lowerHash,
+      upperHash,
+      diff: analyzeDifference(lower.text, upper.text)
+    };
+    setEntry('diff', originalText, pairKey, entry);
+  }
+
+  return {
+    diff: from.level < to.level ? entry.diff : reverseDiff(entry.diff),
+    cached
+  };
+}
+
+/**
+ * 문서의 모든 레벨 쌍 차이 미리 계산
+ * 인접하지 않은 쌍(예: 0 ↔ 3)을 포함해 모든 쌍을 계산합니다.
+ * 한 쌍을 계산할 때마다 이벤트 루프에 양보하여 다른 요청을 막지 않습니다.
+ *
+ * @param {Array<object>} levels - 레벨 [{ level, text }, ...] (Level 0 필수)
+ * @returns {Promise<number>} 새로 계산한 레벨 쌍 수
+ */
+async function precomputeTransitionDiffs(levels) {
+  const original = levels.find(l => l.level === 0);
+  if (!original) {
+    throw new Error('원문(Level 0)이 필요합니다.');
+  }
+
+  const sorted = [...levels].sort((a, b) => a.level - b.level);
+  const startTime = Date.now();
+  let computed = 0;
+
+  for (let i = 0; i < sorted.length; i++) {
+    for (let j = i + 1; j < sorted.length; j++) {
+      const { cached } = getLevelPairDiff(original.text, sorted[i], sorted[j]);
+      if (!cached) computed++;
+
+      await new Promise(resolve => setImmediate(resolve));
+    }
+  }
+
+  console.log(`✓ 레벨 쌍 차이 미리 계산 완료: ${computed}개 계산 (${Date.now() - startTime}ms)`);
+  return computed;
+}
+
+module.exports = {
+  reverseDiff,
+  getLevelPairDiff,
+  precomputeTransitionDiffs
+};
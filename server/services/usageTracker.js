@@ -0,0 +1,568 @@
+/**
+ * LLM 사용량 집계 및 요청 한도
+ *
+ * 요약 생성 요청과 LLM 토큰 사용량을 클라이언트(API 키 또는 IP)별, 문서별로 하루 단위(UTC)로 집계하고,
+ * 설정된 한도를 넘은 클라이언트의 요약 요청을 429로 거절합니다.
+ * 한도는 요청 시작 시 확인하므로, 이미 시작된 요약 생성은 도중에 한도를 넘어도 끝까지 실행됩니다.
+ *
+ * 집계는 USAGE_DIR(기본값: data/usage)에 날짜별 JSON 파일(YYYY-MM-DD.json)로 기록되어
+ * 서버를 재시작해도 그날의 한도가 유지됩니다.
+ *
+ * 클라이언트 식별:
+ * - API_KEYS에 등록된 키를 X-API-Key 헤더 또는 Authorization: Bearer 토큰으로 보내면 → key:{SHA256 앞 12자리}
+ *   (원래 키는 저장하지 않음)
+ * - 키가 없거나 등록되지 않은 키면 요청 IP → ip:{주소} (Nginx 뒤에서는 X-Forwarded-For 기준, TRUST_PROXY 참고)
+ *   임의의 키를 바꿔 보내도 새 한도를 얻을 수 없습니다.
+ *
+ * 분당 요청 기록은 1분 넘게 요청이 없는 클라이언트부터 정리하고, 하루 집계는 USAGE_MAX_CLIENTS개를 넘으면
+ * 쉬고 있는 클라이언트 중 사용량이 가장 적은 것부터 ip:other 항목으로 합칩니다.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * 사용량 저장 경로 (환경 변수로 변경 가능)
+ */
+const USAGE_DIR = process.env.USAGE_DIR
+  ? path.resolve(process.env.USAGE_DIR)
+  : path.join(__dirname, '../..', 'data/usage');
+
+/**
+ * 집계 기록 지연 시간 (ms) - 짧은 시간에 몰린 변경을 한 번에 기록
+ */
+const SAVE_DELAY = 5000;
+
+/**
+ * 통계에 표시할 최대 클라이언트/문서 수
+ */
+const STATS_TOP_N = 20;
+
+/**
+ * 숫자 환경 변수 읽기
+ *
+ * @param {string} name - 환경 변수 이름
+ * @param {number} defaultValue - 기본값
+ * @returns {number} 설정값 (0 이상)
+ */
+function readNumberEnv(name, defaultValue) {
+  const value = parseInt(process.env[name]);
+  return Number.isFinite(value) && value >= 0 ? value : defaultValue;
+}
+
+/**
+ * 키의 해시 (클라이언트 ID와 키 목록 비교용)
+ *
+ * @param {string} key - API 키
+ * @returns {string} SHA256 앞 12자리
+ */
+function hashKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex').substring(0, 12);
+}
+
+/**
+ * 키별 한도를 적용할 API 키 해시 (API_KEYS, 쉼표로 구분)
+ */
+const API_KEY_HASHES = new Set(
+  (process.env.API_KEYS || '').split(',').map(key => key.trim()).filter(Boolean).map(hashKey)
+);
+
+/**
+ * 하루 집계를 유지할 최대 클라이언트 수 (USAGE_MAX_CLIENTS)
+ */
+const MAX_TRACKED_CLIENTS = readNumberEnv('USAGE_MAX_CLIENTS', 10000) || 10000;
+
+/**
+ * 하루 집계에서 밀려난 클라이언트를 합치는 항목
+ */
+const EVICTED_CLIENT_ID = 'ip:other';
+
+/**
+ * 요청 한도 (0이면 제한 없음)
+ */
+const USAGE_LIMITS = {
+  requestsPerMinute: readNumberEnv('RATE_LIMIT_PER_MINUTE', 30),       // 클라이언트별 분당 요약 요청 수
+  dailyRequests: readNumberEnv('RATE_LIMIT_DAILY_REQUESTS', 500),      // 클라이언트별 하루 요약 요청 수
+  dailyTokens: readNumberEnv('RATE_LIMIT_DAILY_TOKENS', 1000000),      // 클라이언트별 하루 LLM 토큰 (입력 + 출력)
+  globalDailyTokens: readNumberEnv('LLM_DAILY_TOKEN_BUDGET', 0)        // 전체 하루 LLM 토큰 예산
+};
+
+/**
+ * 사용량 집계 상태
+ */
+const UsageState = {
+  day: null,
+  totals: null,
+  clients: new Map(),         // clientId → 집계
+  documents: new Map(),       // documentId → 집계
+  recentRequests: new Map(),  // clientId → 최근 1분간 요청 시각 (기록하지 않음)
+  lastPrune: 0,
+  saveTimer: null,
+  saving: Promise.resolve()
+};
+
+/**
+ * 오늘 날짜 (UTC)
+ *
+ * @returns {string} YYYY-MM-DD
+ */
+function getToday() {
+  return new Date().toISOString().substring(0, 10);
+}
+
+/**
+ * 다음 UTC 자정까지 남은 시간
+ *
+ * @returns {number} 초
+ */
+function secondsUntilTomorrow() {
+  const now = new Date();
+  const tomorrow = Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1);
+  return Math.ceil((tomorrow - now.getTime()) / 1000);
+}
+
+/**
+ * 빈 집계 생성
+ *
+ * @returns {object} { requests, rejected, llmCalls, promptTokens, completionTokens, estimatedCalls }
+ */
+function createCounters() {
+  return {
+    requests: 0,
+    rejected: 0,
+    llmCalls: 0,
+    promptTokens: 0,
+    completionTokens: 0,
+    estimatedCalls: 0
+  };
+}
+
+/**
+ * 집계의 전체 토큰 수
+ *
+ * @param {object} counters - 집계
+ * @returns {number} 입력 + 출력 토큰
+ */
+function totalTokens(counters) {
+  return counters.promptTokens + counters.completionTokens;
+}
+
+/**
+ * 날짜별 사용량 파일 경로
+ *
+ * @param {string} day - YYYY-MM-DD
+ * @returns {string} 파일 경로
+ */
+function getUsagePath(day) {
+  return path.join(USAGE_DIR, `${day}.json`);
+}
+
+/**
+ * 집계 초기화 (날짜 변경 시)
+ *
+ * @param {string} day - YYYY-MM-DD
+ * @param {object} saved - 저장된 집계 (선택)
+ */
+function resetUsage(day, saved = null) {
+  UsageState.day = day;
+  UsageState.totals = { ...createCounters(), ...(saved?.totals || {}) };
+  UsageState.clients = new Map(Object.entries(saved?.clients || {}));
+  UsageState.documents = new Map(Object.entries(saved?.documents || {}));
+}
+
+/**
+ * 날짜가 바뀌었으면 집계를 새로 시작
+ * 이전 날짜의 집계는 파일에 남습니다.
+ */
+function rolloverIfNeeded() {
+  const today = getToday();
+  if (UsageState.day === today) {
+    return;
+  }
+
+  if (UsageState.day) {
+    saveUsage();
+    console.log(`✓ 사용량 집계 마감 (${UsageState.day}): 요청 ${UsageState.totals.requests}회, ` +
+      `토큰 ${totalTokens(UsageState.totals)}개`);
+  }
+  resetUsage(today);
+}
+
+/**
+ * 집계 즉시 기록 (임시 파일에 쓴 뒤 이름 변경)
+ *
+ * @returns {Promise<void>}
+ */
+function saveUsage() {
+  if (UsageState.saveTimer) {
+    clearTimeout(UsageState.saveTimer);
+    UsageState.saveTimer = null;
+  }
+
+  const filePath = getUsagePath(UsageState.day);
+  const snapshot = JSON.stringify({
+    day: UsageState.day,
+    totals: UsageState.totals,
+    clients: Object.fromEntries(UsageState.clients),
+    documents: Object.fromEntries(UsageState.documents)
+  }, null, 2);
+
+  UsageState.saving = UsageState.saving
+    .then(async () => {
+      await fs.mkdir(USAGE_DIR, { recursive: true });
+      await fs.writeFile(`${filePath}.tmp`, snapshot, 'utf-8');
+      await fs.rename(`${filePath}.tmp`, filePath);
+    })
+    .catch(error => {
+      console.error('✗ 사용량 기록 실패:', error.message);
+    });
+
+  return UsageState.saving;
+}
+
+/**
+ * 집계 기록 예약 (SAVE_DELAY 후 한 번)
+ */
+function scheduleSave() {
+  if (UsageState.saveTimer) {
+    return;
+  }
+
+  UsageState.saveTimer = setTimeout(saveUsage, SAVE_DELAY);
+  UsageState.saveTimer.unref();
+}
+
+/**
+ * 집계 항목 조회 (없으면 생성)
+ *
+ * @param {Map} map - clients 또는 documents
+ * @param {string} id - 클라이언트/문서 ID
+ * @returns {object} 집계
+ */
+function getCounters(map, id) {
+  if (!map.has(id)) {
+    map.set(id, createCounters());
+  }
+  return map.get(id);
+}
+
+/**
+ * 요청 클라이언트 식별
+ * API_KEYS에 등록된 키만 키별로 집계하고, 나머지는 IP로 집계합니다.
+ *
+ * @param {object} req - Express 요청 객체
+ * @returns {string} 클라이언트 ID (key:... 또는 ip:...)
+ */
+function getClientId(req) {
+  const authorization = req.get('Authorization') || '';
+  const apiKey = req.get('X-API-Key') || (/^Bearer\s+/i.test(authorization) ? authorization.replace(/^Bearer\s+/i, '') : '');
+
+  if (apiKey) {
+    const keyHash = hashKey(apiKey);
+    if (API_KEY_HASHES.has(keyHash)) {
+      return `key:${keyHash}`;
+    }
+  }
+  return `ip:${req.ip}`;
+}
+
+/**
+ * 최근 1분간 요청 시각 (오래된 기록 정리)
+ *
+ * @param {string} clientId - 클라이언트 ID
+ * @param {number} now - 현재 시각 (ms)
+ * @returns {Array<number>} 요청 시각 배열
+ */
+function getRecentRequests(clientId, now) {
+  const recent = (UsageState.recentRequests.get(clientId) || []).filter(time => time > now - 60000);
+  if (recent.length > 0) {
+    UsageState.recentRequests.set(clientId, recent);
+  } else {
+    UsageState.recentRequests.delete(clientId);
+  }
+  return recent;
+}
+
+/**
+ * 쉬고 있는 클라이언트 정리 (1분에 한 번)
+ * 1분간 요청이 없는 클라이언트의 분당 기록을 지우고, 하루 집계가 MAX_TRACKED_CLIENTS개를 넘으면
+ * 쉬고 있는 클라이언트 중 사용량이 적은 것부터 EVICTED_CLIENT_ID 항목으로 합칩니다.
+ *
+ * @param {number} now - 현재 시각 (ms)
+ */
+function pruneIdleClients(now) {
+  if (now - UsageState.lastPrune < 60000) {
+    return;
+  }
+  UsageState.lastPrune = now;
+
+  [...UsageState.recentRequests.keys()].forEach(clientId => getRecentRequests(clientId, now));
+
+  const excess = UsageState.clients.size - MAX_TRACKED_CLIENTS;
+  if (excess <= 0) {
+    return;
+  }
+
+  const evicted = [...UsageState.clients.entries()]
+    .filter(([clientId]) => clientId !== EVICTED_CLIENT_ID && !UsageState.recentRequests.has(clientId))
+    .sort((a, b) => (totalTokens(a[1]) - totalTokens(b[1])) || (a[1].requests - b[1].requests))
+    .slice(0, excess + 1);
+
+  const other = getCounters(UsageState.clients, EVICTED_CLIENT_ID);
+  evicted.forEach(([clientId, counters]) => {
+    Object.keys(other).forEach(field => {
+      other[field] += counters[field] || 0;
+    });
+    UsageState.clients.delete(clientId);
+  });
+
+  console.log(`✓ 쉬고 있는 클라이언트 집계 ${evicted.length}개를 ${EVICTED_CLIENT_ID}로 합침`);
+  scheduleSave();
+}
+
+/**
+ * 요청 한도 확인
+ *
+ * @param {string} clientId - 클라이언트 ID
+ * @returns {object} { allowed, reason, message, retryAfter(초), remaining }
+ */
+function checkQuota(clientId) {
+  rolloverIfNeeded();
+
+  const now = Date.now();
+  pruneIdleClients(now);
+
+  const client = UsageState.clients.get(clientId) || createCounters();
+  const recent = getRecentRequests(clientId, now);
+  const {
+    requestsPerMinute,
+    dailyRequests,
+    dailyTokens,
+    globalDailyTokens
+  } = USAGE_LIMITS;
+
+  if (requestsPerMinute && recent.length >= requestsPerMinute) {
+    return {
+      allowed: false,
+      reason: 'rate',
+      message: `요청이 너무 많습니다. 분당 ${requestsPerMinute}회까지 요청할 수 있습니다.`,
+      retryAfter: Math.max(1, Math.ceil((recent[0] + 60000 - now) / 1000))
+    };
+  }
+
+  if (dailyRequests && client.requests >= dailyRequests) {
+    return {
+      allowed: false,
+      reason: 'daily-requests',
+      message: `오늘의 요약 요청 한도(${dailyRequests}회)를 모두 사용했습니다.`,
+      retryAfter: secondsUntilTomorrow()
+    };
+  }
+
+  if (dailyTokens && totalTokens(client) >= dailyTokens) {
+    return {
+      allowed: false,
+      reason: 'daily-tokens',
+      message: `오늘의 LLM 토큰 한도(${dailyTokens}개)를 모두 사용했습니다.`,
+      retryAfter: secondsUntilTomorrow()
+    };
+  }
+
+  if (globalDailyTokens && totalTokens(UsageState.totals) >= globalDailyTokens) {
+    return {
+      allowed: false,
+      reason: 'budget',
+      message: '오늘의 LLM 사용 예산을 모두 사용했습니다. 내일 다시 시도해주세요.',
+      retryAfter: secondsUntilTomorrow()
+    };
+  }
+
+  return {
+    allowed: true,
+    remaining: dailyRequests ? dailyRequests - client.requests : null
+  };
+}
+
+/**
+ * 요청 기록
+ *
+ * @param {string} clientId - 클라이언트 ID
+ */
+function recordRequest(clientId) {
+  rolloverIfNeeded();
+
+  const now = Date.now();
+  UsageState.recentRequests.set(clientId, [...getRecentRequests(clientId, now), now]);
+  getCounters(UsageState.clients, clientId).requests++;
+  UsageState.totals.requests++;
+  scheduleSave();
+}
+
+/**
+ * 거절된 요청 기록
+ *
+ * @param {string} clientId - 클라이언트 ID
+ */
+function recordRejection(clientId) {
+  rolloverIfNeeded();
+
+  getCounters(UsageState.clients, clientId).rejected++;
+  UsageState.totals.rejected++;
+  scheduleSave();
+}
+
+/**
+ * LLM 토큰 사용량 기록
+ *
+ * @param {object} owner - { clientId, documentId }
+ * @param {object} usage - { promptTokens, completionTokens, estimated }
+ */
+function recordUsage({ clientId, documentId }, usage) {
+  rolloverIfNeeded();
+
+  const targets = [UsageState.totals, getCounters(UsageState.clients, clientId || 'unknown')];
+  if (documentId) {
+    targets.push(getCounters(UsageState.documents, documentId));
+  }
+
+  targets.forEach(counters => {
+    counters.llmCalls++;
+    counters.promptTokens += usage.promptTokens || 0;
+    counters.completionTokens += usage.completionTokens || 0;
+    if (usage.estimated) {
+      counters.estimatedCalls++;
+    }
+  });
+
+  scheduleSave();
+}
+
+/**
+ * generateAllSummaries()의 onUsage 훅 생성
+ *
+ * @param {string} clientId - 클라이언트 ID
+ * @param {string} documentId - 문서 ID (문서가 없는 요청은 텍스트 해시 기반 ID)
+ * @returns {Function} (level, usage) => void
+ */
+function createUsageRecorder(clientId, documentId) {
+  return (level, usage) => recordUsage({ clientId, documentId }, usage);
+}
+
+/**
+ * 요청 한도 미들웨어 (요약 생성 엔드포인트용)
+ * 한도를 넘으면 429와 Retry-After 헤더로 응답하고, 통과하면 req.clientId를 설정합니다.
+ *
+ * @param {object} req - Express 요청 객체
+ * @param {object} res - Express 응답 객체
+ * @param {Function} next - 다음 미들웨어
+ */
+function rateLimit(req, res, next) {
+  const clientId = getClientId(req);
+  const quota = checkQuota(clientId);
+
+  if (!quota.allowed) {
+    recordRejection(clientId);
+    console.warn(`⚠ 요청 한도 초과: ${clientId} (${quota.reason})`);
+
+    res.set('Retry-After', String(quota.retryAfter));
+    return res.status(429).json({
+      success: false,
+      error: quota.message,
+      reason: quota.reason,
+      retryAfter: quota.retryAfter
+    });
+  }
+
+  recordRequest(clientId);
+  if (quota.remaining !== null) {
+    res.set('X-RateLimit-Remaining', String(quota.remaining - 1));
+  }
+
+  req.clientId = clientId;
+  next();
+}
+
+/**
+ * 집계 목록을 토큰 사용량 순으로 정렬
+ *
+ * @param {Map} map - clients 또는 documents
+ * @param {string} idField - 결과의 ID 필드 이름
+ * @returns {Array<object>} 상위 STATS_TOP_N개
+ */
+function toRanking(map, idField) {
+  return [...map.entries()]
+    .map(([id, counters]) => ({ [idField]: id, ...counters, totalTokens: totalTokens(counters) }))
+    .sort((a, b) => (b.totalTokens - a.totalTokens) || (b.requests - a.requests))
+    .slice(0, STATS_TOP_N);
+}
+
+/**
+ * 사용량 통계 조회
+ *
+ * @returns {object} { day, limits, totals, clientCount, documentCount, clients, documents }
+ */
+function getUsageStats() {
+  rolloverIfNeeded();
+
+  return {
+    day: UsageState.day,
+    limits: { ...USAGE_LIMITS },
+    totals: { ...UsageState.totals, totalTokens: totalTokens(UsageState.totals) },
+    clientCount: UsageState.clients.size,
+    documentCount: UsageState.documents.size,
+    clients: toRanking(UsageState.clients, 'clientId'),
+    documents: toRanking(UsageState.documents, 'documentId')
+  };
+}
+
+/**
+ * 사용량 집계 초기화 (서버 시작 시 한 번 호출)
+ * 오늘 날짜의 집계 파일이 있으면 불러옵니다.
+ *
+ * @returns {Promise<void>}
+ */
+async function initUsageTracker() {
+  const today = getToday();
+  let saved = null;
+
+  try {
+    saved = JSON.parse(await fs.readFile(getUsagePath(today), 'utf-8'));
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.warn(`⚠ 사용량 파일을 읽을 수 없습니다: ${error.message}`);
+    }
+  }
+
+  resetUsage(today, saved);
+
+  const format = (value) => value || '제한 없음';
+  console.log(`✓ 사용량 집계 준비 완료 (${today}, 요청 ${UsageState.totals.requests}회, 토큰 ${totalTokens(UsageState.totals)}개)`);
+  console.log(`  - 클라이언트 한도: 분당 ${format(USAGE_LIMITS.requestsPerMinute)}회, ` +
+    `하루 ${format(USAGE_LIMITS.dailyRequests)}회 / 토큰 ${format(USAGE_LIMITS.dailyTokens)}개`);
+  console.log(`  - 전체 토큰 예산: ${format(USAGE_LIMITS.globalDailyTokens)}`);
+  console.log(`  - 키별 한도 적용 키: ${API_KEY_HASHES.size}개 (API_KEYS, 그 외는 IP별)`);
+}
+
+/**
+ * 사용량 집계 종료 (서버 종료 시 호출, 남은 집계 기록)
+ *
+ * @returns {Promise<void>}
+ */
+async function closeUsageTracker() {
+  if (UsageState.day) {
+    await saveUsage();
+  }
+}
+
+module.exports = {
+  USAGE_LIMITS,
+  initUsageTracker,
+  closeUsageTracker,
+  getClientId,
+  checkQuota,
+  rateLimit,
+  recordUsage,
+  createUsageRecorder,
+  getUsageStats
+};
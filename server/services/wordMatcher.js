@@ -9,6 +9,12 @@
 
 const natural = require('natural');
 const { tokenizeWords } = require('../utils/textProcessor');
+const { getStem } = require('../utils/koreanAnalyzer');
+
+/**
+ * 어간이 같은 활용형의 의미적 유사도 (조사/어미만 다른 경우: 시스템은 ↔ 시스템이)
+ */
+const STEM_MATCH_SIMILARITY = 0.9;
 
 /**
  * 레벤슈타인 거리 계산
@@ -44,6 +50,7 @@ function calculateLevenshteinSimilarity(word1, word2) {
  * 의미적 유사도 계산 (간단한 휴리스틱)
  * 실제로는 Word2Vec나 임베딩을 사용해야 하지만,
  * 여기서는 간단한 방법을 사용합니다.
+ * 조사/어미를 제거한 어간이 같으면 STEM_MATCH_SIMILARITY로 봅니다.
  *
  * @param {string} word1 - 첫 번째 단어
  * @param {string} word2 - 두 번째 단어
@@ -56,6 +63,10 @@ function calculateSemanticSimilarity(word1, word2) {
   // 완전 일치
   if (w1 === w2) return 1.0;
 
+  // 어간 일치 (한국어 활용형)
+  const stem1 = getStem(w1);
+  if (stem1 && stem1 === getStem(w2)) return STEM_MATCH_SIMILARITY;
+
   // 한쪽이 다른 쪽을 포함하는 경우
   if (w1.includes(w2) || w2.includes(w1)) {
     const shorter = Math.min(w1.length, w2.length);
@@ -125,9 +136,170 @@ function findExactMatches(sourceWords, targetWords) {
   return matches;
 }
 
+/**
+ * 의미적 유사도가 0일 때 통합 유사도의 최댓값 (0.4 × L_sim)
+ * 임계값이 이보다 크면 의미적 유사도가 0보다 큰 단어만 매칭될 수 있습니다.
+ */
+const MAX_SIMILARITY_WITHOUT_SEMANTIC = 0.4;
+
+/**
+ * 색인 목록에 값 추가
+ *
+ * @param {Map<string, Array<string>>} index - 색인
+ * @param {string} key - 키
+ * @param {string} value - 값
+ */
+function addToIndex(index, key, value) {
+  if (!index.has(key)) {
+    index.set(key, []);
+  }
+  index.get(key).push(value);
+}
+
+/**
+ * 단어의 문자 n-gram 목록 (한 글자 단어는 글자 자체, 그 외는 바이그램)
+ *
+ * @param {string} word - 소문자 단어
+ * @returns {Array<string>} n-gram 배열
+ */
+function extractGrams(word) {
+  if (word.length <= 1) return [word];
+
+  const grams = [];
+  for (let i = 0; i < word.length - 1; i++) {
+    grams.push(word.substring(i, i + 2));
+  }
+  return grams;
+}
+
+/**
+ * 유사 단어 색인 생성
+ * 대상 단어를 소문자 기준의 3글자 접두사, 문자 n-gram(바이그램과 개별 글자), 완전 일치로 색인합니다.
+ * 개별 글자도 색인해야 한 글자 원본 단어가 그 글자를 포함한 긴 대상 단어를 찾을 수 있습니다.
+ *
+ * 의미적 유사도(S_sim)는 어간이 같거나, 한쪽이 다른 쪽을 포함하거나, 공통 접두사가 3글자 이상일 때만
+ * 0보다 크고, S_sim이 0이면 통합 유사도는 0.4를 넘지 못합니다. 따라서 임계값이 0.4보다 크면
+ * 어간 색인을 더한 네 가지 색인으로 찾은 후보만 비교해도 전수 비교와 같은 결과를 얻습니다.
+ *
+ * @param {Array<string>} targetWords - 대상 단어 배열 (중복 허용)
+ * @returns {object} 색인 { size, findCandidates(word, threshold), findBest(word, threshold) }
+ */
+function createSimilarWordIndex(targetWords) {
+  const positionsByWord = new Map();  // 단어 → 대상 배열 내 위치 목록 (첫 출현 순)
+  targetWords.forEach((word, position) => {
+    if (!positionsByWord.has(word)) {
+      positionsByWord.set(word, []);
+    }
+    positionsByWord.get(word).push(position);
+  });
+
+  const words = [...positionsByWord.keys()];
+  const byLower = new Map();
+  const byPrefix = new Map();
+  const byGram = new Map();
+  const byStem = new Map();
+
+  words.forEach(word => {
+    const lower = word.toLowerCase();
+    const stem = getStem(lower);
+    addToIndex(byLower, lower, word);
+    if (stem) {
+      addToIndex(byStem, stem, word);
+    }
+    if (lower.length >= 3) {
+      addToIndex(byPrefix, lower.substring(0, 3), word);
+    }
+    new Set([...extractGrams(lower), ...lower]).forEach(gram => addToIndex(byGram, gram, word));
+  });
+
+  /**
+   * 의미적 유사도가 0보다 클 수 있는 후보 단어 수집
+   *
+   * @param {string} lower - 소문자 원본 단어
+   * @returns {Set<string>} 후보 대상 단어
+   */
+  function collectCandidates(lower) {
+    const candidates = new Set();
+
+    // 0. 어간 일치
+    const stem = getStem(lower);
+    if (stem) {
+      (byStem.get(stem) || []).forEach(word => candidates.add(word));
+    }
+
+    // 1. 공통 접두사 3글자 이상
+    if (lower.length >= 3) {
+      (byPrefix.get(lower.substring(0, 3)) || []).forEach(word => candidates.add(word));
+    }
+
+    // 2. 대상 단어가 원본 단어를 포함: 가장 드문 n-gram 목록만 확인
+    let rarest = null;
+    for (const gram of extractGrams(lower)) {
+      const list = byGram.get(gram) || [];
+      if (!rarest || list.length < rarest.length) rarest = list;
+      if (rarest.length === 0) break;
+    }
+    rarest.forEach(word => {
+      if (word.toLowerCase().includes(lower)) candidates.add(word);
+    });
+
+    // 3. 원본 단어가 대상 단어를 포함: 원본의 부분 문자열을 완전 일치로 조회
+    for (let start = 0; start < lower.length; start++) {
+      for (let end = start + 1; end <= lower.length; end++) {
+        (byLower.get(lower.substring(start, end)) || []).forEach(word => candidates.add(word));
+      }
+    }
+
+    return candidates;
+  }
+
+  /**
+   * 임계값 이상인 유사 단어 목록
+   *
+   * @param {string} word - 원본 단어
+   * @param {number} threshold - 매칭 임계값 (기본값: 0.6)
+   * @returns {Array<object>} [{ word, similarity, positions }] (유사도 내림차순, 같으면 첫 출현 순)
+   */
+  function findCandidates(word, threshold = 0.6) {
+    if (!word) return [];
+
+    const candidates = threshold > MAX_SIMILARITY_WITHOUT_SEMANTIC
+      ? collectCandidates(word.toLowerCase())
+      : words;
+
+    const matches = [];
+    candidates.forEach(candidate => {
+      const similarity = calculateWordSimilarity(word, candidate);
+      if (similarity >= threshold && similarity > 0) {
+        matches.push({ word: candidate, similarity, positions: positionsByWord.get(candidate) });
+      }
+    });
+
+    return matches.sort((a, b) => b.similarity - a.similarity || a.positions[0] - b.positions[0]);
+  }
+
+  /**
+   * 가장 유사한 단어
+   *
+   * @param {string} word - 원본 단어
+   * @param {number} threshold - 매칭 임계값 (기본값: 0.6)
+   * @returns {object|null} { word, similarity, positions } 또는 null
+   */
+  function findBest(word, threshold = 0.6) {
+    return findCandidates(word, threshold)[0] || null;
+  }
+
+  return {
+    size: words.length,
+    findCandidates,
+    findBest
+  };
+}
+
 /**
  * 유사 단어 매칭
  * 완전 일치하지 않는 단어들 간의 유사도를 계산하여 매칭합니다.
+ * 대상 단어를 색인(createSimilarWordIndex)하여 후보 단어만 비교합니다.
  *
  * @param {Array<string>} sourceWords - 원본 단어 배열
  * @param {Array<string>} targetWords - 대상 단어 배열
@@ -135,26 +307,17 @@ function findExactMatches(sourceWords, targetWords) {
  * @returns {Array<object>} 매칭 결과 배열
  */
 function findSimilarMatches(sourceWords, targetWords, threshold = 0.6) {
+  const index = createSimilarWordIndex(targetWords);
   const matches = [];
 
   sourceWords.forEach(srcWord => {
-    let bestMatch = null;
-    let maxSimilarity = 0;
-
-    targetWords.forEach(tgtWord => {
-      const similarity = calculateWordSimilarity(srcWord, tgtWord);
-
-      if (similarity > maxSimilarity && similarity >= threshold) {
-        maxSimilarity = similarity;
-        bestMatch = tgtWord;
-      }
-    });
+    const best = index.findBest(srcWord, threshold);
 
-    if (bestMatch) {
+    if (best) {
       matches.push({
         source: srcWord,
-        target: bestMatch,
-        similarity: maxSimilarity
+        target: best.word,
+        similarity: best.similarity
       });
     }
   });
@@ -162,61 +325,293 @@ function findSimilarMatches(sourceWords, targetWords, threshold = 0.6) {
   return matches;
 }
 
+/**
+ * 변형(morphed) 판정 임계값
+ * 같은 변경 블록에서 제거·추가된 단어 쌍의 유사도가 이 값 이상이면 변형으로 봅니다.
+ */
+const MORPH_THRESHOLD = 0.6;
+
+/**
+ * 중간 스네이크 탐색 (Myers 선형 공간 분할)
+ * 앞쪽과 뒤쪽에서 동시에 편집 경로를 넓혀 두 경로가 만나는 분할점을 찾습니다.
+ *
+ * @param {Array<string>} a - 원본 토큰 배열
+ * @param {number} aLo - 원본 구간 시작
+ * @param {number} aHi - 원본 구간 끝 (미포함)
+ * @param {Array<string>} b - 대상 토큰 배열
+ * @param {number} bLo - 대상 구간 시작
+ * @param {number} bHi - 대상 구간 끝 (미포함)
+ * @returns {object|null} 구간 기준 분할점 { x, y } 또는 공통 토큰이 없으면 null
+ */
+function findMiddleSnake(a, aLo, aHi, b, bLo, bHi) {
+  const n = aHi - aLo;
+  const m = bHi - bLo;
+  const maxD = Math.ceil((n + m) / 2);
+  const vOffset = maxD;
+  const vLength = 2 * maxD + 2;
+  const forward = new Int32Array(vLength).fill(-1);
+  const backward = new Int32Array(vLength).fill(-1);
+  forward[vOffset + 1] = 0;
+  backward[vOffset + 1] = 0;
+
+  // 길이 차이가 홀수면 앞쪽 탐색에서, 짝수면 뒤쪽 탐색에서 겹침을 확인
+  const delta = n - m;
+  const checkInForward = delta % 2 !== 0;
+  let forwardStart = 0;
+  let forwardEnd = 0;
+  let backwardStart = 0;
+  let backwardEnd = 0;
+
+  for (let d = 0; d < maxD; d++) {
+    for (let k = -d + forwardStart; k <= d - forwardEnd; k += 2) {
+      const kOffset = vOffset + k;
+      let x = (k === -d || (k !== d && forward[kOffset - 1] < forward[kOffset + 1]))
+        ? forward[kOffset + 1]
+        : forward[kOffset - 1] + 1;
+      let y = x - k;
+
+      while (x < n && y < m && a[aLo + x] === b[bLo + y]) {
+        x++;
+        y++;
+      }
+      forward[kOffset] = x;
+
+      if (x > n) {
+        forwardEnd += 2;
+      } else if (y > m) {
+        forwardStart += 2;
+      } else if (checkInForward) {
+        const backOffset = vOffset + delta - k;
+        if (backOffset >= 0 && backOffset < vLength && backward[backOffset] !== -1 && x >= n - backward[backOffset]) {
+          return { x, y };
+        }
+      }
+    }
+
+    for (let k = -d + backwardStart; k <= d - backwardEnd; k += 2) {
+      const kOffset = vOffset + k;
+      let x = (k === -d || (k !== d && backward[kOffset - 1] < backward[kOffset + 1]))
+        ? backward[kOffset + 1]
+        : backward[kOffset - 1] + 1;
+      let y = x - k;
+
+      while (x < n && y < m && a[aHi - x - 1] === b[bHi - y - 1]) {
+        x++;
+        y++;
+      }
+      backward[kOffset] = x;
+
+      if (x > n) {
+        backwardEnd += 2;
+      } else if (y > m) {
+        backwardStart += 2;
+      } else if (!checkInForward) {
+        const forwardOffset = vOffset + delta - k;
+        if (forwardOffset >= 0 && forwardOffset < vLength && forward[forwardOffset] !== -1) {
+          const forwardX = forward[forwardOffset];
+          if (forwardX >= n - x) {
+            return { x: forwardX, y: forwardX - (forwardOffset - vOffset) };
+          }
+        }
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * 구간 편집 스크립트 계산 (재귀)
+ *
+ * @param {Array<string>} a - 원본 토큰 배열
+ * @param {number} aLo - 원본 구간 시작
+ * @param {number} aHi - 원본 구간 끝 (미포함)
+ * @param {Array<string>} b - 대상 토큰 배열
+ * @param {number} bLo - 대상 구간 시작
+ * @param {number} bHi - 대상 구간 끝 (미포함)
+ * @param {Array<object>} ops - 편집 연산을 순서대로 추가할 배열
+ */
+function diffRange(a, aLo, aHi, b, bLo, bHi, ops) {
+  // 공통 접두사
+  while (aLo < aHi && bLo < bHi && a[aLo] === b[bLo]) {
+    ops.push({ type: 'equal', fromIndex: aLo++, toIndex: bLo++ });
+  }
+
+  // 공통 접미사 (나중에 추가)
+  let suffix = 0;
+  while (aHi - suffix > aLo && bHi - suffix > bLo && a[aHi - suffix - 1] === b[bHi - suffix - 1]) {
+    suffix++;
+  }
+  aHi -= suffix;
+  bHi -= suffix;
+
+  const snake = aLo < aHi && bLo < bHi ? findMiddleSnake(a, aLo, aHi, b, bLo, bHi) : null;
+
+  if (snake) {
+    diffRange(a, aLo, aLo + snake.x, b, bLo, bLo + snake.y, ops);
+    diffRange(a, aLo + snake.x, aHi, b, bLo + snake.y, bHi, ops);
+  } else {
+    for (let i = aLo; i < aHi; i++) ops.push({ type: 'delete', fromIndex: i });
+    for (let j = bLo; j < bHi; j++) ops.push({ type: 'insert', toIndex: j });
+  }
+
+  for (let i = 0; i < suffix; i++) {
+    ops.push({ type: 'equal', fromIndex: aHi + i, toIndex: bHi + i });
+  }
+}
+
+/**
+ * 두 토큰 배열의 편집 스크립트 계산 (Myers 차이 알고리즘)
+ * 최장 공통 부분열(LCS)을 유지하는 최소 삽입/삭제 순서를 찾습니다.
+ * 중간 스네이크로 구간을 나누는 선형 공간 방식이라 긴 원문에도 메모리를 적게 씁니다.
+ *
+ * @param {Array<string>} source - 원본 토큰 배열 (비교용 키)
+ * @param {Array<string>} target - 대상 토큰 배열 (비교용 키)
+ * @returns {Array<object>} 편집 연산 배열 (순서대로)
+ *   - { type: 'equal', fromIndex, toIndex }
+ *   - { type: 'delete', fromIndex }
+ *   - { type: 'insert', toIndex }
+ */
+function diffTokenSequences(source, target) {
+  const ops = [];
+  diffRange(source, 0, source.length, target, 0, target.length, ops);
+  return ops;
+}
+
+/**
+ * 비교용 단어 핵심부 (앞뒤 문장부호 제거, 소문자)
+ *
+ * @param {string} word - 어절
+ * @returns {string} 핵심부
+ */
+function normalizeCore(word) {
+  return word.replace(/^[^\p{L}\p{N}]+|[^\p{L}\p{N}]+$/gu, '').toLowerCase();
+}
+
 /**
  * 두 텍스트 간 단어 차이 분석
- * 유지, 제거, 추가, 변형된 단어를 분류합니다.
+ * 순서를 고려한 단어 정렬(Myers 차이)로 유지, 제거, 추가, 변형된 단어를 분류합니다.
+ * 정렬은 어간(koreanAnalyzer) 기준이므로 "시스템은" → "시스템이"처럼 조사/어미만 바뀐 단어도
+ * 같은 위치로 대응되며, 표면형이 다르면 변형(morphed), 같으면(문장부호 차이 포함) 유지로 분류합니다.
  *
- * 중요: 클라이언트 애니메이션을 위해 중복 단어를 제거하지 않고 모두 반환합니다.
+ * 단어 위치는 클라이언트 표시와 같이 공백 기준 어절 순서(0부터)이며,
+ * 같은 단어가 여러 번 나와도 각 출현 위치가 정확히 대응됩니다.
+ * 유지 구간 사이의 변경 블록마다 추가된 단어를 색인하고, 제거된 단어를 유사도가
+ * MORPH_THRESHOLD 이상인 가장 유사한 추가 단어와 짝지어 변형으로 분류합니다.
  *
  * @param {string} sourceText - 원본 텍스트 (현재 레벨)
  * @param {string} targetText - 대상 텍스트 (다음 레벨)
  * @returns {object} TransitionDiff 객체
+ *   - kept: [{ word, fromIndex, toIndex }]
+ *   - removed: [{ word, fromIndex }]
+ *   - added: [{ word, toIndex }]
+ *   - morphed: [{ fromWord, toWord, fromIndex, toIndex, similarity }]
  */
 function analyzeDifference(sourceText, targetText) {
   console.log('단어 차이 분석 시작...');
 
   // 단어 토큰화 - 클라이언트와 동일한 방식 사용 (공백 기준 split)
-  const sourceWords = sourceText.split(/\s+/).filter(w => w.trim()).map(w => w.toLowerCase());
-  const targetWords = targetText.split(/\s+/).filter(w => w.trim()).map(w => w.toLowerCase());
+  const sourceWords = sourceText.split(/\s+/).filter(w => w.trim());
+  const targetWords = targetText.split(/\s+/).filter(w => w.trim());
 
   console.log(`  - 원본 단어: ${sourceWords.length}개`);
   console.log(`  - 대상 단어: ${targetWords.length}개`);
 
-  // 완전 일치 단어 Set (중복 제거된 유니크 단어)
-  const exactMatchesSet = findExactMatches(sourceWords, targetWords);
+  // 비교 키: 어간 (조사/어미 제거, 소문자), 문장부호만 있는 토큰은 소문자 원형
+  const toKey = word => getStem(word) || word.toLowerCase();
+  const ops = diffTokenSequences(sourceWords.map(toKey), targetWords.map(toKey));
 
-  // kept: 양쪽 텍스트에 모두 존재하는 단어 (중복 포함)
-  // 클라이언트가 각 단어를 개별적으로 애니메이션할 수 있도록 유니크한 단어 목록만 반환
-  const kept = Array.from(exactMatchesSet);
+  const kept = [];
+  const removed = [];
+  const added = [];
+  const morphed = [];
 
-  // removed: 원본에만 있고 대상에 없는 단어 (유니크)
-  const removedSet = new Set();
-  sourceWords.forEach(w => {
-    if (!exactMatchesSet.has(w)) {
-      removedSet.add(w);
-    }
-  });
-  const removed = Array.from(removedSet);
+  // 유지 구간 사이의 변경 블록 처리
+  let deletes = [];
+  let inserts = [];
+  const flushChanges = () => {
+    // 블록 안의 추가 단어를 색인하고, 제거 단어마다 아직 짝이 없는 가장 유사한 추가 단어를 찾음
+    const index = deletes.length > 0 && inserts.length > 0
+      ? createSimilarWordIndex(inserts.map(i => targetWords[i].toLowerCase()))
+      : null;
+    const paired = new Set();
+
+    deletes.forEach(fromIndex => {
+      const candidates = index ? index.findCandidates(sourceWords[fromIndex].toLowerCase(), MORPH_THRESHOLD) : [];
+      let match = null;
+
+      for (const candidate of candidates) {
+        const position = candidate.positions.find(p => !paired.has(p));
+        if (position !== undefined) {
+          match = { position, similarity: candidate.similarity };
+          break;
+        }
+      }
+
+      if (match) {
+        const toIndex = inserts[match.position];
+        paired.add(match.position);
+        morphed.push({
+          fromWord: sourceWords[fromIndex],
+          toWord: targetWords[toIndex],
+          fromIndex,
+          toIndex,
+          similarity: match.similarity
+        });
+      } else {
+        removed.push({ word: sourceWords[fromIndex], fromIndex });
+      }
+    });
+
+    inserts.forEach((toIndex, position) => {
+      if (!paired.has(position)) {
+        added.push({ word: targetWords[toIndex], toIndex });
+      }
+    });
+
+    deletes = [];
+    inserts = [];
+  };
 
-  // added: 대상에만 있고 원본에 없는 단어 (유니크)
-  const addedSet = new Set();
-  targetWords.forEach(w => {
-    if (!exactMatchesSet.has(w)) {
-      addedSet.add(w);
+  ops.forEach(op => {
+    if (op.type === 'equal') {
+      flushChanges();
+
+      // 어간은 같지만 표면형(조사/어미)이 달라진 단어는 변형으로 분류
+      const fromWord = sourceWords[op.fromIndex];
+      const toWord = targetWords[op.toIndex];
+      if (normalizeCore(fromWord) === normalizeCore(toWord)) {
+        kept.push({ word: toWord, fromIndex: op.fromIndex, toIndex: op.toIndex });
+      } else {
+        morphed.push({
+          fromWord,
+          toWord,
+          fromIndex: op.fromIndex,
+          toIndex: op.toIndex,
+          similarity: calculateWordSimilarity(fromWord.toLowerCase(), toWord.toLowerCase())
+        });
+      }
+    } else if (op.type === 'delete') {
+      deletes.push(op.fromIndex);
+    } else {
+      inserts.push(op.toIndex);
     }
   });
-  const added = Array.from(addedSet);
+  flushChanges();
+
+  morphed.sort((a, b) => a.toIndex - b.toIndex);
 
   console.log(`✓ 단어 차이 분석 완료`);
-  console.log(`  - 유지: ${kept.length}개 (유니크)`);
-  console.log(`  - 제거: ${removed.length}개 (유니크)`);
-  console.log(`  - 추가: ${added.length}개 (유니크)`);
+  console.log(`  - 유지: ${kept.length}개`);
+  console.log(`  - 제거: ${removed.length}개`);
+  console.log(`  - 추가: ${added.length}개`);
+  console.log(`  - 변형: ${morphed.length}개`);
 
   return {
     kept,
     removed,
     added,
-    morphed: []  // 단순화를 위해 morphed는 빈 배열로
+    morphed
   };
 }
 
@@ -351,23 +746,24 @@ function formatMatchingResult(diff) {
   result += '='.repeat(60) + '\n';
 
   result += `\n[유지된 단어] (${kept.length}개)\n`;
-  result += kept.slice(0, 10).join(', ');
+  const keptTexts = kept.map(w => w.word || w.text || w);
+  result += keptTexts.slice(0, 10).join(', ');
   if (kept.length > 10) result += ` ... 외 ${kept.length - 10}개`;
 
   result += `\n\n[제거된 단어] (${removed.length}개)\n`;
-  const removedTexts = Array.isArray(removed[0]) ? removed : removed.map(w => w.text || w);
+  const removedTexts = removed.map(w => w.word || w.text || w);
   result += removedTexts.slice(0, 10).join(', ');
   if (removed.length > 10) result += ` ... 외 ${removed.length - 10}개`;
 
   result += `\n\n[추가된 단어] (${added.length}개)\n`;
-  const addedTexts = Array.isArray(added[0]) ? added : added.map(w => w.text || w);
+  const addedTexts = added.map(w => w.word || w.text || w);
   result += addedTexts.slice(0, 10).join(', ');
   if (added.length > 10) result += ` ... 외 ${added.length - 10}개`;
 
   result += `\n\n[변형된 단어] (${morphed.length}개)\n`;
   morphed.slice(0, 5).forEach(m => {
-    const fromText = m.from.text || m.source;
-    const toText = m.to.text || m.target;
+    const fromText = m.fromWord || m.from.text;
+    const toText = m.toWord || m.to.text;
     result += `  ${fromText} → ${toText} (유사도: ${(m.similarity * 100).toFixed(1)}%)\n`;
   });
   if (morphed.length > 5) result += `  ... 외 ${morphed.length - 5}개\n`;
@@ -383,7 +779,9 @@ module.exports = {
   calculateSemanticSimilarity,
   calculateWordSimilarity,
   findExactMatches,
+  createSimilarWordIndex,
   findSimilarMatches,
+  diffTokenSequences,
   analyzeDifference,
   analyzeDetailedDifference,
   evaluateMatchingQuality,
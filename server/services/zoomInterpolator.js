@@ -0,0 +1,250 @@
+/**
+ * 연속 줌 보간 서비스
+ *
+ * 캐시된 두 레벨 사이의 임의 비율(예: 원문의 63%) 텍스트를 LLM 호출 없이 만듭니다.
+ * 목표 비율보다 긴 가장 가까운 레벨(기준 레벨)에서 단어를 하나씩 제거하며,
+ * 제거 순서는 다음 레벨(더 짧은 레벨)에 남아 있는지와 단어 우선순위로 정합니다.
+ *
+ * 단어 점수 = 0.5×다음 레벨 유지 여부 + 0.3×단어 우선순위 + 0.2×문장 유지 비율
+ *
+ * 같은 기준 레벨 안에서는 제거 순서가 고정되므로, 비율을 줄이면 단어가 단조롭게 사라져
+ * 텍스트가 레벨 사이에서 부드럽게 줄어듭니다.
+ */
+
+const { generateTextHash, getEntry, setEntry } = require('../utils/cache');
+const { parseParagraphs, tokenizeSentences, estimatePOS, countSpacedWords } = require('../utils/textProcessor');
+const { calculatePrioritiesForText, calculatePOSScore } = require('./priorityCalculator');
+
+/**
+ * 최소 비율 (원문 대비)
+ * 가장 짧은 레벨보다 작은 비율은 우선순위만으로 더 줄이되 이 값 아래로는 내려가지 않습니다.
+ */
+const MIN_RATIO = 0.05;
+
+/**
+ * 문장 끝 문장부호
+ */
+const TERMINAL_PUNCTUATION = /[.!?。]+["'”’)]*$/;
+
+/**
+ * 비교용 단어 핵심부 추출 (앞뒤 문장부호 제거, 소문자)
+ *
+ * @param {string} token - 어절
+ * @returns {string} 핵심부
+ */
+function normalizeToken(token) {
+  return token.replace(/^[^\p{L}\p{N}]+|[^\p{L}\p{N}]+$/gu, '').toLowerCase();
+}
+
+/**
+ * 텍스트를 문단 → 문장 → 어절 구조로 분해
+ *
+ * @param {string} text - 텍스트
+ * @returns {Array<object>} 어절 배열 [{ text, core, paragraph, sentence, position }]
+ */
+function tokenizeForZoom(text) {
+  const tokens = [];
+  let sentenceIndex = 0;
+
+  parseParagraphs(text).forEach((paragraph, paragraphIndex) => {
+    tokenizeSentences(paragraph).forEach(sentence => {
+      sentence.split(/\s+/).filter(Boolean).forEach(token => {
+        tokens.push({
+          text: token,
+          core: normalizeToken(token),
+          paragraph: paragraphIndex,
+          sentence: sentenceIndex,
+          position: tokens.length
+        });
+      });
+      sentenceIndex++;
+    });
+  });
+
+  return tokens;
+}
+
+/**
+ * 기준 레벨 어절의 제거 순서 계산
+ * 기준 텍스트와 다음 레벨 텍스트 쌍마다 캐시됩니다.
+ *
+ * @param {string} baseText - 기준 레벨 텍스트 (목표보다 긴 레벨)
+ * @param {string|null} nextText - 다음 레벨 텍스트 (더 짧은 레벨, 없으면 null)
+ * @returns {object} { tokens, removalOrder } - removalOrder는 먼저 제거할 어절 위치부터
+ */
+function rankTokensForRemoval(baseText, nextText) {
+  const pairKey = nextText ? generateTextHash(nextText).substring(0, 16) : 'none';
+  const cached = getEntry('zoom', baseText, pairKey);
+  if (cached) {
+    return cached;
+  }
+
+  const tokens = tokenizeForZoom(baseText);
+  const nextCores = new Set(nextText ? tokenizeForZoom(nextText).map(t => t.core) : []);
+
+  // 단어 우선순위 (같은 단어가 여러 번 나오면 가장 높은 값)
+  const priorityByWord = new Map();
+  calculatePrioritiesForText(baseText).forEach(word => {
+    const key = word.text.toLowerCase();
+    priorityByWord.set(key, Math.max(priorityByWord.get(key) || 0, word.priority));
+  });
+
+  // 문장별로 다음 레벨에 남은 어절 비율
+  const keptBySentence = new Map();
+  tokens.forEach(token => {
+    const stat = keptBySentence.get(token.sentence) || { kept: 0, total: 0 };
+    stat.total++;
+    if (nextCores.has(token.core)) stat.kept++;
+    keptBySentence.set(token.sentence, stat);
+  });
+
+  const scored = tokens.map(token => {
+    // 우선순위를 계산할 수 없는 어절(한글 등)은 품사 추정 점수 사용
+    const priority = priorityByWord.has(token.core)
+      ? priorityByWord.get(token.core)
+      : calculatePOSScore(estimatePOS(token.core));
+    const { kept, total } = keptBySentence.get(token.sentence);
+    const inNext = nextCores.has(token.core) ? 1 : 0;
+
+    return {
+      position: token.position,
+      score: 0.5 * inNext + 0.3 * priority + 0.2 * (kept / total)
+    };
+  });
+
+  // 점수가 같으면 뒤쪽 어절부터 제거 (문장 앞부분 유지)
+  scored.sort((a, b) => a.score - b.score || b.position - a.position);
+
+  const ranking = {
+    tokens,
+    removalOrder: scored.map(s => s.position)
+  };
+
+  setEntry('zoom', baseText, pairKey, ranking);
+  return ranking;
+}
+
+/**
+ * 문장 중간 문장부호(쉼표 등) 제거
+ *
+ * @param {string} word - 어절
+ * @returns {string} 끝 문장부호가 제거된 어절
+ */
+function normalizeEnding(word) {
+  return word.replace(/[,;:]+$/, '');
+}
+
+/**
+ * 남은 어절로 텍스트 재조립
+ * 문장의 마지막 어절이 제거되었으면 문장부호를 남은 마지막 어절에 붙입니다.
+ *
+ * @param {Array<object>} tokens - 기준 레벨 어절 배열
+ * @param {Set<number>} removed - 제거할 어절 위치
+ * @returns {string} 텍스트 (문단 구조 유지)
+ */
+function assembleTokens(tokens, removed) {
+  const paragraphs = [];
+  let current = null;
+
+  const flush = () => {
+    if (!current || current.words.length === 0) return;
+
+    const last = current.words[current.words.length - 1];
+    const terminal = current.lastToken.match(TERMINAL_PUNCTUATION);
+    if (terminal && !TERMINAL_PUNCTUATION.test(last)) {
+      current.words[current.words.length - 1] = normalizeEnding(last) + terminal[0];
+    }
+
+    const paragraph = paragraphs[paragraphs.length - 1];
+    if (paragraph && paragraph.index === current.paragraph) {
+      paragraph.sentences.push(current.words.join(' '));
+    } else {
+      paragraphs.push({ index: current.paragraph, sentences: [current.words.join(' ')] });
+    }
+  };
+
+  tokens.forEach(token => {
+    if (!current || current.sentence !== token.sentence) {
+      flush();
+      current = { sentence: token.sentence, paragraph: token.paragraph, words: [], lastToken: '' };
+    }
+
+    current.lastToken = token.text;
+    if (!removed.has(token.position)) {
+      current.words.push(token.text);
+    }
+  });
+  flush();
+
+  return paragraphs.map(p => p.sentences.join(' ')).join('\n\n');
+}
+
+/**
+ * 임의 비율의 보간 텍스트 생성
+ *
+ * @param {Array<object>} levels - 사용 가능한 레벨 [{ level, text }, ...] (Level 0 필수)
+ * @param {number} ratio - 목표 비율 (원문 대비 0-1, 예: 0.63)
+ * @returns {object} { text, ratio, achievedRatio, fromLevel, toLevel }
+ * @throws {Error} 원문(Level 0)이 없는 경우
+ */
+function interpolateAtRatio(levels, ratio) {
+  const original = levels.find(l => l.level === 0);
+  if (!original) {
+    throw new Error('원문(Level 0)이 필요합니다.');
+  }
+
+  const originalCount = countSpacedWords(original.text) || 1;
+  const target = Math.max(MIN_RATIO, Math.min(1, ratio));
+
+  // 원문 대비 실제 비율이 큰 순서(상세한 순서)로 정렬
+  const measured = levels
+    .map(l => ({ ...l, ratio: countSpacedWords(l.text) / originalCount }))
+    .sort((a, b) => b.ratio - a.ratio || a.level - b.level);
+
+  // 기준 레벨: 목표보다 길거나 같은 레벨 중 가장 짧은 레벨
+  const base = measured.filter(l => l.ratio >= target).pop() || measured[0];
+  const next = measured.find(l => l.ratio < base.ratio) || null;
+
+  const targetCount = Math.max(1, Math.round(originalCount * target));
+  const baseCount = countSpacedWords(base.text);
+
+  let text = base.text;
+  if (baseCount > targetCount) {
+    const { tokens, removalOrder } = rankTokensForRemoval(base.text, next ? next.text : null);
+    const removed = new Set(removalOrder.slice(0, tokens.length - targetCount));
+    text = assembleTokens(tokens, removed);
+  }
+
+  const achievedRatio = countSpacedWords(text) / originalCount;
+
+  console.log(`✓ 연속 줌 보간: 목표 ${(target * 100).toFixed(1)}% → ${(achievedRatio * 100).toFixed(1)}% (Level ${base.level}${next ? ` → ${next.level}` : ''})`);
+
+  return {
+    text,
+    ratio: target,
+    achievedRatio,
+    fromLevel: base.level,
+    toLevel: next ? next.level : null
+  };
+}
+
+/**
+ * 레벨별 원문 대비 비율 계산
+ *
+ * @param {Array<object>} levels - 레벨 [{ level, text }, ...] (Level 0 필수)
+ * @returns {Array<object>} [{ level, ratio }, ...] (레벨 순)
+ */
+function measureLevelRatios(levels) {
+  const original = levels.find(l => l.level === 0);
+  const originalCount = original ? countSpacedWords(original.text) || 1 : 1;
+
+  return levels
+    .map(l => ({ level: l.level, ratio: countSpacedWords(l.text) / originalCount }))
+    .sort((a, b) => a.level - b.level);
+}
+
+module.exports = {
+  MIN_RATIO,
+  interpolateAtRatio,
+  measureLevelRatios
+};
@@ -2,24 +2,85 @@
  * 요약 캐싱 시스템
  *
  * 생성된 요약을 메모리에 캐싱하여 반복 요청 시 성능을 향상시킵니다.
- * node-cache 라이브러리를 사용하여 TTL과 LRU 정책을 적용합니다.
+ * node-cache 라이브러리로 TTL을 적용하고, 항목 수/용량 한도를 넘으면 가장 오래 사용하지 않은 항목부터 제거합니다 (LRU).
+ *
+ * CACHE_BACKEND로 영구 저장소를 선택하면 메모리 캐시에 쓰는 내용을 저장소에도 기록하고(write-through),
+ * 서버 시작 시 initCache()로 저장된 항목을 다시 불러옵니다 (warm start).
+ * 조회는 항상 메모리에서 동기적으로 처리하므로 getSummary/saveSummary 인터페이스는 그대로입니다.
+ *
+ * 캐시 키에는 캐시 버전(프롬프트 템플릿 · 모델 · 레벨 사다리 해시)이 들어가므로,
+ * 프롬프트를 고치거나 모델을 바꾸면 이전 요약 대신 새로 생성합니다.
+ * 캐시 키 형식: summary:{프롬프트}.{모델}.{레벨 사다리}:{텍스트 해시}:{레벨}
+ *
+ * 요약이 아닌 파생 데이터(레벨 쌍 차이, 줌 보간 순서, 문장 정렬)는 getEntry/setEntry로 저장합니다.
+ * 요약 캐시 버전과 히트/미스 통계에 포함되지 않으며, 프롬프트나 사다리를 바꿔도 지워지지 않습니다.
+ * 항목 키 형식: entry:{네임스페이스}:{텍스트 해시}:{키}
+ * - memory: 메모리만 사용 (기본값, 재시작 시 초기화)
+ * - file:   JSON 파일 저장소 (CACHE_DIR, 기본값: data/cache)
+ * - redis:  Redis 호환 서버 (REDIS_URL, redis 패키지 필요)
  */
 
+require('dotenv').config();
+
 const NodeCache = require('node-cache');
 const crypto = require('crypto');
+const { getLevelLadder, getSummaryLevels } = require('../config/levels');
+const { getPromptVersion } = require('../config/prompts');
+const { getProviderInfo } = require('../config/llm');
+
+/**
+ * 파생 데이터 항목 통계 (요약 캐시 통계와 별도)
+ */
+const entryStats = {
+  hits: 0,
+  misses: 0,
+  sets: 0
+};
+
+/**
+ * 영구 저장소 모듈 레지스트리 (필요할 때만 로드)
+ */
+const BACKENDS = {
+  file: () => require('./cacheBackends/file'),
+  redis: () => require('./cacheBackends/redis')
+};
+
+/**
+ * 환경 변수 숫자 값 읽기
+ *
+ * @param {string} name - 환경 변수 이름
+ * @param {number} defaultValue - 기본값
+ * @returns {number} 설정 값
+ */
+function readNumberEnv(name, defaultValue) {
+  const value = parseInt(process.env[name], 10);
+  return Number.isFinite(value) && value >= 0 ? value : defaultValue;
+}
+
+/**
+ * 캐시 한도 설정
+ * - ttl: 기본 TTL (초, 0 = 만료 없음)
+ * - maxKeys: 최대 항목 수
+ * - maxBytes: 최대 용량 (JSON 직렬화 크기 기준)
+ */
+const CACHE_LIMITS = {
+  ttl: readNumberEnv('CACHE_TTL', 3600),
+  maxKeys: Math.max(1, readNumberEnv('CACHE_MAX_KEYS', 100)),
+  maxBytes: readNumberEnv('CACHE_MAX_BYTES', 64 * 1024 * 1024)
+};
 
 /**
  * 캐시 인스턴스 설정
- * - stdTTL: 기본 TTL 1시간 (3600초)
+ * - stdTTL: 기본 TTL (CACHE_TTL, 기본값 1시간)
  * - checkperiod: 만료된 항목 체크 주기 120초
  * - useClones: false (성능 최적화, 참조 반환)
- * - maxKeys: 최대 100개 항목
+ * - maxKeys: 제한 없음 (한도는 LRU 제거로 직접 관리)
  */
 const cache = new NodeCache({
-  stdTTL: 3600,        // 1시간 TTL
+  stdTTL: CACHE_LIMITS.ttl,
   checkperiod: 120,    // 2분마다 만료 체크
   useClones: false,    // 복제 없이 참조 반환 (성능 향상)
-  maxKeys: 100         // 최대 100개 요약 캐싱
+  maxKeys: -1
 });
 
 /**
@@ -29,9 +90,162 @@ const cacheStats = {
   hits: 0,
   misses: 0,
   sets: 0,
-  deletes: 0
+  deletes: 0,
+  evictions: 0
+};
+
+/**
+ * LRU 추적 (키 → 직렬화 크기, Map 순서 = 오래 사용하지 않은 순)
+ */
+const lruEntries = new Map();
+let totalBytes = 0;
+
+/**
+ * 영구 저장소 상태
+ */
+const backendState = {
+  backend: null,
+  pendingWrites: new Set(),
+  keyChains: new Map(),         // 키별 마지막 작업 (같은 키의 저장/삭제 순서 보장)
+  barrier: Promise.resolve(),   // 마지막 전체 삭제 (이후 작업은 완료를 기다림)
+  errors: 0,
+  restored: 0
 };
 
+/**
+ * 영구 저장소 작업 실행 (응답을 기다리지 않음, 실패는 로그만 남김)
+ * 같은 키의 작업은 호출 순서대로 실행하고, 전체 삭제(key = null)는 앞선 작업이 모두 끝난 뒤 실행합니다.
+ *
+ * @param {string} action - 작업 설명 (로그용)
+ * @param {string|null} key - 캐시 키 (null이면 전체 작업)
+ * @param {Function} operation - backend를 받아 Promise를 반환하는 함수
+ */
+function persist(action, key, operation) {
+  const { backend, keyChains, pendingWrites } = backendState;
+  if (!backend) return;
+
+  const previous = key === null
+    ? Promise.all([...pendingWrites])
+    : (keyChains.get(key) || backendState.barrier);
+
+  const promise = previous
+    .then(() => operation(backend))
+    .catch(error => {
+      backendState.errors++;
+      console.error(`✗ 캐시 저장소 ${action} 실패 (${backend.name}):`, error.message);
+    })
+    .finally(() => {
+      pendingWrites.delete(promise);
+      if (key !== null && keyChains.get(key) === promise) {
+        keyChains.delete(key);
+      }
+    });
+
+  pendingWrites.add(promise);
+  if (key === null) {
+    keyChains.clear();
+    backendState.barrier = promise;
+  } else {
+    keyChains.set(key, promise);
+  }
+}
+
+/**
+ * 최근 사용으로 표시 (LRU 순서 갱신)
+ *
+ * @param {string} key - 캐시 키
+ */
+function touchEntry(key) {
+  const size = lruEntries.get(key);
+  if (size !== undefined) {
+    lruEntries.delete(key);
+    lruEntries.set(key, size);
+  }
+}
+
+/**
+ * LRU 추적에서 제거
+ *
+ * @param {string} key - 캐시 키
+ */
+function untrackEntry(key) {
+  const size = lruEntries.get(key);
+  if (size !== undefined) {
+    totalBytes -= size;
+    lruEntries.delete(key);
+  }
+}
+
+/**
+ * 새 항목이 들어갈 자리를 만들 때까지 가장 오래 사용하지 않은 항목 제거
+ *
+ * @param {number} incomingBytes - 추가할 항목 크기
+ */
+function evictForSpace(incomingBytes) {
+  while (lruEntries.size > 0 &&
+         (lruEntries.size >= CACHE_LIMITS.maxKeys || totalBytes + incomingBytes > CACHE_LIMITS.maxBytes)) {
+    const oldestKey = lruEntries.keys().next().value;
+    cache.del(oldestKey);
+    cacheStats.evictions++;
+    console.log(`[Cache] LRU 제거: ${oldestKey.substring(0, 40)}...`);
+  }
+}
+
+/**
+ * 캐시 항목 저장 (한도 적용 + 영구 저장소 기록)
+ *
+ * @param {string} key - 캐시 키
+ * @param {any} value - 저장할 값 (JSON 직렬화 가능)
+ * @param {number|null} ttl - TTL (초, null이면 기본 TTL)
+ * @param {object} options - 옵션
+ * @param {boolean} options.persist - 영구 저장소에 기록 (기본값: true, warm start 시 false)
+ * @param {number} options.savedAt - 저장 시각 (warm start 시 원래 저장 시각 유지)
+ * @returns {boolean} 저장 성공 여부
+ */
+function storeEntry(key, value, ttl = null, options = {}) {
+  const { persist: shouldPersist = true, savedAt = Date.now() } = options;
+  const size = Buffer.byteLength(JSON.stringify(value) || '');
+
+  if (size > CACHE_LIMITS.maxBytes) {
+    console.warn(`⚠ 캐시 항목이 최대 용량을 넘어 저장하지 않습니다: ${(size / 1024 / 1024).toFixed(1)}MB`);
+    return false;
+  }
+
+  // 같은 키를 덮어쓰면 이전 크기를 먼저 제외
+  untrackEntry(key);
+  evictForSpace(size);
+
+  const effectiveTtl = ttl === null ? CACHE_LIMITS.ttl : ttl;
+  const success = cache.set(key, value, effectiveTtl);
+  if (!success) {
+    return false;
+  }
+
+  lruEntries.set(key, size);
+  totalBytes += size;
+
+  if (shouldPersist) {
+    const expiresAt = effectiveTtl > 0 ? Date.now() + effectiveTtl * 1000 : null;
+    persist('저장', key, backend => backend.set(key, { value, expiresAt, savedAt }));
+  }
+
+  return true;
+}
+
+/**
+ * 캐시 항목 조회 (히트 시 LRU 순서 갱신)
+ *
+ * @param {string} key - 캐시 키
+ * @returns {any} 값 또는 undefined
+ */
+function lookupEntry(key) {
+  const value = cache.get(key);
+  if (value !== undefined) {
+    touchEntry(key);
+  }
+  return value;
+}
+
 /**
  * 텍스트 해시 생성
  * SHA256 해시를 사용하여 텍스트의 고유 식별자를 생성합니다.
@@ -46,9 +260,46 @@ function generateTextHash(text) {
     .digest('hex');
 }
 
+/**
+ * 짧은 해시 (캐시 버전 구성 요소용)
+ *
+ * @param {string} value - 해시할 값
+ * @returns {string} SHA256 앞 8자리
+ */
+function shortHash(value) {
+  return crypto.createHash('sha256').update(value).digest('hex').substring(0, 8);
+}
+
+// 캐시 버전 (프롬프트와 레벨 사다리는 실행 중 바뀌지 않으므로 한 번만 계산)
+let versionInfo = null;
+
+/**
+ * 현재 캐시 버전 조회
+ *
+ * @returns {object} { version, prompt, model, ladder, provider, modelName }
+ */
+function getCacheVersion() {
+  if (!versionInfo) {
+    const { provider, model } = getProviderInfo();
+    const prompt = getPromptVersion();
+    const modelHash = shortHash(`${provider}/${model || ''}`);
+    const ladder = shortHash(JSON.stringify(getLevelLadder()));
+
+    versionInfo = {
+      version: `${prompt}.${modelHash}.${ladder}`,
+      prompt,
+      model: modelHash,
+      ladder,
+      provider,
+      modelName: model
+    };
+  }
+  return versionInfo;
+}
+
 /**
  * 캐시 키 생성
- * 텍스트 해시와 레벨을 조합하여 캐시 키를 생성합니다.
+ * 캐시 버전, 텍스트 해시와 레벨을 조합하여 캐시 키를 생성합니다.
  *
  * @param {string} text - 텍스트
  * @param {number} level - 요약 레벨 (1, 2, 3) 또는 'all'
@@ -56,7 +307,96 @@ function generateTextHash(text) {
  */
 function generateCacheKey(text, level = 'all') {
   const hash = generateTextHash(text);
-  return `summary:${hash}:${level}`;
+  return `summary:${getCacheVersion().version}:${hash}:${level}`;
+}
+
+/**
+ * 캐시 키 분석
+ * 버전이 없는 이전 형식(summary:{텍스트 해시}:{레벨})은 'legacy' 버전으로 취급합니다.
+ *
+ * @param {string} key - 캐시 키
+ * @returns {object|null} { version, prompt, textHash, level } 또는 형식이 다르면 null
+ */
+function parseCacheKey(key) {
+  const versioned = key.match(/^summary:([0-9a-f]{8})\.([0-9a-f]{8})\.([0-9a-f]{8}):([0-9a-f]{64}):(.+)$/);
+  if (versioned) {
+    const [, prompt, model, ladder, textHash, level] = versioned;
+    return { version: `${prompt}.${model}.${ladder}`, prompt, textHash, level };
+  }
+
+  const legacy = key.match(/^summary:([0-9a-f]{64}):(.+)$/);
+  if (legacy) {
+    return { version: 'legacy', prompt: 'legacy', textHash: legacy[1], level: legacy[2] };
+  }
+
+  return null;
+}
+
+/**
+ * 캐시 버전별 항목 목록
+ *
+ * @returns {Array<object>} [{ version, prompt, keys, bytes, levels, current }] (현재 버전 먼저, 항목 수 순)
+ */
+function listCacheVersions() {
+  const current = getCacheVersion().version;
+  const versions = new Map();
+
+  lruEntries.forEach((size, key) => {
+    const parsed = parseCacheKey(key);
+    if (!parsed) return;
+
+    if (!versions.has(parsed.version)) {
+      versions.set(parsed.version, {
+        version: parsed.version,
+        prompt: parsed.prompt,
+        keys: 0,
+        bytes: 0,
+        levels: new Set(),
+        current: parsed.version === current
+      });
+    }
+
+    const entry = versions.get(parsed.version);
+    entry.keys++;
+    entry.bytes += size;
+    entry.levels.add(parsed.level);
+  });
+
+  return [...versions.values()]
+    .map(entry => ({ ...entry, levels: [...entry.levels] }))
+    .sort((a, b) => (b.current - a.current) || (b.keys - a.keys));
+}
+
+/**
+ * 캐시 버전별 항목 삭제
+ *
+ * @param {object} filter - 삭제 조건 (하나 이상 필요)
+ * @param {string} filter.version - 전체 캐시 버전 (예: 'cbf3d2a9.1a2b3c4d.5e6f7a8b' 또는 'legacy')
+ * @param {string} filter.promptVersion - 프롬프트 버전 (앞 8자리)
+ * @param {boolean} filter.stale - true면 현재 버전이 아닌 모든 항목
+ * @returns {number} 삭제된 항목 수
+ * @throws {Error} 삭제 조건이 없는 경우
+ */
+function purgeCacheEntries(filter = {}) {
+  const { version, promptVersion, stale } = filter;
+  if (!version && !promptVersion && !stale) {
+    throw new Error('삭제 조건(version, promptVersion, stale 중 하나)이 필요합니다.');
+  }
+
+  const current = getCacheVersion().version;
+  const keysToDelete = [...lruEntries.keys()].filter(key => {
+    const parsed = parseCacheKey(key);
+    if (!parsed) return false;
+
+    return (!version || parsed.version === version) &&
+      (!promptVersion || parsed.prompt === promptVersion) &&
+      (!stale || parsed.version !== current);
+  });
+
+  const deleted = cache.del(keysToDelete);
+  cacheStats.deletes += deleted;
+  console.log(`✓ 캐시 버전 삭제 완료: ${deleted}개 항목`);
+  return deleted;
 }
 
 /**
@@ -72,7 +412,7 @@ function generateCacheKey(text, level = 'all') {
 function saveSummary(text, level, summary, ttl = null) {
   try {
     const key = generateCacheKey(text, level);
-    const success = ttl ? cache.set(key, summary, ttl) : cache.set(key, summary);
+    const success = storeEntry(key, summary, ttl);
 
     if (success) {
       cacheStats.sets++;
@@ -89,7 +429,7 @@ function saveSummary(text, level, summary, ttl = null) {
 
 /**
  * 전체 요약 결과 저장
- * Level 0, 1, 2, 3 모두를 저장합니다.
+ * Level 0과 레벨 사다리의 모든 요약 레벨을 저장합니다.
  *
  * @param {string} originalText - 원문 텍스트
  * @param {object} allSummaries - 전체 요약 결과
@@ -99,21 +439,17 @@ function saveAllSummaries(originalText, allSummaries) {
   try {
     // 전체 결과를 하나의 키로 저장
     const allKey = generateCacheKey(originalText, 'all');
-    cache.set(allKey, allSummaries);
+    storeEntry(allKey, allSummaries);
 
     // 각 레벨별로도 저장
     if (allSummaries.original) {
       saveSummary(originalText, 0, allSummaries.original);
     }
-    if (allSummaries.level1) {
-      saveSummary(originalText, 1, allSummaries.level1);
-    }
-    if (allSummaries.level2) {
-      saveSummary(originalText, 2, allSummaries.level2);
-    }
-    if (allSummaries.level3) {
-      saveSummary(originalText, 3, allSummaries.level3);
-    }
+    getSummaryLevels().forEach(level => {
+      if (allSummaries[`level${level}`]) {
+        saveSummary(originalText, level, allSummaries[`level${level}`]);
+      }
+    });
 
     console.log(`✓ 전체 요약 캐시 저장 완료`);
     return true;
@@ -134,7 +470,7 @@ function saveAllSummaries(originalText, allSummaries) {
 function getSummary(text, level) {
   try {
     const key = generateCacheKey(text, level);
-    const value = cache.get(key);
+    const value = lookupEntry(key);
 
     if (value !== undefined) {
       cacheStats.hits++;
@@ -161,7 +497,7 @@ function getSummary(text, level) {
 function getAllSummaries(originalText) {
   try {
     const key = generateCacheKey(originalText, 'all');
-    const value = cache.get(key);
+    const value = lookupEntry(key);
 
     if (value !== undefined) {
       cacheStats.hits++;
@@ -179,6 +515,65 @@ function getAllSummaries(originalText) {
   }
 }
 
+/**
+ * 파생 데이터 항목 키 생성
+ *
+ * @param {string} namespace - 네임스페이스 (예: 'diff', 'zoom', 'alignment')
+ * @param {string} text - 기준 텍스트
+ * @param {string} key - 네임스페이스 안의 키
+ * @returns {string} 캐시 키
+ */
+function generateEntryKey(namespace, text, key) {
+  return `entry:${namespace}:${generateTextHash(text)}:${key}`;
+}
+
+/**
+ * 파생 데이터 항목 저장
+ * 요약이 아닌 계산 결과를 기준 텍스트에 묶어 저장합니다 (캐시 버전 없음).
+ *
+ * @param {string} namespace - 네임스페이스
+ * @param {string} text - 기준 텍스트
+ * @param {string} key - 네임스페이스 안의 키
+ * @param {any} value - 저장할 값 (JSON 직렬화 가능)
+ * @param {number} ttl - TTL (선택, 초 단위)
+ * @returns {boolean} 저장 성공 여부
+ */
+function setEntry(namespace, text, key, value, ttl = null) {
+  try {
+    const success = storeEntry(generateEntryKey(namespace, text, key), value, ttl);
+    if (success) {
+      entryStats.sets++;
+    }
+    return success;
+  } catch (error) {
+    console.error(`✗ 캐시 항목 저장 실패 (${namespace}):`, error.message);
+    return false;
+  }
+}
+
+/**
+ * 파생 데이터 항목 조회
+ *
+ * @param {string} namespace - 네임스페이스
+ * @param {string} text - 기준 텍스트
+ * @param {string} key - 네임스페이스 안의 키
+ * @returns {any} 저장된 값 또는 null
+ */
+function getEntry(namespace, text, key) {
+  try {
+    const value = lookupEntry(generateEntryKey(namespace, text, key));
+    if (value !== undefined) {
+      entryStats.hits++;
+      return value;
+    }
+  } catch (error) {
+    console.error(`✗ 캐시 항목 조회 실패 (${namespace}):`, error.message);
+  }
+
+  entryStats.misses++;
+  return null;
+}
+
 /**
  * 캐시에서 요약 삭제
  *
@@ -229,6 +624,7 @@ function deleteSummary(text, level = null) {
  */
 function clearCache() {
   cache.flushAll();
+  persist('초기화', null, backend => backend.clear());
   console.log('✓ 전체 캐시 초기화 완료');
 }
 
@@ -246,6 +642,16 @@ function getCacheStats() {
     ...cacheStats,
     hitRate: `${hitRate}%`,
     keys: cache.keys().length,
+    bytes: totalBytes,
+    version: getCacheVersion().version,
+    entries: { ...entryStats },
+    limits: { ...CACHE_LIMITS },
+    backend: {
+      name: backendState.backend ? backendState.backend.name : 'memory',
+      restored: backendState.restored,
+      pendingWrites: backendState.pendingWrites.size,
+      errors: backendState.errors
+    },
     memoryUsage: JSON.stringify(cache.getStats())
   };
 }
@@ -266,7 +672,10 @@ function logCacheStats() {
   console.log(`  - 히트율: ${stats.hitRate}`);
   console.log(`  - 저장: ${stats.sets}회`);
   console.log(`  - 삭제: ${stats.deletes}회`);
-  console.log(`  - 현재 키 수: ${stats.keys}개`);
+  console.log(`  - LRU 제거: ${stats.evictions}회`);
+  console.log(`  - 파생 데이터: 히트 ${stats.entries.hits}회, 미스 ${stats.entries.misses}회, 저장 ${stats.entries.sets}회`);
+  console.log(`  - 현재 키 수: ${stats.keys}개 (${(stats.bytes / 1024).toFixed(1)}KB)`);
+  console.log(`  - 저장소: ${stats.backend.name}`);
   console.log('='.repeat(60));
 }
 
@@ -280,6 +689,10 @@ function resetCacheStats() {
   cacheStats.misses = 0;
   cacheStats.sets = 0;
   cacheStats.deletes = 0;
+  cacheStats.evictions = 0;
+  entryStats.hits = 0;
+  entryStats.misses = 0;
+  entryStats.sets = 0;
   console.log('✓ 캐시 통계 리셋 완료');
 }
 
@@ -295,7 +708,15 @@ function resetCacheStats() {
 function updateTTL(text, level, ttl) {
   try {
     const key = generateCacheKey(text, level);
-    return cache.ttl(key, ttl);
+    const success = cache.ttl(key, ttl);
+
+    if (success) {
+      const value = cache.get(key);
+      const expiresAt = ttl > 0 ? Date.now() + ttl * 1000 : null;
+      persist('TTL 갱신', key, backend => backend.set(key, { value, expiresAt, savedAt: Date.now() }));
+    }
+
+    return success;
   } catch (error) {
     console.error('✗ TTL 업데이트 실패:', error.message);
     return false;
@@ -340,7 +761,10 @@ cache.on('set', (key, value) => {
   console.log(`[Cache] 저장: ${key.substring(0, 40)}...`);
 });
 
+// 삭제(만료, LRU 제거 포함)는 LRU 추적과 영구 저장소에도 반영
 cache.on('del', (key, value) => {
+  untrackEntry(key);
+  persist('삭제', key, backend => backend.delete(key));
   console.log(`[Cache] 삭제: ${key.substring(0, 40)}...`);
 });
 
@@ -349,16 +773,100 @@ cache.on('expired', (key, value) => {
 });
 
 cache.on('flush', () => {
+  lruEntries.clear();
+  totalBytes = 0;
   console.log(`[Cache] 전체 초기화`);
 });
 
+/**
+ * 캐시 초기화 (서버 시작 시 호출)
+ * CACHE_BACKEND로 영구 저장소를 연결하고 저장된 항목을 메모리로 불러옵니다 (warm start).
+ * 저장 시각 순으로 불러오므로 한도를 넘으면 오래된 항목부터 제거됩니다.
+ * 저장소 연결에 실패하면 메모리 캐시만 사용합니다.
+ *
+ * @param {object} options - 옵션
+ * @param {string} options.backend - 저장소 이름 (선택, 기본값: CACHE_BACKEND 또는 memory)
+ * @param {object} options.backendOptions - 저장소 생성 옵션 (선택)
+ * @returns {Promise<object>} { backend, restored }
+ */
+async function initCache(options = {}) {
+  const name = (options.backend || process.env.CACHE_BACKEND || 'memory').toLowerCase();
+
+  if (name === 'memory') {
+    console.log('✓ 캐시 저장소: memory (재시작 시 초기화)');
+    return { backend: 'memory', restored: 0 };
+  }
+
+  try {
+    if (!BACKENDS[name]) {
+      throw new Error(`알 수 없는 캐시 저장소입니다: ${name}. memory, ${Object.keys(BACKENDS).join(', ')} 중 하나를 선택하세요.`);
+    }
+
+    const backend = BACKENDS[name]().createBackend(options.backendOptions);
+    await backend.open();
+
+    const startTime = Date.now();
+    const now = Date.now();
+    const entries = (await backend.load()).sort((a, b) => (a.savedAt || 0) - (b.savedAt || 0));
+
+    // 불러오는 동안 LRU로 밀려난 항목도 저장소에서 지워지도록 저장소를 먼저 연결
+    backendState.backend = backend;
+
+    let restored = 0;
+    entries.forEach(entry => {
+      const ttl = entry.expiresAt ? Math.ceil((entry.expiresAt - now) / 1000) : 0;
+      if (entry.expiresAt && ttl <= 0) return;
+
+      if (storeEntry(entry.key, entry.value, ttl, { persist: false, savedAt: entry.savedAt })) {
+        restored++;
+      }
+    });
+
+    backendState.restored = lruEntries.size;
+    console.log(`✓ 캐시 저장소: ${name} (${restored}개 항목 복원, ${lruEntries.size}개 유지, ${Date.now() - startTime}ms)`);
+    return { backend: name, restored: lruEntries.size };
+  } catch (error) {
+    backendState.backend = null;
+    console.error(`✗ 캐시 저장소 연결 실패 (${name}), 메모리 캐시만 사용합니다:`, error.message);
+    return { backend: 'memory', restored: 0 };
+  }
+}
+
+/**
+ * 캐시 종료 (서버 종료 시 호출)
+ * 진행 중인 영구 저장소 기록을 마치고 연결을 닫습니다.
+ *
+ * @returns {Promise<void>}
+ */
+async function closeCache() {
+  const { backend } = backendState;
+  if (!backend) return;
+
+  await Promise.all([...backendState.pendingWrites]);
+  backendState.backend = null;
+
+  try {
+    await backend.close();
+  } catch (error) {
+    console.error(`✗ 캐시 저장소 종료 실패 (${backend.name}):`, error.message);
+  }
+}
+
 module.exports = {
+  initCache,
+  closeCache,
   generateTextHash,
   generateCacheKey,
+  getCacheVersion,
+  parseCacheKey,
+  listCacheVersions,
+  purgeCacheEntries,
   saveSummary,
   saveAllSummaries,
   getSummary,
   getAllSummaries,
+  getEntry,
+  setEntry,
   deleteSummary,
   clearCache,
   getCacheStats,
@@ -0,0 +1,145 @@
+/**
+ * 파일 시스템 캐시 백엔드 (JSON 파일 저장소)
+ *
+ * 캐시 항목마다 JSON 파일 하나를 CACHE_DIR(기본값: data/cache)에 기록합니다.
+ * 파일 이름은 캐시 키의 SHA256 해시이며, 파일 안에 원래 키를 함께 저장합니다.
+ * 쓰기는 임시 파일에 기록한 뒤 이름을 바꿔, 쓰는 도중 종료되어도 깨진 항목이 남지 않습니다.
+ *
+ * 파일 형식: { key, value, expiresAt, savedAt }
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * 기본 캐시 저장 경로
+ */
+const DEFAULT_CACHE_DIR = path.join(__dirname, '../../..', 'data/cache');
+
+/**
+ * 캐시 키 → 파일 이름
+ *
+ * @param {string} key - 캐시 키
+ * @returns {string} 파일 이름
+ */
+function getFileName(key) {
+  return `${crypto.createHash('sha256').update(key).digest('hex').substring(0, 40)}.json`;
+}
+
+/**
+ * 파일 삭제 (없으면 무시)
+ *
+ * @param {string} filePath - 파일 경로
+ * @returns {Promise<void>}
+ */
+async function removeFile(filePath) {
+  try {
+    await fs.unlink(filePath);
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      throw error;
+    }
+  }
+}
+
+/**
+ * 파일 시스템 백엔드 생성
+ *
+ * @param {object} options - 옵션
+ * @param {string} options.dir - 저장 경로 (선택, 기본값: CACHE_DIR 또는 data/cache)
+ * @returns {object} 백엔드 { name, open, load, set, delete, clear, close }
+ */
+function createBackend(options = {}) {
+  const dir = options.dir
+    ? path.resolve(options.dir)
+    : (process.env.CACHE_DIR ? path.resolve(process.env.CACHE_DIR) : DEFAULT_CACHE_DIR);
+  let tempCounter = 0;
+
+  /**
+   * 캐시 항목 파일 목록
+   *
+   * @returns {Promise<Array<string>>} 파일 경로 배열
+   */
+  async function listEntryFiles() {
+    const files = await fs.readdir(dir);
+    return files.filter(file => file.endsWith('.json')).map(file => path.join(dir, file));
+  }
+
+  return {
+    name: 'file',
+
+    /**
+     * 저장 경로 준비
+     */
+    async open() {
+      await fs.mkdir(dir, { recursive: true });
+    },
+
+    /**
+     * 저장된 항목 전체 읽기 (만료되었거나 깨진 파일은 삭제)
+     *
+     * @returns {Promise<Array<object>>} [{ key, value, expiresAt, savedAt }]
+     */
+    async load() {
+      const entries = [];
+      const now = Date.now();
+
+      for (const filePath of await listEntryFiles()) {
+        try {
+          const entry = JSON.parse(await fs.readFile(filePath, 'utf-8'));
+
+          if (!entry || typeof entry.key !== 'string' || (entry.expiresAt && entry.expiresAt <= now)) {
+            await removeFile(filePath);
+            continue;
+          }
+          entries.push(entry);
+        } catch (error) {
+          console.warn(`⚠ 캐시 파일을 읽을 수 없어 삭제합니다: ${path.basename(filePath)} (${error.message})`);
+          await removeFile(filePath);
+        }
+      }
+
+      return entries;
+    },
+
+    /**
+     * 항목 저장
+     *
+     * @param {string} key - 캐시 키
+     * @param {object} entry - { value, expiresAt, savedAt }
+     */
+    async set(key, entry) {
+      const filePath = path.join(dir, getFileName(key));
+      const tempPath = `${filePath}.${process.pid}.${++tempCounter}.tmp`;
+
+      await fs.writeFile(tempPath, JSON.stringify({ key, ...entry }), 'utf-8');
+      await fs.rename(tempPath, filePath);
+    },
+
+    /**
+     * 항목 삭제
+     *
+     * @param {string} key - 캐시 키
+     */
+    async delete(key) {
+      await removeFile(path.join(dir, getFileName(key)));
+    },
+
+    /**
+     * 전체 삭제
+     */
+    async clear() {
+      await Promise.all((await listEntryFiles()).map(removeFile));
+    },
+
+    /**
+     * 종료 (파일 백엔드는 정리할 연결이 없음)
+     */
+    async close() {}
+  };
+}
+
+module.exports = {
+  createBackend
+};
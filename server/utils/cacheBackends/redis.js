@@ -0,0 +1,155 @@
+/**
+ * Redis 호환 캐시 백엔드
+ *
+ * 캐시 항목마다 `{prefix}{캐시 키}` 문자열 키에 JSON을 저장하고, 만료 시각이 있으면 PX로 함께 설정합니다.
+ * 기본적으로 redis 패키지(node-redis v4)로 REDIS_URL에 연결합니다 (npm install redis 필요).
+ * options.client로 같은 명령 인터페이스를 구현한 클라이언트를 넘기면 그 클라이언트를 사용합니다
+ * (로컬 대체 구현으로 검증할 때 사용, scripts/check-cache-backends.js 참고).
+ *
+ * 사용하는 클라이언트 명령:
+ *   connect(), set(key, value, { PX }), mGet(keys), del(keys), scanIterator({ MATCH, COUNT }), quit()
+ */
+
+/**
+ * 기본 키 접두사
+ */
+const DEFAULT_PREFIX = 'pinch-zoom:cache:';
+
+/**
+ * 한 번에 읽거나 삭제할 키 수
+ */
+const BATCH_SIZE = 100;
+
+/**
+ * redis 패키지로 클라이언트 생성
+ *
+ * @param {string} url - Redis 접속 URL
+ * @returns {object} node-redis 클라이언트
+ * @throws {Error} redis 패키지가 설치되어 있지 않은 경우
+ */
+function createRedisClient(url) {
+  let redis;
+  try {
+    redis = require('redis');
+  } catch (error) {
+    throw new Error('CACHE_BACKEND=redis를 사용하려면 redis 패키지가 필요합니다 (npm install redis).');
+  }
+
+  const client = redis.createClient({ url });
+  client.on('error', (error) => {
+    console.error('✗ Redis 캐시 연결 오류:', error.message);
+  });
+  return client;
+}
+
+/**
+ * 접두사로 시작하는 키 전체 조회
+ *
+ * @param {object} client - Redis 클라이언트
+ * @param {string} prefix - 키 접두사
+ * @returns {Promise<Array<string>>} 키 배열
+ */
+async function scanKeys(client, prefix) {
+  const keys = [];
+  for await (const key of client.scanIterator({ MATCH: `${prefix}*`, COUNT: BATCH_SIZE })) {
+    keys.push(key);
+  }
+  return keys;
+}
+
+/**
+ * Redis 백엔드 생성
+ *
+ * @param {object} options - 옵션
+ * @param {object} options.client - Redis 호환 클라이언트 (선택, 없으면 REDIS_URL로 생성)
+ * @param {string} options.url - 접속 URL (선택, 기본값: REDIS_URL 또는 redis://localhost:6379)
+ * @param {string} options.prefix - 키 접두사 (선택, 기본값: CACHE_REDIS_PREFIX 또는 pinch-zoom:cache:)
+ * @returns {object} 백엔드 { name, open, load, set, delete, clear, close }
+ */
+function createBackend(options = {}) {
+  const prefix = options.prefix || process.env.CACHE_REDIS_PREFIX || DEFAULT_PREFIX;
+  const client = options.client ||
+    createRedisClient(options.url || process.env.REDIS_URL || 'redis://localhost:6379');
+
+  return {
+    name: 'redis',
+
+    /**
+     * 연결
+     */
+    async open() {
+      await client.connect();
+    },
+
+    /**
+     * 저장된 항목 전체 읽기 (만료된 항목은 Redis가 삭제)
+     *
+     * @returns {Promise<Array<object>>} [{ key, value, expiresAt, savedAt }]
+     */
+    async load() {
+      const keys = await scanKeys(client, prefix);
+      const entries = [];
+
+      for (let i = 0; i < keys.length; i += BATCH_SIZE) {
+        const batch = keys.slice(i, i + BATCH_SIZE);
+        const values = await client.mGet(batch);
+
+        values.forEach((raw, j) => {
+          if (raw === null) return;
+          try {
+            entries.push({ key: batch[j].substring(prefix.length), ...JSON.parse(raw) });
+          } catch (error) {
+            console.warn(`⚠ Redis 캐시 항목을 읽을 수 없습니다: ${batch[j]} (${error.message})`);
+          }
+        });
+      }
+
+      return entries;
+    },
+
+    /**
+     * 항목 저장
+     *
+     * @param {string} key - 캐시 키
+     * @param {object} entry - { value, expiresAt, savedAt }
+     */
+    async set(key, entry) {
+      const ttlMs = entry.expiresAt ? entry.expiresAt - Date.now() : null;
+      if (ttlMs !== null && ttlMs <= 0) {
+        return;
+      }
+
+      await client.set(`${prefix}${key}`, JSON.stringify(entry), ttlMs ? { PX: ttlMs } : undefined);
+    },
+
+    /**
+     * 항목 삭제
+     *
+     * @param {string} key - 캐시 키
+     */
+    async delete(key) {
+      await client.del([`${prefix}${key}`]);
+    },
+
+    /**
+     * 전체 삭제 (접두사가 같은 키만)
+     */
+    async clear() {
+      const keys = await scanKeys(client, prefix);
+      for (let i = 0; i < keys.length; i += BATCH_SIZE) {
+        await client.del(keys.slice(i, i + BATCH_SIZE));
+      }
+    },
+
+    /**
+     * 연결 종료
+     */
+    async close() {
+      await client.quit();
+    }
+  };
+}
+
+module.exports = {
+  createBackend
+};
@@ -0,0 +1,416 @@
+/**
+ * 한국어 형태소 분석기 (사전 없는 경량 구현)
+ *
+ * 어절을 어간과 조사/어미로 분리하고 품사를 추정합니다.
+ * 외부 사전 없이 조사·어미 목록과 받침 규칙만 사용하므로 완전하지 않지만,
+ * "시스템은", "시스템이", "시스템에서는"처럼 조사가 붙은 명사를 같은 어간(시스템)으로 묶고
+ * 명사로 판정하는 데 충분합니다.
+ *
+ * 분석 순서:
+ * 1. 접속사/관형사/부사 목록 확인
+ * 2. 조사 후보: 가장 긴 조사 (받침 규칙 확인, 예: "은"은 받침 뒤, "는"은 받침 없는 음절 뒤)
+ *    기본 격조사(은/는/이/가/을/를/에 등)를 제외한 조사는 두 음절 이상 어간 뒤에서만 분리합니다
+ *    ("사랑" → 사+랑, "대로" → 대+로처럼 명사 끝음절을 조사로 읽지 않도록).
+ * 3. 어미 후보: 가장 긴 용언 어미 (예: "었습니다", "지만", "는다")
+ *    한 글자 어미("다", 한 음절 어간 뒤 "고/며/면/던")는 받침 있는 음절이나 "하/되" 뒤에서만 인정합니다
+ *    ("있다", "중요하다"는 용언, "바다", "마다", "사고"는 명사로 봄).
+ * 4. 더 긴 쪽을 선택 (같으면 어미), 둘 다 없으면 어절 전체를 명사로 봄
+ */
+
+/**
+ * 한글 음절 범위
+ */
+const HANGUL_START = 0xAC00;
+const HANGUL_END = 0xD7A3;
+
+/**
+ * 종성(받침) 인덱스
+ */
+const JONG_NIEUN = 4;   // ㄴ
+const JONG_RIEUL = 8;   // ㄹ
+const JONG_BIEUP = 17;  // ㅂ
+
+/**
+ * 접속사 (문장 접속 부사 포함)
+ */
+const CONJUNCTIONS = new Set([
+  '그리고', '그러나', '하지만', '그래서', '그런데', '그러므로', '따라서', '또는', '및',
+  '그러면', '그리하여', '게다가', '또한', '즉', '혹은', '그렇지만', '그래도', '왜냐하면'
+]);
+
+/**
+ * 관형사 (단독으로 쓰인 경우만)
+ */
+const DETERMINERS = new Set([
+  '이', '그', '저', '이런', '그런', '저런', '어떤', '모든', '각', '새', '헌', '온갖',
+  '한', '두', '세', '네', '몇', '여러', '다른', '무슨', '어느'
+]);
+
+/**
+ * 부사
+ */
+const ADVERBS = new Set([
+  '매우', '아주', '정말', '너무', '가장', '더', '덜', '잘', '못', '안', '다시', '또', '이미',
+  '아직', '벌써', '항상', '늘', '자주', '결코', '전혀', '거의', '조금', '많이', '함께', '같이',
+  '바로', '곧', '이제', '지금', '오래', '그냥', '특히', '물론', '아마', '혹시', '왜', '어떻게',
+  '이렇게', '그렇게', '저렇게', '아무리', '꼭', '제일', '좀', '참', '몹시', '상당히', '아무것도',
+  '점점', '오직', '단지', '다만', '마침내', '드디어', '문득', '갑자기', '천천히', '빨리'
+]);
+
+/**
+ * 조사 목록 [형태, 결합 조건]
+ * - C: 받침 있는 음절 뒤
+ * - V: 받침 없는 음절 뒤 ("로" 계열은 ㄹ 받침 뒤도 허용)
+ * - A: 조건 없음
+ */
+const BASE_JOSA = [
+  ['은', 'C'], ['는', 'V'], ['이', 'C'], ['가', 'V'], ['을', 'C'], ['를', 'V'],
+  ['과', 'C'], ['와', 'V'], ['으로', 'C'], ['로', 'V'], ['으로서', 'C'], ['로서', 'V'],
+  ['으로써', 'C'], ['로써', 'V'], ['으로부터', 'C'], ['로부터', 'V'],
+  ['이라고', 'C'], ['라고', 'V'], ['이라는', 'C'], ['라는', 'V'], ['이란', 'C'], ['란', 'V'],
+  ['이라도', 'C'], ['라도', 'V'], ['이야말로', 'C'], ['야말로', 'V'], ['이랑', 'C'], ['랑', 'V'],
+  ['의', 'A'], ['에', 'A'], ['에서', 'A'], ['에게', 'A'], ['에게서', 'A'], ['한테', 'A'],
+  ['한테서', 'A'], ['께', 'A'], ['께서', 'A'], ['도', 'A'], ['만', 'A'], ['까지', 'A'],
+  ['부터', 'A'], ['조차', 'A'], ['마저', 'A'], ['처럼', 'A'], ['보다', 'A'], ['마다', 'A'],
+  ['밖에', 'A'], ['만큼', 'A'], ['대로', 'A'], ['뿐', 'A'],
+  // 서술격 조사 (명사 + 이다)
+  ['이다', 'C'], ['입니다', 'C'], ['이었다', 'C'], ['이에요', 'C'], ['예요', 'V'], ['이며', 'C'], ['이고', 'C']
+];
+
+/**
+ * 복합 조사 구성: 안쪽 조사 + 바깥 조사 (예: 에서 + 는 = 에서는)
+ */
+const INNER_JOSA = ['에', '에서', '에게', '한테', '께', '께서', '으로', '로', '와', '과', '까지', '부터', '처럼', '보다', '만', '에게서', '이랑', '랑'];
+const OUTER_JOSA = ['는', '도', '의', '만', '은'];
+
+/**
+ * 조사 목록 (복합 조사 포함, 긴 것부터)
+ */
+const JOSA_LIST = (() => {
+  const conditions = new Map(BASE_JOSA);
+  INNER_JOSA.forEach(inner => {
+    OUTER_JOSA.forEach(outer => {
+      // 바깥 조사 "은/는"은 안쪽 조사 끝 받침에 맞는 것만 결합
+      if ((outer === '은' || outer === '는') && hasJongseong(inner) !== (outer === '은')) return;
+      if (inner !== outer && !conditions.has(inner + outer)) {
+        conditions.set(inner + outer, conditions.get(inner));
+      }
+    });
+  });
+  return [...conditions.entries()].sort((a, b) => b[0].length - a[0].length);
+})();
+
+/**
+ * 한 음절 어간 뒤에서도 분리하는 기본 조사 (복합 조사는 안쪽 조사 기준)
+ * 나머지 조사("랑", "로", "마다", "대로" 등)는 명사 끝음절과 겹치기 쉬워 두 음절 이상 어간 뒤에서만 분리합니다.
+ */
+const SHORT_STEM_JOSA = new Set([
+  '은', '는', '이', '가', '을', '를', '의', '에', '에서', '에게', '께', '께서', '한테', '도', '만',
+  '과', '와', '으로', '까지', '부터', '처럼', '만큼', '조차', '이다', '입니다', '이었다', '이에요', '예요', '이며', '이고'
+]);
+
+/**
+ * 조사가 두 음절 이상 어간을 요구하는지 확인
+ *
+ * @param {string} josa - 조사 (복합 조사 포함)
+ * @returns {boolean} 한 음절 어간 뒤에서도 분리 가능하면 false
+ */
+function requiresLongStem(josa) {
+  if (SHORT_STEM_JOSA.has(josa)) return false;
+  return !INNER_JOSA.some(inner => SHORT_STEM_JOSA.has(inner) && josa.startsWith(inner) &&
+    OUTER_JOSA.includes(josa.slice(inner.length)));
+}
+
+/**
+ * 용언 어미 목록 (긴 것부터)
+ * 명사와 혼동이 적은 어미만 포함합니다. "했/합/한" 형태는 어간을 "하"로 복원합니다.
+ * 반말 "해"(사랑해)는 "이해", "피해" 같은 명사와 겹치므로 두 음절 이상 앞에 붙은 경우만 인정합니다.
+ */
+const EOMI_LIST = [
+  '었습니다', '았습니다', '였습니다', '했습니다', '겠습니다', '습니다',
+  '었는데', '았는데', '했는데', '었지만', '았지만', '했지만', '으면서', '으니까', '으려고',
+  '었어요', '았어요', '였어요', '했어요', '으세요',
+  '었다', '았다', '였다', '했다', '겠다', '는다', '었고', '았고', '했고', '었던', '았던', '했던',
+  '어요', '아요', '해요', '세요', '지만', '면서', '으면', '어서', '아서', '해서', '여서',
+  '는데', '은데', '니까', '도록', '려고', '으러', '으며', '어야', '아야', '해야', '하게',
+  '다', '고', '며', '면', '던', '해'
+].sort((a, b) => b.length - a.length);
+
+/**
+ * 명사 끝음절과 겹치기 쉬운 한 글자 어미 ("바다", "사고")
+ */
+const BARE_EOMI = new Set(['다', '고', '며', '면', '던']);
+
+/**
+ * 한 글자 어미 앞에서 받침 없이도 용언 어간으로 보는 음절 (중요하다, 안되다)
+ */
+const OPEN_VERB_SYLLABLES = new Set(['하', '되']);
+
+/**
+ * 조사/어미가 아닌 것으로 판정할 때 남아야 하는 최소 어간 길이
+ */
+const MIN_STEM_LENGTH = 1;
+
+/**
+ * 분석 결과 메모 (같은 어절 반복 분석 방지)
+ */
+const analysisMemo = new Map();
+const MAX_MEMO_SIZE = 50000;
+
+/**
+ * 한글 음절 여부
+ *
+ * @param {string} char - 한 글자
+ * @returns {boolean} 한글 음절 여부
+ */
+function isHangulSyllable(char) {
+  const code = char.charCodeAt(0);
+  return code >= HANGUL_START && code <= HANGUL_END;
+}
+
+/**
+ * 종성 인덱스 (0: 받침 없음, -1: 한글 음절 아님)
+ *
+ * @param {string} char - 한 글자
+ * @returns {number} 종성 인덱스
+ */
+function getJongseong(char) {
+  if (!char || !isHangulSyllable(char)) return -1;
+  return (char.charCodeAt(0) - HANGUL_START) % 28;
+}
+
+/**
+ * 문자열 마지막 음절의 받침 여부
+ *
+ * @param {string} text - 문자열
+ * @returns {boolean} 받침 여부
+ */
+function hasJongseong(text) {
+  return getJongseong(text.charAt(text.length - 1)) > 0;
+}
+
+/**
+ * 음절의 받침 제거
+ *
+ * @param {string} char - 한글 음절
+ * @returns {string} 받침 없는 음절
+ */
+function removeJongseong(char) {
+  const jong = getJongseong(char);
+  return jong > 0 ? String.fromCharCode(char.charCodeAt(0) - jong) : char;
+}
+
+/**
+ * 한글 포함 여부
+ *
+ * @param {string} word - 단어
+ * @returns {boolean} 한글 음절 포함 여부
+ */
+function containsHangul(word) {
+  return /[가-힣]/.test(word);
+}
+
+/**
+ * 조사 결합 조건 확인
+ *
+ * @param {string} stem - 조사 앞 어간
+ * @param {string} josa - 조사
+ * @param {string} condition - 결합 조건 (C, V, A)
+ * @returns {boolean} 결합 가능 여부
+ */
+function satisfiesJosaCondition(stem, josa, condition) {
+  const lastChar = stem.charAt(stem.length - 1);
+  const jong = getJongseong(lastChar);
+
+  // 한글이 아닌 어간(숫자, 영문 약어 등) 뒤는 조건 없이 허용
+  if (jong === -1 || condition === 'A') return true;
+
+  // "로" 계열은 ㄹ 받침 뒤에도 결합 (서울로), "으로" 계열은 ㄹ 받침 뒤에 결합하지 않음
+  if (josa.startsWith('로')) return jong === 0 || jong === JONG_RIEUL;
+  if (josa.startsWith('으로')) return jong > 0 && jong !== JONG_RIEUL;
+
+  return condition === 'C' ? jong > 0 : jong === 0;
+}
+
+/**
+ * 가장 긴 조사 찾기
+ *
+ * @param {string} word - 소문자 어절 (문장부호 제외)
+ * @returns {object|null} { stem, suffix } 또는 null
+ */
+function matchJosa(word) {
+  for (const [josa, condition] of JOSA_LIST) {
+    if (word.length - josa.length < MIN_STEM_LENGTH || !word.endsWith(josa)) continue;
+
+    const stem = word.slice(0, -josa.length);
+    if (stem.length < 2 && containsHangul(stem) && requiresLongStem(josa)) continue;
+
+    if (satisfiesJosaCondition(stem, josa, condition)) {
+      return { stem, suffix: josa };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * 가장 긴 용언 어미 찾기
+ * "했다/합니다/한다"처럼 어간과 어미가 한 음절로 축약된 형태는 어간을 복원합니다.
+ *
+ * @param {string} word - 소문자 어절 (문장부호 제외)
+ * @returns {object|null} { stem, suffix } 또는 null
+ */
+function matchEomi(word) {
+  // 받침으로 붙은 어미: 갑니다(가+ㅂ니다), 간다(가+ㄴ다)
+  // "습니다"는 어미 목록에서 처리 (있습니다 → 있, 했습니다 → 하)
+  if (word.length >= 3 && word.endsWith('니다')) {
+    const syllable = word.charAt(word.length - 3);
+    if (getJongseong(syllable) === JONG_BIEUP && syllable !== '습') {
+      return { stem: word.slice(0, -3) + removeJongseong(syllable), suffix: 'ㅂ니다' };
+    }
+  }
+  if (word.length >= 2 && word.endsWith('다')) {
+    const syllable = word.charAt(word.length - 2);
+    if (getJongseong(syllable) === JONG_NIEUN && syllable !== '는') {
+      return { stem: word.slice(0, -2) + removeJongseong(syllable), suffix: 'ㄴ다' };
+    }
+  }
+
+  for (const eomi of EOMI_LIST) {
+    // 했/해/하게 계열은 "하" 어간의 축약이므로 앞에 남는 글자가 없어도 됨 (했다 → 하)
+    const contractsHa = /^(했|해|하게)/.test(eomi);
+    const minStem = eomi === '해' ? 2 : (contractsHa ? 0 : MIN_STEM_LENGTH);
+    if (word.length - eomi.length < minStem || !word.endsWith(eomi)) continue;
+
+    // 한 글자 어미만 남는 경우: 받침 있는 음절(있다, 먹고)이나 하/되 뒤만 용언 (바다, 마다, 사고는 명사)
+    // "다"는 어간 길이와 관계없이, 나머지는 한 음절 어간일 때만 확인합니다 (보이고, 만들며는 용언)
+    if (BARE_EOMI.has(eomi) && (eomi === '다' || word.length === 2)) {
+      const syllable = word.charAt(word.length - 2);
+      if (!hasJongseong(syllable) && !OPEN_VERB_SYLLABLES.has(syllable)) continue;
+    }
+
+    const stem = word.slice(0, -eomi.length) + (contractsHa ? '하' : '');
+    return { stem, suffix: eomi };
+  }
+
+  // 받침 뒤의 "는"은 조사가 될 수 없으므로 관형사형 어미 (먹는, 있는)
+  if (word.length >= 2 && word.endsWith('는') && hasJongseong(word.slice(0, -1))) {
+    return { stem: word.slice(0, -1), suffix: '는' };
+  }
+
+  return null;
+}
+
+/**
+ * 한글 어절 분석
+ *
+ * @param {string} word - 소문자 어절 (문장부호 제외)
+ * @returns {object} { stem, suffix, suffixType, pos }
+ */
+function analyzeHangulWord(word) {
+  if (CONJUNCTIONS.has(word)) return { stem: word, suffix: '', suffixType: null, pos: 'CONJ' };
+  if (DETERMINERS.has(word)) return { stem: word, suffix: '', suffixType: null, pos: 'DET' };
+  if (ADVERBS.has(word)) return { stem: word, suffix: '', suffixType: null, pos: 'ADV' };
+
+  // 부사 파생 접미사 (조용히, 천천히)
+  if (word.length >= 2 && word.endsWith('히')) {
+    return { stem: word, suffix: '', suffixType: null, pos: 'ADV' };
+  }
+
+  const josa = matchJosa(word);
+  const eomi = matchEomi(word);
+  const eomiLength = eomi ? (eomi.suffix.startsWith('ㅂ') || eomi.suffix.startsWith('ㄴ') ? eomi.suffix.length - 1 : eomi.suffix.length) : 0;
+
+  if (eomi && (!josa || eomiLength >= josa.suffix.length)) {
+    return {
+      stem: eomi.stem,
+      suffix: eomi.suffix,
+      suffixType: 'eomi',
+      pos: eomi.suffix === '하게' ? 'ADV' : 'VERB'
+    };
+  }
+
+  if (josa) {
+    // 조사 앞이 부사/관형사 목록이면 해당 품사 유지 (예: "함께도")
+    const pos = ADVERBS.has(josa.stem) ? 'ADV' : 'NOUN';
+    return { stem: josa.stem, suffix: josa.suffix, suffixType: 'josa', pos };
+  }
+
+  // 명사형 전성 어미 "-음/-ㅁ"은 명사로 취급하므로 별도 처리하지 않음
+  return { stem: word, suffix: '', suffixType: null, pos: 'NOUN' };
+}
+
+/**
+ * 영어 단어 품사 추정 (간단한 휴리스틱)
+ *
+ * @param {string} word - 소문자 단어
+ * @returns {string} 품사 태그
+ */
+function estimateEnglishPOS(word) {
+  const conjunctions = ['and', 'or', 'but', 'yet', 'so', 'for', 'nor'];
+  const prepositions = ['in', 'on', 'at', 'by', 'with', 'from', 'to', 'of'];
+  const determiners = ['a', 'an', 'the', 'this', 'that', 'these', 'those'];
+
+  if (conjunctions.includes(word)) return 'CONJ';
+  if (prepositions.includes(word)) return 'ADP';
+  if (determiners.includes(word)) return 'DET';
+  if (word.endsWith('ly')) return 'ADV';
+  if (word.endsWith('ing') || word.endsWith('ed')) return 'VERB';
+  return 'NOUN';
+}
+
+/**
+ * 어절 형태소 분석
+ * 앞뒤 문장부호는 분석에서 제외합니다.
+ *
+ * @param {string} word - 어절 또는 단어
+ * @returns {object} { text, stem, suffix, suffixType, pos }
+ *   - stem: 소문자 어간 (조사/어미 제거)
+ *   - suffix: 분리된 조사 또는 어미 (없으면 '')
+ *   - suffixType: 'josa' | 'eomi' | null
+ *   - pos: 품사 태그 (NOUN, VERB, ADV, DET, CONJ, ADP, NUM)
+ */
+function analyzeWord(word) {
+  if (analysisMemo.has(word)) {
+    return analysisMemo.get(word);
+  }
+
+  const core = word.replace(/^[^\p{L}\p{N}]+|[^\p{L}\p{N}]+$/gu, '').toLowerCase();
+  let analysis;
+
+  if (!core) {
+    analysis = { stem: '', suffix: '', suffixType: null, pos: 'NOUN' };
+  } else if (/^\d+([.,]\d+)*$/.test(core)) {
+    analysis = { stem: core, suffix: '', suffixType: null, pos: 'NUM' };
+  } else if (containsHangul(core)) {
+    analysis = analyzeHangulWord(core);
+  } else {
+    analysis = { stem: core, suffix: '', suffixType: null, pos: estimateEnglishPOS(core) };
+  }
+
+  const result = { text: word, ...analysis };
+
+  if (analysisMemo.size >= MAX_MEMO_SIZE) {
+    analysisMemo.clear();
+  }
+  analysisMemo.set(word, result);
+
+  return result;
+}
+
+/**
+ * 어간 추출
+ *
+ * @param {string} word - 어절 또는 단어
+ * @returns {string} 소문자 어간 (문장부호만 있으면 '')
+ */
+function getStem(word) {
+  return analyzeWord(word).stem;
+}
+
+module.exports = {
+  analyzeWord,
+  getStem,
+  containsHangul,
+  hasJongseong
+};
@@ -8,11 +8,17 @@
 const fs = require('fs').promises;
 const path = require('path');
 const natural = require('natural');
+const { analyzeWord } = require('./koreanAnalyzer');
 
-// Natural 라이브러리 토크나이저 및 품사 태거 초기화
-const tokenizer = new natural.WordTokenizer();
+// Natural 라이브러리 문장 토크나이저 초기화
 const sentenceTokenizer = new natural.SentenceTokenizer();
 
+/**
+ * 단어 토큰 패턴 (문자/숫자 연속)
+ * Natural의 WordTokenizer는 영문/키릴 문자만 인식하여 한글을 버리므로 유니코드 패턴을 사용합니다.
+ */
+const WORD_PATTERN = /[\p{L}\p{N}]+/gu;
+
 /**
  * 텍스트 파일 로딩
  * 지정된 경로의 텍스트 파일을 읽어옵니다.
@@ -71,17 +77,23 @@ function tokenizeSentences(text) {
 /**
  * 단어 토큰화 및 정규화
  * 텍스트를 단어 단위로 분리하고 정규화합니다.
+ * 한국어는 어절(조사/어미 포함) 단위로 분리되며, stem 옵션으로 어간만 얻을 수 있습니다.
  *
  * @param {string} text - 입력 텍스트
  * @param {object} options - 옵션
  * @param {boolean} options.lowercase - 소문자 변환 여부 (기본값: false)
  * @param {boolean} options.removeSpecialChars - 특수문자 제거 여부 (기본값: false)
+ * @param {boolean} options.stem - 조사/어미를 제거한 소문자 어간 반환 여부 (기본값: false)
  * @returns {Array<string>} 단어 배열
  */
 function tokenizeWords(text, options = {}) {
-  const { lowercase = false, removeSpecialChars = false } = options;
+  const { lowercase = false, removeSpecialChars = false, stem = false } = options;
 
-  let words = tokenizer.tokenize(text);
+  let words = text.match(WORD_PATTERN) || [];
+
+  if (stem) {
+    return words.map(word => analyzeWord(word).stem).filter(Boolean);
+  }
 
   if (removeSpecialChars) {
     // 특수문자만으로 이루어진 토큰 제거
@@ -96,45 +108,15 @@ function tokenizeWords(text, options = {}) {
 }
 
 /**
- * 품사 태깅 (한국어 지원 제한적)
- * Natural 라이브러리는 영어 위주이므로, 간단한 품사 추정을 수행합니다.
+ * 품사 태깅
+ * 한국어는 형태소 분석(koreanAnalyzer)으로 조사/어미를 분리해 어간의 품사를 추정하고,
+ * 영어는 간단한 휴리스틱을 사용합니다. 조사가 붙은 명사("시스템은")는 명사로 판정됩니다.
  *
  * @param {string} word - 단어
  * @returns {string} 품사 태그 (NOUN, VERB, ADJ, ADV, ADP, DET, CONJ, etc.)
  */
 function estimatePOS(word) {
-  // 한국어 조사 패턴
-  const koreanParticles = /[은는이가을를에게서와과도만]/;
-
-  // 한국어 어미 패턴
-  const koreanEndings = /(다|요|ㅂ니다|습니다|세요|하다|되다|이다)$/;
-
-  // 영어 품사 추정 (간단한 휴리스틱)
-  const conjunctions = ['and', 'or', 'but', 'yet', 'so', 'for', 'nor'];
-  const prepositions = ['in', 'on', 'at', 'by', 'with', 'from', 'to', 'of'];
-  const determiners = ['a', 'an', 'the', 'this', 'that', 'these', 'those'];
-
-  const lowerWord = word.toLowerCase();
-
-  // 영어 단어 판단
-  if (/^[a-zA-Z]+$/.test(word)) {
-    if (conjunctions.includes(lowerWord)) return 'CONJ';
-    if (prepositions.includes(lowerWord)) return 'ADP';
-    if (determiners.includes(lowerWord)) return 'DET';
-    if (lowerWord.endsWith('ly')) return 'ADV';
-    if (lowerWord.endsWith('ing') || lowerWord.endsWith('ed')) return 'VERB';
-    return 'NOUN'; // 기본값
-  }
-
-  // 한국어 단어 판단
-  if (koreanParticles.test(word)) return 'ADP';
-  if (koreanEndings.test(word)) return 'VERB';
-
-  // 숫자
-  if (/^\d+$/.test(word)) return 'NUM';
-
-  // 기본값: 명사로 간주
-  return 'NOUN';
+  return analyzeWord(word).pos;
 }
 
 /**
@@ -159,12 +141,15 @@ function structureText(text) {
       const words = tokenizeWords(sentence);
 
       words.forEach(word => {
+        const analysis = analyzeWord(word);
         allWords.push({
           text: word,
+          stem: analysis.stem,
+          suffix: analysis.suffix,
           position: wordPosition++,
           sentence: sentenceIndex,
           paragraph: paragraphIndex,
-          pos: estimatePOS(word)
+          pos: analysis.pos
         });
       });
 
@@ -270,6 +255,101 @@ function calculateTextStats(text) {
   };
 }
 
+/**
+ * 공백 기준 단어(어절) 수 계산
+ * 언어와 무관하게 동작하므로 한국어 텍스트의 길이 비교(압축률 측정)에 사용합니다.
+ *
+ * @param {string} text - 입력 텍스트
+ * @returns {number} 어절 수
+ */
+function countSpacedWords(text) {
+  return (text.match(/\S+/g) || []).length;
+}
+
+/**
+ * 토큰 수 추정
+ * 토크나이저 없이 LLM 입력 토큰 수를 보수적으로 추정합니다.
+ * 한글은 글자당 약 1토큰, 그 외 문자는 4글자당 약 1토큰으로 계산합니다.
+ *
+ * @param {string} text - 입력 텍스트
+ * @returns {number} 추정 토큰 수
+ */
+function estimateTokens(text) {
+  const hangulCount = (text.match(/[가-힣ㄱ-ㅎㅏ-ㅣ]/g) || []).length;
+  const otherCount = text.length - hangulCount;
+
+  return hangulCount + Math.ceil(otherCount / 4);
+}
+
+/**
+ * 토큰 예산 단위로 텍스트 분할
+ * 문단 경계에서 나누고, 예산을 넘는 문단은 문장 경계에서 다시 나눕니다.
+ * 예산을 넘는 단일 문장은 그대로 하나의 청크가 됩니다.
+ *
+ * @param {string} text - 입력 텍스트
+ * @param {number} maxTokens - 청크당 최대 토큰 수
+ * @returns {Array<string>} 청크 배열 (문단은 빈 줄로 구분)
+ */
+function splitIntoChunks(text, maxTokens) {
+  if (estimateTokens(text) <= maxTokens) {
+    return [text];
+  }
+
+  const chunks = [];
+  let current = [];
+  let currentTokens = 0;
+
+  const flush = () => {
+    if (current.length > 0) {
+      chunks.push(current.join('\n\n'));
+      current = [];
+      currentTokens = 0;
+    }
+  };
+
+  const append = (piece, separatorTokens) => {
+    const tokens = estimateTokens(piece);
+    if (current.length > 0 && currentTokens + separatorTokens + tokens > maxTokens) {
+      flush();
+    }
+    currentTokens += (current.length > 0 ? separatorTokens : 0) + tokens;
+    current.push(piece);
+  };
+
+  parseParagraphs(text).forEach(paragraph => {
+    if (estimateTokens(paragraph) <= maxTokens) {
+      append(paragraph, 1);
+      return;
+    }
+
+    // 예산을 넘는 문단은 문장 단위로 분할 (청크 경계에서 문단이 나뉨)
+    flush();
+    let sentences = [];
+    let sentenceTokens = 0;
+
+    tokenizeSentences(paragraph).forEach(sentence => {
+      const tokens = estimateTokens(sentence);
+      if (sentences.length > 0 && sentenceTokens + tokens + 1 > maxTokens) {
+        chunks.push(sentences.join(' '));
+        sentences = [];
+        sentenceTokens = 0;
+      }
+      sentenceTokens += (sentences.length > 0 ? 1 : 0) + tokens;
+      sentences.push(sentence);
+    });
+
+    if (sentences.length > 0) {
+      chunks.push(sentences.join(' '));
+    }
+  });
+
+  flush();
+
+  console.log(`✓ 청크 분할 완료: ${chunks.length}개 청크 (청크당 최대 ${maxTokens} 토큰)`);
+
+  return chunks;
+}
+
 /**
  * example.txt 파일 로드 및 전처리
  * 프로젝트의 샘플 텍스트 파일을 로드하고 전처리합니다.
@@ -307,5 +387,8 @@ module.exports = {
   formatParagraphs,
   cleanText,
   calculateTextStats,
+  countSpacedWords,
+  estimateTokens,
+  splitIntoChunks,
   loadAndProcessExampleText
 };